@@ -3,25 +3,52 @@
  *
  * Features:
  * - Deposit/Withdraw via Lightning
+ * - Push-based deposit detection (Blink websocket, polling fallback)
+ * - Pluggable Lightning backends (Blink, LNbits, LND REST, in-memory fake)
+ * - Per-user Lightning Addresses (LNURL-pay server)
+ * - LNURL-withdraw vouchers (QR, revocable, auto-refund)
+ * - Rolling withdraw caps (24h/7d per user, global hourly circuit breaker, tip hold)
+ * - /admin toolkit (lookup, credit/debit, freeze) with hash-chained audit log
+ * - Background resolver for unverified/pending outgoing payments
+ * - Multi-guild: global commands, per-guild settings and fee share
+ * - /rain: split sats among recent chatters in a channel
+ * - Recurring tips (weekly/monthly subscriptions)
+ * - /leaderboard with opt-out and weekly auto-post
+ * - Fiat display (Blink realtime price), /currency, fiat deposits
+ * - Bounties with escrow (fund, award, cancel/expire refund)
+ * - Pay-to-unlock messages (/paywall)
+ * - Raffles with commit-reveal draws
+ * - HTTP API (per-app keys, scopes, user grants) with signed webhooks
  * - Tip users with sats
  * - Emoji reactions for tipping
- * - Multi-language support (EN/KO/JA/ES)
- * - Smart fees (Blink internal = free)
+ * - Redpackets with claim buttons & auto-refund
+ * - Transaction history with CSV/JSON export
+ * - Ledger audit against the Lightning wallet balance
+ * - Multi-language support (EN/KO/JA/ES, per-user /language)
+ * - Smart fees (internal = free)
  * - SQLite storage (migrated from JSON)
+ * - Double-entry ledger (balances derived from postings)
  */
 
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const crypto = require("crypto");
 const axios = require("axios");
 const qrcode = require("qrcode");
 const bolt11 = require("light-bolt11-decoder");
 const Database = require("better-sqlite3");
+const WebSocket = require("ws");
+const { bech32 } = require("@scure/base");
 
 const {
   Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder,
   EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder,
-  ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, Partials
+  ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, Partials,
+  PermissionFlagsBits, ChannelType
 } = require("discord.js");
 
 // ============ Config ============
@@ -29,23 +56,125 @@ const config = {
   discord: {
     token: process.env.DISCORD_TOKEN,
     clientId: process.env.CLIENT_ID,
-    guildId: process.env.GUILD_ID,
+    guildId: process.env.GUILD_ID,   // 설정 시 해당 서버에만 등록 (개발용), 없으면 전역 명령어
     ownerId: process.env.OWNER_DISCORD_ID
   },
+  admin: {
+    // owner는 항상 admin
+    users: (process.env.ADMIN_USER_IDS || "").split(",").map(s => s.trim()).filter(Boolean),
+    roles: (process.env.ADMIN_ROLE_IDS || "").split(",").map(s => s.trim()).filter(Boolean),
+    lookupLimit: 10,
+    logSecret: process.env.ADMIN_LOG_SECRET   // admin_log HMAC 키 (DB 밖에 보관)
+  },
   blink: {
     apiKey: process.env.BLINK_API_KEY,
-    endpoint: process.env.BLINK_API_ENDPOINT || "https://api.blink.sv/graphql"
+    endpoint: process.env.BLINK_API_ENDPOINT || "https://api.blink.sv/graphql",
+    wsEndpoint: process.env.BLINK_WS_ENDPOINT || "wss://ws.blink.sv/graphql"
+  },
+  ln: {
+    backend: (process.env.LN_BACKEND || "blink").toLowerCase(),
+    // BOLT11 네트워크 (bc | tb | tbs | bcrt), 다른 네트워크 인보이스는 출금 거부
+    network: process.env.LN_NETWORK || ((process.env.LN_BACKEND || "").toLowerCase() === "fake" ? "bcrt" : "bc"),
+    lnbits: {
+      url: process.env.LNBITS_URL,
+      adminKey: process.env.LNBITS_ADMIN_KEY
+    },
+    lnd: {
+      url: process.env.LND_REST_URL,
+      macaroon: process.env.LND_MACAROON,          // hex
+      tlsCertPath: process.env.LND_TLS_CERT_PATH,  // self-signed cert
+      feeLimit: parseInt(process.env.LND_FEE_LIMIT) || 50
+    },
+    fake: {
+      payDelay: parseInt(process.env.FAKE_LN_PAY_DELAY_MS ?? "5000"),  // 0 = 입금 자동결제 안 함
+      balance: parseInt(process.env.FAKE_LN_BALANCE) || 1000000
+    }
   },
   limits: {
     maxWithdraw: 30000,
     invoiceExpiry: 60 * 60 * 1000,   // 60 min
-    pollInterval: 5000               // 5 sec
+    interactionTokenTtl: 14 * 60 * 1000,  // 인터랙션 토큰 15분 (여유 1분) 이후엔 원래 응답 수정 불가 → DM
+    pollInterval: 5000,              // 5 sec (소켓 끊겼을 때)
+    safetyPollInterval: 60000,       // 60 sec (소켓 연결 중 누락 대비)
+    pollBatchSize: 20,
+    wsMaxBackoff: 60000,
+    wsHeartbeatInterval: 30000,      // ping 주기
+    wsHeartbeatTimeout: 75000,       // 이 시간 동안 응답 없으면 half-open으로 보고 재연결
+    expiryCheckGrace: 10 * 60 * 1000, // 만료 직전 최종 확인이 계속 실패하면 이만큼 더 재시도
+    redpacketExpiry: 60 * 60 * 1000, // 60 min
+    redpacketMaxCount: 50,
+    bountyExpiry: (parseFloat(process.env.BOUNTY_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000,
+    bountyMaxWinners: 10,
+    paywallMaxFile: 8 * 1024 * 1024,   // 첨부 파일은 DB에 저장 (Discord CDN URL은 만료됨)
+    raffleMaxDuration: 7 * 24 * 60 * 60 * 1000,
+    raffleMaxTickets: 1000,
+    raffleMinEntrants: 2,              // 미달 시 전액 환불
+    tipGroupMax: 50,                   // 역할/음성 채널 팁 최대 인원
+    tipConfirmTtl: 2 * 60 * 1000,
+    historyPageSize: 10,
+    leaderboardPageSize: 10,
+    voucherExpiry: (parseInt(process.env.VOUCHER_EXPIRY_HOURS) || 168) * 60 * 60 * 1000, // 7 days
+    voucherMaxUses: 100,
+    // 롤링 출금 한도 (0 = 제한 없음)
+    withdrawDailyCap: parseInt(process.env.WITHDRAW_DAILY_CAP ?? "100000"),          // 유저별 24h
+    withdrawWeeklyCap: parseInt(process.env.WITHDRAW_WEEKLY_CAP ?? "300000"),        // 유저별 7d
+    withdrawHourlyCap: parseInt(process.env.WITHDRAW_GLOBAL_HOURLY_CAP ?? "500000"), // 전체 1h, 초과 시 출금 중지
+    tipHold: parseFloat(process.env.TIP_HOLD_HOURS ?? "0") * 60 * 60 * 1000,         // 받은 팁 출금 대기
+    paymentResolveInterval: 60000,   // 미확정 출금 재조회 주기
+    paymentPendingGrace: 10 * 60 * 1000, // "pending"으로 남은 출금 (핸들러 중단) 재조회까지 대기
+    subscriptionInterval: 60000,     // 정기 후원 스케줄러 주기
+    subscriptionRetry: 24 * 60 * 60 * 1000,  // 잔액 부족 시 1회 재시도까지 대기, 재실패 시 일시정지
+    subscriptionMaxPerUser: 20
   },
   fees: {
     internal: 0,
-    external: 5
+    external: 5,
+    paywallPercent: parseFloat(process.env.PAYWALL_FEE_PERCENT ?? "0"),  // 판매 금액 중 운영자 몫 (%)
+    rafflePercent: parseFloat(process.env.RAFFLE_FEE_PERCENT ?? "0")     // 당첨금 중 운영자 몫 (%)
+  },
+  http: {
+    port: parseInt(process.env.HTTP_PORT) || 3000,
+    publicUrl: process.env.PUBLIC_URL,  // 예: https://pay.example.com (없으면 HTTP 서버 비활성)
+    trustProxy: process.env.TRUST_PROXY === "true"  // reverse proxy 뒤에서만: X-Forwarded-For 사용
+  },
+  api: {
+    enabled: process.env.API_ENABLED === "true",
+    host: process.env.API_HOST || "127.0.0.1",   // LNURL 서버와 별도 listener, 기본 loopback만
+    port: parseInt(process.env.API_PORT) || 3001,
+    maxBody: 64 * 1024,
+    webhookInterval: 10000,
+    webhookTimeout: 5000,
+    webhookBatch: 20,
+    webhookMaxAttempts: 8,             // 30s, 1m, 2m ... 이후 failed
+    webhookRetention: 7 * 24 * 60 * 60 * 1000
+  },
+  price: {
+    ttl: 60000,   // 가격 캐시 1분
+    currencies: (process.env.DISPLAY_CURRENCIES || "USD,EUR,GBP,KRW,JPY,ARS,MXN,COP,BRL").split(",").map(s => s.trim().toUpperCase()).filter(Boolean).slice(0, 24)
+  },
+  lnurl: {
+    minSendable: 1,         // sats
+    maxSendable: 1000000,   // sats
+    maxOpenInvoices: parseInt(process.env.LNURL_MAX_OPEN_INVOICES) || 20  // 수신자별 미결제 인보이스 상한
+  },
+  audit: {
+    interval: (parseInt(process.env.AUDIT_INTERVAL_MIN) || 15) * 60 * 1000,        // 장부 점검 주기
+    reportInterval: (parseInt(process.env.AUDIT_REPORT_HOURS) || 24) * 60 * 60 * 1000, // 정기 리포트 DM
+    alertThreshold: parseInt(process.env.AUDIT_ALERT_THRESHOLD) || 1000,             // 부족분 알림 (sats)
+    listLimit: 10
   },
-  emojiTips: {
+  rain: {
+    defaultWindow: 10,      // min
+    maxWindow: 60,          // min (메모리에 유지하는 채팅 기록)
+    maxUsers: 50,
+    minAccountAge: (parseFloat(process.env.RAIN_MIN_ACCOUNT_AGE_DAYS ?? "7")) * 24 * 60 * 60 * 1000,  // 새 계정 제외
+    persistWindow: (parseInt(process.env.RAIN_PERSIST_MINUTES) || 0) * 60 * 1000   // 0 = 메모리만 (재시작 시 초기화)
+  },
+  guilds: {
+    defaultFeeShare: parseInt(process.env.GUILD_FEE_SHARE ?? "0")   // 수수료 중 서버 owner 몫 (%)
+  },
+  // 새 서버 초기값: 유니코드는 그대로, 이름은 해당 서버의 커스텀 이모지 ID로 변환해 저장
+  defaultEmojiTips: {
     "⚡": 21,
     "CP_1ZAP": 1,
     "CP_8ZAP": 8,
@@ -56,8 +185,19 @@ const config = {
 };
 
 // Validate config
+const BACKEND_ENV = {
+  blink: ["BLINK_API_KEY"],
+  lnbits: ["LNBITS_URL", "LNBITS_ADMIN_KEY"],
+  lnd: ["LND_REST_URL", "LND_MACAROON"],
+  fake: []
+};
+
 const validateConfig = () => {
-  const required = ["DISCORD_TOKEN", "CLIENT_ID", "GUILD_ID", "BLINK_API_KEY"];
+  if (!BACKEND_ENV[config.ln.backend]) {
+    console.error(`❌ Unknown LN_BACKEND: ${config.ln.backend}`);
+    process.exit(1);
+  }
+  const required = ["DISCORD_TOKEN", "CLIENT_ID", ...BACKEND_ENV[config.ln.backend]];
   const missing = required.filter(key => !process.env[key]);
   if (missing.length) {
     console.error(`❌ Missing env: ${missing.join(", ")}`);
@@ -74,11 +214,6 @@ db.pragma("journal_mode = WAL");
 db.pragma("foreign_keys = ON");
 
 db.exec(`
-  CREATE TABLE IF NOT EXISTS balances (
-    user_id TEXT PRIMARY KEY,
-    amount INTEGER NOT NULL DEFAULT 0
-  );
-
   CREATE TABLE IF NOT EXISTS transactions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     ts TEXT NOT NULL DEFAULT (datetime('now')),
@@ -96,6 +231,16 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_tx_type ON transactions(type);
   CREATE INDEX IF NOT EXISTS idx_tx_ts ON transactions(ts);
 
+  CREATE TABLE IF NOT EXISTS ledger_postings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_id INTEGER NOT NULL REFERENCES transactions(id),
+    account TEXT NOT NULL,
+    amount INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_posting_account ON ledger_postings(account);
+  CREATE INDEX IF NOT EXISTS idx_posting_tx ON ledger_postings(tx_id);
+
   CREATE TABLE IF NOT EXISTS pending_invoices (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id TEXT NOT NULL,
@@ -103,42 +248,319 @@ db.exec(`
     amount INTEGER NOT NULL,
     created_at INTEGER NOT NULL
   );
-`);
 
-// ============ Migrate from JSON ============
-const migrateFromJson = () => {
-  const balanceFile = path.join(__dirname, "citadelpay_balances.json");
-  if (!fs.existsSync(balanceFile)) return;
+  CREATE TABLE IF NOT EXISTS redpackets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sender_id TEXT NOT NULL,
+    channel_id TEXT,
+    message_id TEXT,
+    amount INTEGER NOT NULL,
+    count INTEGER NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'equal',
+    memo TEXT,
+    remaining_amount INTEGER NOT NULL,
+    remaining_count INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS redpacket_claims (
+    packet_id INTEGER NOT NULL REFERENCES redpackets(id),
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    ts INTEGER NOT NULL,
+    PRIMARY KEY (packet_id, user_id)
+  );
 
-  const existing = db.prepare("SELECT COUNT(*) as cnt FROM balances").get();
-  if (existing.cnt > 0) return;
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    wallet INTEGER NOT NULL,
+    liabilities INTEGER NOT NULL,
+    diff INTEGER NOT NULL,
+    details TEXT
+  );
 
-  console.log("📦 Migrating JSON → SQLite...");
+  CREATE TABLE IF NOT EXISTS ln_addresses (
+    username TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL UNIQUE,
+    created_at INTEGER NOT NULL
+  );
 
-  const data = JSON.parse(fs.readFileSync(balanceFile, "utf8"));
-  const insert = db.prepare("INSERT OR IGNORE INTO balances (user_id, amount) VALUES (?, ?)");
+  CREATE TABLE IF NOT EXISTS vouchers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    creator_id TEXT NOT NULL,
+    secret TEXT NOT NULL UNIQUE,
+    k1 TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    uses INTEGER NOT NULL,
+    remaining_uses INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
 
-  const migrate = db.transaction(() => {
-    let count = 0;
-    for (const [uid, amt] of Object.entries(data)) {
-      insert.run(uid, amt);
-      count++;
-    }
-    console.log(`✅ Migrated ${count} balances`);
-  });
-  migrate();
+  CREATE TABLE IF NOT EXISTS voucher_claims (
+    voucher_id INTEGER NOT NULL REFERENCES vouchers(id),
+    payment_request TEXT NOT NULL UNIQUE,
+    tx_id INTEGER,
+    ts INTEGER NOT NULL
+  );
 
-  fs.renameSync(balanceFile, balanceFile + ".bak");
-  console.log("📦 Old JSON files renamed to .bak");
+  CREATE TABLE IF NOT EXISTS bot_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS frozen_accounts (
+    user_id TEXT PRIMARY KEY,
+    admin_id TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    ts INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    admin_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target_id TEXT,
+    amount INTEGER,
+    reason TEXT,
+    details TEXT,
+    prev_hash TEXT NOT NULL,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS outgoing_payments (
+    payment_hash TEXT PRIMARY KEY,
+    tx_id INTEGER NOT NULL REFERENCES transactions(id),
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    ref TEXT,
+    payment_request TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    fee INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_outgoing_status ON outgoing_payments(status);
+  CREATE INDEX IF NOT EXISTS idx_outgoing_tx ON outgoing_payments(tx_id);
+
+  CREATE TABLE IF NOT EXISTS emoji_tips (
+    guild_id TEXT NOT NULL,
+    emoji_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    PRIMARY KEY (guild_id, emoji_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS emoji_tip_disabled_channels (
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    PRIMARY KEY (guild_id, channel_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_settings (
+    user_id TEXT PRIMARY KEY,
+    lang TEXT,
+    locale TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS bounties (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    creator_id TEXT NOT NULL,
+    guild_id TEXT,
+    channel_id TEXT,
+    message_id TEXT,
+    description TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS bounty_funds (
+    bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    ts INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS bounty_awards (
+    bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    ts INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS paywalls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    creator_id TEXT NOT NULL,
+    guild_id TEXT,
+    channel_id TEXT,
+    message_id TEXT,
+    price INTEGER NOT NULL,
+    teaser TEXT,
+    content TEXT,
+    file BLOB,
+    file_name TEXT,
+    sales INTEGER NOT NULL DEFAULT 0,
+    revenue INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS paywall_purchases (
+    paywall_id INTEGER NOT NULL REFERENCES paywalls(id),
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    ts INTEGER NOT NULL,
+    PRIMARY KEY (paywall_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS api_apps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL,
+    webhook_url TEXT,
+    webhook_secret TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    revoked_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS api_grants (
+    app_id INTEGER NOT NULL REFERENCES api_apps(id),
+    user_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (app_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    app_id INTEGER NOT NULL REFERENCES api_apps(id),
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS raffles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    creator_id TEXT NOT NULL,
+    guild_id TEXT,
+    channel_id TEXT,
+    message_id TEXT,
+    ticket_price INTEGER NOT NULL,
+    max_tickets INTEGER NOT NULL,
+    prize INTEGER NOT NULL DEFAULT 0,
+    seed TEXT NOT NULL,
+    seed_hash TEXT NOT NULL,
+    winner_id TEXT,
+    payout INTEGER,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at INTEGER NOT NULL,
+    ends_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS raffle_tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    raffle_id INTEGER NOT NULL REFERENCES raffles(id),
+    user_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    ts INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payer_id TEXT NOT NULL,
+    payee_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    interval TEXT NOT NULL,
+    guild_id TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    failures INTEGER NOT NULL DEFAULT 0,
+    next_run INTEGER NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS channel_activity (
+    channel_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    PRIMARY KEY (channel_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id TEXT PRIMARY KEY,
+    owner_id TEXT,
+    fee_share INTEGER NOT NULL DEFAULT 0,
+    fee_internal INTEGER,
+    fee_external INTEGER,
+    max_withdraw INTEGER,
+    disabled_features TEXT,
+    announce_channel_id TEXT,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_redpacket_status ON redpackets(status);
+  CREATE INDEX IF NOT EXISTS idx_voucher_status ON vouchers(status);
+  CREATE INDEX IF NOT EXISTS idx_bounty_status ON bounties(status);
+  CREATE INDEX IF NOT EXISTS idx_raffle_status ON raffles(status);
+  CREATE INDEX IF NOT EXISTS idx_raffle_tickets ON raffle_tickets(raffle_id);
+  CREATE INDEX IF NOT EXISTS idx_api_grants_user ON api_grants(user_id);
+  CREATE INDEX IF NOT EXISTS idx_webhook_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_subscription_due ON subscriptions(status, next_run);
+`);
+
+// 기존 DB에 컬럼 추가 (CREATE TABLE IF NOT EXISTS는 기존 테이블을 바꾸지 않음)
+const addColumn = (table, column, def) => {
+  if (!db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${def}`);
+  }
 };
-migrateFromJson();
+addColumn("transactions", "guild_id", "TEXT");
+addColumn("pending_invoices", "guild_id", "TEXT");
+addColumn("pending_invoices", "interaction_token", "TEXT");
+addColumn("pending_invoices", "followup_id", "TEXT");
+addColumn("redpackets", "guild_id", "TEXT");
+addColumn("vouchers", "guild_id", "TEXT");
+addColumn("vouchers", "fee_reserve", "INTEGER");
+addColumn("user_settings", "leaderboard_optout", "INTEGER NOT NULL DEFAULT 0");
+addColumn("user_settings", "currency", "TEXT");
+addColumn("admin_log", "keyed", "INTEGER NOT NULL DEFAULT 0");
+addColumn("guild_settings", "leaderboard_weekly", "INTEGER NOT NULL DEFAULT 0");
+db.exec("CREATE INDEX IF NOT EXISTS idx_tx_guild ON transactions(guild_id)");
 
 // ============ Rate Limiter ============
 class RateLimiter {
+  static instances = [];
+
   constructor(maxRequests, windowMs) {
     this.limits = new Map();
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
+    RateLimiter.instances.push(this);
+  }
+
+  // 창이 지난 키 제거 (IP 단위 limiter는 키가 계속 늘어남)
+  prune() {
+    const now = Date.now();
+    for (const [key, ts] of this.limits) {
+      if (now - ts[ts.length - 1] >= this.windowMs) this.limits.delete(key);
+    }
+  }
+
+  static pruneAll() {
+    for (const limiter of RateLimiter.instances) limiter.prune();
   }
 
   check(userId) {
@@ -162,276 +584,3722 @@ const depositLimiter = new RateLimiter(5, 60000);    // 5 per minute
 const withdrawLimiter = new RateLimiter(3, 60000);   // 3 per minute
 const tipLimiter = new RateLimiter(10, 60000);       // 10 per minute
 const emojiTipLimiter = new RateLimiter(20, 60000);  // 20 per minute
+const redpacketLimiter = new RateLimiter(5, 60000);  // 5 per minute
+const bountyLimiter = new RateLimiter(5, 60000);     // 5 per minute
+const rainLimiter = new RateLimiter(3, 60000);       // 3 per minute
+const historyLimiter = new RateLimiter(10, 60000);   // 10 per minute
+const leaderboardLimiter = new RateLimiter(5, 60000); // 5 per minute
+const lnurlLimiter = new RateLimiter(30, 60000);     // 30 per minute (IP)
+const voucherLimiter = new RateLimiter(5, 60000);    // 5 per minute
+const apiLimiter = new RateLimiter(60, 60000);       // 60 per minute (app)
 
 // ============ DB Helpers (Prepared Statements) ============
 const stmt = {
-  getBalance: db.prepare("SELECT amount FROM balances WHERE user_id = ?"),
-  upsertBalance: db.prepare("INSERT INTO balances (user_id, amount) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET amount = ?"),
-  insertTx: db.prepare("INSERT INTO transactions (type, from_uid, to_uid, amount, fee, balance_after, details) VALUES (?, ?, ?, ?, ?, ?, ?)"),
-  insertPendingInvoice: db.prepare("INSERT INTO pending_invoices (user_id, payment_request, amount, created_at) VALUES (?, ?, ?, ?)"),
+  insertTx: db.prepare("INSERT INTO transactions (type, from_uid, to_uid, amount, fee, balance_after, details, guild_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)"),
+  getTx: db.prepare("SELECT * FROM transactions WHERE id = ?"),
+  updateTxDetails: db.prepare("UPDATE transactions SET details = ? WHERE id = ?"),
+  insertPosting: db.prepare("INSERT INTO ledger_postings (tx_id, account, amount) VALUES (?, ?, ?)"),
+  sumAccount: db.prepare("SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_postings WHERE account = ?"),
+  // account LIKE 'user:%' 등 계정 그룹 합계 (잔액 0인 계정은 개수에서 제외)
+  sumAccounts: db.prepare("SELECT COALESCE(SUM(bal), 0) AS total, COUNT(*) AS cnt FROM (SELECT SUM(amount) AS bal FROM ledger_postings WHERE account LIKE ? GROUP BY account HAVING bal != 0)"),
+  sumAllPostings: db.prepare("SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_postings"),
+  getUnbalancedTx: db.prepare("SELECT tx_id, SUM(amount) AS diff FROM ledger_postings GROUP BY tx_id HAVING diff != 0"),
+  countPostings: db.prepare("SELECT COUNT(*) AS cnt FROM ledger_postings"),
+  insertPendingInvoice: db.prepare("INSERT INTO pending_invoices (user_id, payment_request, amount, created_at, guild_id, interaction_token) VALUES (?, ?, ?, ?, ?, ?)"),
+  setInvoiceFollowup: db.prepare("UPDATE pending_invoices SET followup_id = ? WHERE payment_request = ?"),
+  getPendingInvoice: db.prepare("SELECT * FROM pending_invoices WHERE payment_request = ?"),
   deletePendingInvoice: db.prepare("DELETE FROM pending_invoices WHERE payment_request = ?"),
   getAllPendingInvoices: db.prepare("SELECT * FROM pending_invoices"),
+  insertRedpacket: db.prepare("INSERT INTO redpackets (sender_id, channel_id, amount, count, mode, memo, remaining_amount, remaining_count, created_at, guild_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+  setRedpacketMessage: db.prepare("UPDATE redpackets SET message_id = ? WHERE id = ?"),
+  getRedpacket: db.prepare("SELECT * FROM redpackets WHERE id = ?"),
+  getOpenRedpackets: db.prepare("SELECT * FROM redpackets WHERE status = 'open'"),
+  updateRedpacket: db.prepare("UPDATE redpackets SET remaining_amount = ?, remaining_count = ?, status = ? WHERE id = ?"),
+  insertRedpacketClaim: db.prepare("INSERT INTO redpacket_claims (packet_id, user_id, amount, ts) VALUES (?, ?, ?, ?)"),
+  getRedpacketClaim: db.prepare("SELECT * FROM redpacket_claims WHERE packet_id = ? AND user_id = ?"),
+  getRedpacketClaims: db.prepare("SELECT * FROM redpacket_claims WHERE packet_id = ? ORDER BY ts"),
+  getUserSettings: db.prepare("SELECT * FROM user_settings WHERE user_id = ?"),
+  setUserCurrency: db.prepare("INSERT INTO user_settings (user_id, currency) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET currency = excluded.currency"),
+  setLeaderboardOptout: db.prepare("INSERT INTO user_settings (user_id, leaderboard_optout) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET leaderboard_optout = excluded.leaderboard_optout"),
+  // 공개 순위: opt-out 유저 제외, @side = "from" (보낸 사람) | "to" (받는 사람)
+  getLeaderboard: db.prepare(`SELECT CASE WHEN @side = 'from' THEN from_uid ELSE to_uid END AS uid, SUM(amount) AS total, COUNT(*) AS cnt
+    FROM transactions WHERE type IN (SELECT value FROM json_each(@types))
+    AND (@since IS NULL OR ts >= datetime('now', @since)) AND (@guild IS NULL OR guild_id = @guild)
+    AND uid IS NOT NULL AND uid NOT IN (SELECT user_id FROM user_settings WHERE leaderboard_optout = 1)
+    GROUP BY uid ORDER BY total DESC, cnt DESC`),
+  setUserLang: db.prepare("INSERT INTO user_settings (user_id, lang) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET lang = excluded.lang"),
+  // @type: 정확히 일치 또는 하위 타입 (redpacket → redpacket_claim, redpacket_refund)
+  countHistory: db.prepare(`SELECT COUNT(*) AS cnt FROM transactions WHERE (from_uid = @uid OR to_uid = @uid)
+    AND (@type IS NULL OR type = @type OR type LIKE @type || '\\_%' ESCAPE '\\')
+    AND (@from IS NULL OR ts >= @from) AND (@to IS NULL OR ts < date(@to, '+1 day'))`),
+  getHistory: db.prepare(`SELECT * FROM transactions WHERE (from_uid = @uid OR to_uid = @uid)
+    AND (@type IS NULL OR type = @type OR type LIKE @type || '\\_%' ESCAPE '\\')
+    AND (@from IS NULL OR ts >= @from) AND (@to IS NULL OR ts < date(@to, '+1 day'))
+    ORDER BY id DESC LIMIT @limit OFFSET @offset`),
+  getWithdrawsByStatus: db.prepare("SELECT * FROM transactions WHERE type = 'withdraw' AND json_extract(details, '$.status') = ? ORDER BY id DESC"),
+  getStaleInvoices: db.prepare("SELECT * FROM pending_invoices WHERE created_at < ? ORDER BY created_at"),
+  countPendingInvoices: db.prepare("SELECT COUNT(*) AS cnt FROM pending_invoices"),
+  // /deposit 외 (Lightning Address, API) 인보이스
+  countExternalInvoices: db.prepare("SELECT COUNT(*) AS cnt FROM pending_invoices WHERE user_id = ? AND interaction_token IS NULL"),
+  insertAudit: db.prepare("INSERT INTO audit_log (ts, kind, wallet, liabilities, diff, details) VALUES (?, ?, ?, ?, ?, ?)"),
+  getLastAudit: db.prepare("SELECT * FROM audit_log WHERE kind = ? ORDER BY id DESC LIMIT 1"),
+  getLnAddress: db.prepare("SELECT * FROM ln_addresses WHERE username = ?"),
+  getLnAddressByUser: db.prepare("SELECT * FROM ln_addresses WHERE user_id = ?"),
+  deleteLnAddressByUser: db.prepare("DELETE FROM ln_addresses WHERE user_id = ?"),
+  insertLnAddress: db.prepare("INSERT INTO ln_addresses (username, user_id, created_at) VALUES (?, ?, ?)"),
+  insertVoucher: db.prepare("INSERT INTO vouchers (creator_id, secret, k1, amount, uses, remaining_uses, created_at, expires_at, guild_id, fee_reserve) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+  getVoucher: db.prepare("SELECT * FROM vouchers WHERE id = ?"),
+  getVoucherBySecret: db.prepare("SELECT * FROM vouchers WHERE secret = ?"),
+  getOpenVouchers: db.prepare("SELECT * FROM vouchers WHERE status = 'open'"),
+  updateVoucher: db.prepare("UPDATE vouchers SET remaining_uses = ?, status = ? WHERE id = ?"),
+  insertVoucherClaim: db.prepare("INSERT INTO voucher_claims (voucher_id, payment_request, tx_id, ts) VALUES (?, ?, ?, ?)"),
+  getVoucherClaim: db.prepare("SELECT * FROM voucher_claims WHERE payment_request = ?"),
+  // 출금량: 환불된 출금 제외. @since = datetime 수식어 ('-86400 seconds')
+  // ledger 이전 출금은 pending + 결과 행 2개 (postings 없음) → 결과 행만 집계
+  sumWithdrawnBy: db.prepare(`SELECT COALESCE(SUM(amount), 0) AS total FROM transactions t WHERE type IN ('withdraw', 'voucher_claim')
+    AND from_uid = ? AND ts >= datetime('now', ?) AND json_extract(details, '$.status') IS NOT 'refunded'
+    AND (json_extract(details, '$.status') IS NOT 'pending' OR EXISTS (SELECT 1 FROM ledger_postings p WHERE p.tx_id = t.id))`),
+  sumWithdrawnAll: db.prepare(`SELECT COALESCE(SUM(amount), 0) AS total FROM transactions t WHERE type IN ('withdraw', 'voucher_claim')
+    AND ts >= datetime('now', ?) AND json_extract(details, '$.status') IS NOT 'refunded'
+    AND (json_extract(details, '$.status') IS NOT 'pending' OR EXISTS (SELECT 1 FROM ledger_postings p WHERE p.tx_id = t.id))`),
+  sumReceivedTips: db.prepare(`SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE type IN ('tip', 'emoji_tip', 'redpacket_claim', 'rain', 'subscription', 'bounty_award', 'paywall', 'raffle_win')
+    AND to_uid = ? AND ts >= datetime('now', ?)`),
+  getState: db.prepare("SELECT value FROM bot_state WHERE key = ?"),
+  setState: db.prepare("INSERT INTO bot_state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+  deleteState: db.prepare("DELETE FROM bot_state WHERE key = ?"),
+  getFrozen: db.prepare("SELECT * FROM frozen_accounts WHERE user_id = ?"),
+  insertFrozen: db.prepare("INSERT INTO frozen_accounts (user_id, admin_id, reason, ts) VALUES (?, ?, ?, ?)"),
+  deleteFrozen: db.prepare("DELETE FROM frozen_accounts WHERE user_id = ?"),
+  insertAdminLog: db.prepare("INSERT INTO admin_log (ts, admin_id, action, target_id, amount, reason, details, prev_hash, hash, keyed) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+  getLastAdminLog: db.prepare("SELECT * FROM admin_log ORDER BY id DESC LIMIT 1"),
+  getAdminLogs: db.prepare("SELECT * FROM admin_log ORDER BY id DESC LIMIT ?"),
+  iterAdminLog: db.prepare("SELECT * FROM admin_log ORDER BY id"),
+  // 이전 시도가 환불된 인보이스만 다시 기록 가능
+  upsertOutgoing: db.prepare(`INSERT INTO outgoing_payments (payment_hash, tx_id, user_id, kind, ref, payment_request, amount, fee, status, created_at, updated_at)
+    VALUES (@hash, @txId, @uid, @kind, @ref, @pr, @amount, @fee, 'pending', @now, @now)
+    ON CONFLICT(payment_hash) DO UPDATE SET tx_id = excluded.tx_id, user_id = excluded.user_id, kind = excluded.kind, ref = excluded.ref,
+      payment_request = excluded.payment_request, amount = excluded.amount, fee = excluded.fee, status = 'pending', attempts = 0,
+      created_at = excluded.created_at, updated_at = excluded.updated_at
+    WHERE outgoing_payments.status = 'refunded'`),
+  getOutgoing: db.prepare("SELECT * FROM outgoing_payments WHERE payment_hash = ?"),
+  getOutgoingByTx: db.prepare("SELECT * FROM outgoing_payments WHERE tx_id = ?"),
+  setOutgoingStatus: db.prepare("UPDATE outgoing_payments SET status = ?, updated_at = ? WHERE tx_id = ?"),
+  bumpOutgoingAttempts: db.prepare("UPDATE outgoing_payments SET attempts = attempts + 1, updated_at = ? WHERE tx_id = ?"),
+  // 미확정: verified_PENDING/unverified, 또는 오래된 pending
+  getUnresolvedOutgoing: db.prepare(`SELECT * FROM outgoing_payments WHERE status IN ('verified_PENDING', 'unverified')
+    OR (status = 'pending' AND created_at < ?) ORDER BY created_at`),
+  getTxPostings: db.prepare("SELECT account, amount FROM ledger_postings WHERE tx_id = ?"),
+  getEmojiTip: db.prepare("SELECT * FROM emoji_tips WHERE guild_id = ? AND emoji_key = ?"),
+  getEmojiTips: db.prepare("SELECT * FROM emoji_tips WHERE guild_id = ? ORDER BY amount"),
+  upsertEmojiTip: db.prepare("INSERT INTO emoji_tips (guild_id, emoji_key, label, amount) VALUES (?, ?, ?, ?) ON CONFLICT(guild_id, emoji_key) DO UPDATE SET label = excluded.label, amount = excluded.amount"),
+  deleteEmojiTip: db.prepare("DELETE FROM emoji_tips WHERE guild_id = ? AND emoji_key = ?"),
+  isEmojiTipDisabled: db.prepare("SELECT 1 FROM emoji_tip_disabled_channels WHERE guild_id = ? AND channel_id = ?"),
+  disableEmojiTipChannel: db.prepare("INSERT OR IGNORE INTO emoji_tip_disabled_channels (guild_id, channel_id) VALUES (?, ?)"),
+  enableEmojiTipChannel: db.prepare("DELETE FROM emoji_tip_disabled_channels WHERE guild_id = ? AND channel_id = ?"),
+  getEmojiTipDisabledChannels: db.prepare("SELECT channel_id FROM emoji_tip_disabled_channels WHERE guild_id = ?"),
+  insertBounty: db.prepare("INSERT INTO bounties (creator_id, guild_id, channel_id, description, amount, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)"),
+  setBountyMessage: db.prepare("UPDATE bounties SET message_id = ? WHERE id = ?"),
+  getBounty: db.prepare("SELECT * FROM bounties WHERE id = ?"),
+  getOpenBounties: db.prepare("SELECT * FROM bounties WHERE status = 'open' AND (@guild IS NULL OR guild_id = @guild) ORDER BY amount DESC"),
+  addBountyAmount: db.prepare("UPDATE bounties SET amount = amount + ? WHERE id = ?"),
+  setBountyStatus: db.prepare("UPDATE bounties SET status = ? WHERE id = ?"),
+  insertBountyFund: db.prepare("INSERT INTO bounty_funds (bounty_id, user_id, amount, ts) VALUES (?, ?, ?, ?)"),
+  // 환불용: 후원자별 합계
+  getBountyFunders: db.prepare("SELECT user_id, SUM(amount) AS amount FROM bounty_funds WHERE bounty_id = ? GROUP BY user_id ORDER BY MIN(ts)"),
+  insertBountyAward: db.prepare("INSERT INTO bounty_awards (bounty_id, user_id, amount, ts) VALUES (?, ?, ?, ?)"),
+  getBountyAwards: db.prepare("SELECT * FROM bounty_awards WHERE bounty_id = ? ORDER BY ts"),
+  insertPaywall: db.prepare("INSERT INTO paywalls (creator_id, guild_id, channel_id, price, teaser, content, file, file_name, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+  setPaywallMessage: db.prepare("UPDATE paywalls SET message_id = ? WHERE id = ?"),
+  getPaywall: db.prepare("SELECT * FROM paywalls WHERE id = ?"),
+  getPaywallsByCreator: db.prepare("SELECT id, price, teaser, sales, revenue, created_at FROM paywalls WHERE creator_id = ? ORDER BY id DESC"),
+  addPaywallSale: db.prepare("UPDATE paywalls SET sales = sales + 1, revenue = revenue + ? WHERE id = ?"),
+  insertPaywallPurchase: db.prepare("INSERT INTO paywall_purchases (paywall_id, user_id, amount, ts) VALUES (?, ?, ?, ?)"),
+  getPaywallPurchase: db.prepare("SELECT * FROM paywall_purchases WHERE paywall_id = ? AND user_id = ?"),
+  insertApiApp: db.prepare("INSERT INTO api_apps (name, key_hash, scopes, webhook_url, webhook_secret, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)"),
+  getApiApp: db.prepare("SELECT * FROM api_apps WHERE id = ?"),
+  getApiAppByKey: db.prepare("SELECT * FROM api_apps WHERE key_hash = ? AND revoked_at IS NULL"),
+  getApiApps: db.prepare("SELECT a.*, (SELECT COUNT(*) FROM api_grants g WHERE g.app_id = a.id) AS users FROM api_apps a ORDER BY a.id"),
+  revokeApiApp: db.prepare("UPDATE api_apps SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL"),
+  insertApiGrant: db.prepare("INSERT OR IGNORE INTO api_grants (app_id, user_id, created_at) VALUES (?, ?, ?)"),
+  deleteApiGrant: db.prepare("DELETE FROM api_grants WHERE app_id = ? AND user_id = ?"),
+  getApiGrant: db.prepare("SELECT * FROM api_grants WHERE app_id = ? AND user_id = ?"),
+  getUserApiGrants: db.prepare("SELECT a.* FROM api_grants g JOIN api_apps a ON a.id = g.app_id WHERE g.user_id = ? AND a.revoked_at IS NULL ORDER BY a.id"),
+  // 웹훅: 거래 당사자 중 한 명이라도 권한을 준 앱
+  getWebhookApps: db.prepare(`SELECT DISTINCT a.id FROM api_apps a JOIN api_grants g ON g.app_id = a.id
+    WHERE a.revoked_at IS NULL AND a.webhook_url IS NOT NULL AND g.user_id IN (?, ?)`),
+  insertWebhook: db.prepare("INSERT INTO webhook_deliveries (app_id, event, payload, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?)"),
+  getDueWebhooks: db.prepare(`SELECT w.*, a.webhook_url, a.webhook_secret FROM webhook_deliveries w JOIN api_apps a ON a.id = w.app_id
+    WHERE w.status = 'pending' AND w.next_attempt_at <= ? ORDER BY w.id LIMIT ?`),
+  updateWebhook: db.prepare("UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?"),
+  pruneWebhooks: db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?"),
+  insertRaffle: db.prepare("INSERT INTO raffles (creator_id, guild_id, channel_id, ticket_price, max_tickets, prize, seed, seed_hash, created_at, ends_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"),
+  setRaffleMessage: db.prepare("UPDATE raffles SET message_id = ? WHERE id = ?"),
+  getRaffle: db.prepare("SELECT * FROM raffles WHERE id = ?"),
+  getOpenRaffles: db.prepare("SELECT * FROM raffles WHERE status = 'open'"),
+  finishRaffle: db.prepare("UPDATE raffles SET status = ?, winner_id = ?, payout = ? WHERE id = ?"),
+  insertRaffleTicket: db.prepare("INSERT INTO raffle_tickets (raffle_id, user_id, amount, ts) VALUES (?, ?, ?, ?)"),
+  getRaffleTickets: db.prepare("SELECT * FROM raffle_tickets WHERE raffle_id = ? ORDER BY id"),
+  countRaffleTickets: db.prepare("SELECT COUNT(*) AS cnt, COUNT(DISTINCT user_id) AS entrants, COALESCE(SUM(amount), 0) AS total FROM raffle_tickets WHERE raffle_id = ?"),
+  countUserRaffleTickets: db.prepare("SELECT COUNT(*) AS cnt FROM raffle_tickets WHERE raffle_id = ? AND user_id = ?"),
+  insertSubscription: db.prepare("INSERT INTO subscriptions (payer_id, payee_id, amount, interval, guild_id, next_run, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)"),
+  getSubscription: db.prepare("SELECT * FROM subscriptions WHERE id = ?"),
+  getSubscriptionsByUser: db.prepare("SELECT * FROM subscriptions WHERE (payer_id = ? OR payee_id = ?) AND status != 'cancelled' ORDER BY id"),
+  countActiveSubscriptions: db.prepare("SELECT COUNT(*) AS cnt FROM subscriptions WHERE payer_id = ? AND status != 'cancelled'"),
+  getDueSubscriptions: db.prepare("SELECT * FROM subscriptions WHERE status = 'active' AND next_run <= ? ORDER BY next_run"),
+  setSubscriptionRun: db.prepare("UPDATE subscriptions SET next_run = ?, failures = ? WHERE id = ?"),
+  setSubscriptionStatus: db.prepare("UPDATE subscriptions SET status = ?, failures = 0, next_run = ? WHERE id = ?"),
+  upsertActivity: db.prepare("INSERT INTO channel_activity (channel_id, user_id, ts) VALUES (?, ?, ?) ON CONFLICT(channel_id, user_id) DO UPDATE SET ts = excluded.ts"),
+  getRecentActivity: db.prepare("SELECT * FROM channel_activity WHERE ts >= ? ORDER BY ts"),
+  pruneActivity: db.prepare("DELETE FROM channel_activity WHERE ts < ?"),
+  getGuildSettings: db.prepare("SELECT * FROM guild_settings WHERE guild_id = ?"),
+  insertGuildSettings: db.prepare("INSERT OR IGNORE INTO guild_settings (guild_id, owner_id, fee_share, updated_at) VALUES (?, ?, ?, ?)"),
+  saveGuildSettings: db.prepare(`UPDATE guild_settings SET owner_id = @owner_id, fee_share = @fee_share, fee_internal = @fee_internal, fee_external = @fee_external,
+    max_withdraw = @max_withdraw, disabled_features = @disabled_features, announce_channel_id = @announce_channel_id, leaderboard_weekly = @leaderboard_weekly,
+    updated_at = @updated_at WHERE guild_id = @guild_id`),
+  getLeaderboardGuilds: db.prepare("SELECT * FROM guild_settings WHERE leaderboard_weekly = 1 AND announce_channel_id IS NOT NULL"),
+  setUserLocale: db.prepare("INSERT INTO user_settings (user_id, locale) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET locale = excluded.locale WHERE user_settings.locale IS NOT excluded.locale"),
 };
 
-// ============ Balance Operations (Atomic) ============
-const balance = {
-  get: (uid) => stmt.getBalance.get(uid)?.amount || 0,
-  set: (uid, amt) => stmt.upsertBalance.run(uid, amt, amt),
-  
-  add: db.transaction((uid, amt) => {
-    const cur = stmt.getBalance.get(uid)?.amount || 0;
-    const newVal = cur + amt;
-    stmt.upsertBalance.run(uid, newVal, newVal);
-    return newVal;
-  }),
-  
-  sub: db.transaction((uid, amt) => {
-    const cur = stmt.getBalance.get(uid)?.amount || 0;
-    if (cur < amt) {
-      throw new Error(`Insufficient balance: ${cur} < ${amt}`);
-    }
-    const newVal = cur - amt;
-    stmt.upsertBalance.run(uid, newVal, newVal);
-    return newVal;
+// ============ Transaction Log ============
+// 웹훅은 같은 DB 트랜잭션에서 outbox(webhook_deliveries)에 기록 → 롤백되면 함께 취소, 전송은 webhooks.run
+const WEBHOOK_EVENTS = { deposit: "deposit", tip: "tip", emoji_tip: "tip", withdraw: "withdraw", withdraw_refund: "withdraw_refund" };
+
+const queueWebhooks = (txId, type, { from, to, amount, fee, status, ref, guild }) => {
+  const event = WEBHOOK_EVENTS[type];
+  if (!event) return;
+  const now = Date.now();
+  const payload = JSON.stringify({ event, created_at: now, data: { tx_id: txId, type, from, to, amount: amount || 0, fee: fee || 0, status: status || null, ref: ref || null, guild: guild || null } });
+  for (const { id } of stmt.getWebhookApps.all(from, to)) stmt.insertWebhook.run(id, event, payload, now, now);
+};
+
+const txLog = (type, { from, to, uid, amount, fee, dest, status, reason, emoji, ref, bal, guild }) => {
+  const fromUid = from || uid || null;
+  const toUid = to || null;
+  const balAfter = bal ?? null;
+  const details = JSON.stringify(
+    Object.fromEntries(Object.entries({ dest, status, reason, emoji, ref }).filter(([, v]) => v != null))
+  );
+  const txId = stmt.insertTx.run(type, fromUid, toUid, amount || null, fee || null, balAfter, details === "{}" ? null : details, guild || null).lastInsertRowid;
+  queueWebhooks(txId, type, { from: fromUid, to: toUid, amount, fee, status, ref, guild });
+  return txId;
+};
+
+// ============ Ledger (Double-Entry) ============
+// 모든 잔액 변동 = transactions 1행 + 합계 0인 postings (같은 DB 트랜잭션)
+// 부호: +는 해당 계정 증가. asset:blink만 반대 부호 (지갑 보유량 = -잔액)
+const OWNER_ID = "owner";
+const ACCT = {
+  owner: OWNER_ID,
+  wallet: "asset:blink",
+  adjustment: "equity:adjustment",
+  user: (uid) => `user:${uid}`,
+  guild: (gid) => `guild:${gid}`,
+  escrow: (kind, id) => `escrow:${kind}:${id}`
+};
+
+const ledger = {
+  balanceOf: (account) => stmt.sumAccount.get(account).total,
+
+  // postings: [[account, amount], ...], log: txLog 필드
+  // user:/escrow: 계정은 allowNegative 없이는 음수가 될 수 없음
+  post: db.transaction((type, postings, log = {}, { allowNegative = false } = {}) => {
+    const net = new Map();
+    for (const [account, amt] of postings) {
+      if (amt) net.set(account, (net.get(account) || 0) + amt);
+    }
+    const sum = [...net.values()].reduce((s, amt) => s + amt, 0);
+    if (sum !== 0) throw new Error(`Unbalanced entry (${type}): ${sum}`);
+
+    if (!allowNegative) {
+      for (const [account, amt] of net) {
+        if (amt >= 0 || !/^(user|escrow):/.test(account)) continue;
+        const cur = ledger.balanceOf(account);
+        if (cur < -amt) throw new Error(`Insufficient balance: ${cur} < ${-amt}`);
+      }
+    }
+
+    // balance_after: 주체 유저 (uid, 없으면 받는 사람) 기준
+    const balUid = log.uid || log.to;
+    const bal = balUid ? ledger.balanceOf(ACCT.user(balUid)) + (net.get(ACCT.user(balUid)) || 0) : null;
+    const txId = txLog(type, { ...log, bal });
+    for (const [account, amt] of net) stmt.insertPosting.run(txId, account, amt);
+    return txId;
   }),
-  
-  transfer: db.transaction((fromUid, toUid, amt) => {
-    const fromBal = stmt.getBalance.get(fromUid)?.amount || 0;
-    if (fromBal < amt) {
-      throw new Error(`Insufficient balance: ${fromBal} < ${amt}`);
-    }
-    const toBal = stmt.getBalance.get(toUid)?.amount || 0;
-    stmt.upsertBalance.run(fromUid, fromBal - amt, fromBal - amt);
-    stmt.upsertBalance.run(toUid, toBal + amt, toBal + amt);
-    return { fromBalance: fromBal - amt, toBalance: toBal + amt };
+
+  move: (type, fromAcct, toAcct, amt, log, opts) => ledger.post(type, [[fromAcct, -amt], [toAcct, amt]], log, opts),
+
+  // 잔액 변동 없이 기존 거래의 상태만 갱신 (pending → success 등), 상태가 바뀌면 웹훅도 다시 발송
+  setStatus: db.transaction((txId, status, reason) => {
+    const row = stmt.getTx.get(txId);
+    if (!row) return;
+    const prev = row.details ? JSON.parse(row.details) : {};
+    const details = { ...prev, status };
+    if (reason) details.reason = reason;
+    stmt.updateTxDetails.run(JSON.stringify(details), txId);
+    if (prev.status !== status) {
+      queueWebhooks(txId, row.type, { from: row.from_uid, to: row.to_uid, amount: row.amount, fee: row.fee, status, ref: details.ref, guild: row.guild_id });
+    }
   }),
 
-  multiTransfer: db.transaction((fromUid, toUids, amt) => {
+  verify: () => ({
+    total: stmt.sumAllPostings.get().total,
+    unbalanced: stmt.getUnbalancedTx.all()
+  })
+};
+
+// ============ Balance Operations (Atomic) ============
+const balance = {
+  get: (uid) => ledger.balanceOf(ACCT.user(uid)),
+
+  transfer: (fromUid, toUid, amt, type = "tip", log = {}) =>
+    ledger.move(type, ACCT.user(fromUid), ACCT.user(toUid), amt, { from: fromUid, to: toUid, amount: amt, ...log }),
+
+  // 수신자별 거래 1건씩, 전체는 하나의 DB 트랜잭션
+  multiTransfer: db.transaction((fromUid, toUids, amt, type = "tip", log = {}) => {
     const total = amt * toUids.length;
-    const fromBal = stmt.getBalance.get(fromUid)?.amount || 0;
+    const fromBal = balance.get(fromUid);
     if (fromBal < total) {
       throw new Error(`Insufficient balance: ${fromBal} < ${total}`);
     }
-    stmt.upsertBalance.run(fromUid, fromBal - total, fromBal - total);
-    for (const toUid of toUids) {
-      const toBal = stmt.getBalance.get(toUid)?.amount || 0;
-      stmt.upsertBalance.run(toUid, toBal + amt, toBal + amt);
-    }
+    for (const toUid of toUids) balance.transfer(fromUid, toUid, amt, type, log);
     return fromBal - total;
   })
 };
 
-const OWNER_ID = "owner";
 const owner = {
-  get: () => balance.get(OWNER_ID),
-  add: (amt) => amt > 0 && balance.add(OWNER_ID, amt),
-  reset: () => balance.set(OWNER_ID, 0)
+  get: () => ledger.balanceOf(OWNER_ID),
+  // 외부로 정산된 수수료 → equity:adjustment
+  reset: () => {
+    const bal = owner.get();
+    if (bal) ledger.move("owner_reset", OWNER_ID, ACCT.adjustment, bal, { amount: bal });
+  }
 };
 
-// ============ Transaction Log ============
-const txLog = (type, { from, to, uid, amount, fee, dest, status, reason, emoji, bal }) => {
-  const fromUid = from || uid || null;
-  const toUid = to || null;
-  const balAfter = bal ?? null;
-  const details = JSON.stringify(
-    Object.fromEntries(Object.entries({ dest, status, reason, emoji }).filter(([, v]) => v != null))
-  );
-  stmt.insertTx.run(type, fromUid, toUid, amount || null, fee || null, balAfter, details === "{}" ? null : details);
+// 출금: user → 지갑 밖으로 amt + 수수료 fee (운영자/서버 owner 분배, 환불은 반대 부호)
+const withdrawPostings = (uid, amt, fee, guildId) => [[ACCT.user(uid), -(amt + fee)], ...feePostings(fee, guildId), [ACCT.wallet, amt]];
+const reversePostings = (postings) => postings.map(([account, amt]) => [account, -amt]);
+
+// ============ Guild Settings ============
+// null 필드 = 전역 config 사용. 잔액은 서버와 무관하게 전역
+const FEATURES = ["deposit", "withdraw", "tip", "emojitip", "rain", "redpacket", "bounty", "paywall", "raffle", "voucher"];
+
+const guildSettings = {
+  get: (guildId) => (guildId ? stmt.getGuildSettings.get(guildId) : null),
+  // 처음 보는 서버: Discord 서버 owner를 수수료 owner로
+  ensure: (guild) => stmt.insertGuildSettings.run(guild.id, guild.ownerId, config.guilds.defaultFeeShare, Date.now()),
+  update: (guildId, fields) => {
+    const cur = stmt.getGuildSettings.get(guildId);
+    stmt.saveGuildSettings.run({ ...cur, ...fields, updated_at: Date.now() });
+    return stmt.getGuildSettings.get(guildId);
+  }
 };
 
-// ============ Blink API ============
-const blinkApi = axios.create({
-  baseURL: config.blink.endpoint,
-  headers: { "X-API-KEY": config.blink.apiKey, "Content-Type": "application/json" },
-  timeout: 30000
-});
+const guildFees = (guildId) => {
+  const gs = guildSettings.get(guildId);
+  return { internal: gs?.fee_internal ?? config.fees.internal, external: gs?.fee_external ?? config.fees.external };
+};
+const guildMaxWithdraw = (guildId) => guildSettings.get(guildId)?.max_withdraw ?? config.limits.maxWithdraw;
+const disabledFeatures = (gs) => (gs?.disabled_features ? gs.disabled_features.split(",") : []);
+const featureEnabled = (guildId, feature) => !disabledFeatures(guildSettings.get(guildId)).includes(feature);
 
-const gql = async (query, variables = {}) => {
-  const { data } = await blinkApi.post("", { query, variables });
-  if (data.errors?.length) throw new Error(data.errors[0].message);
-  return data.data;
+// 명령어/버튼/모달 ID → 기능
+const featureOf = (id) => {
+  if (/^deposit/.test(id)) return "deposit";
+  if (/^withdraw/.test(id)) return "withdraw";
+  if (/^redpacket/.test(id)) return "redpacket";
+  if (/^bounty/.test(id)) return "bounty";
+  if (/^paywall/.test(id)) return "paywall";
+  if (/^raffle/.test(id)) return "raffle";
+  if (/^subscri|^tip_/.test(id)) return "tip";
+  return ["tip", "rain", "voucher"].includes(id) ? id : null;
 };
 
-let walletId = null;
-const getWalletId = async () => {
-  if (walletId) return walletId;
-  const data = await gql(`{ me { defaultAccount { wallets { id walletCurrency } } } }`);
-  const btc = data.me.defaultAccount.wallets.find(w => w.walletCurrency === "BTC");
-  if (!btc) throw new Error("BTC wallet not found");
-  walletId = btc.id;
-  console.log("✅ Wallet:", walletId);
-  return walletId;
+// 수수료 분배: 서버 owner 몫 (fee_share %) → guild:<id>, 나머지 → owner
+const feePostings = (fee, guildId) => {
+  const gs = guildSettings.get(guildId);
+  const share = gs?.owner_id ? Math.floor(fee * gs.fee_share / 100) : 0;
+  return [[OWNER_ID, fee - share], [ACCT.guild(guildId), share]];
 };
 
-const blink = {
-  createInvoice: async (amount, memo) => {
-    const data = await gql(
-      `mutation($i: LnInvoiceCreateInput!) { lnInvoiceCreate(input: $i) { invoice { paymentRequest } errors { message } } }`,
-      { i: { walletId: await getWalletId(), amount, memo } }
-    );
-    if (data.lnInvoiceCreate.errors?.length) throw new Error(data.lnInvoiceCreate.errors[0].message);
-    return data.lnInvoiceCreate.invoice.paymentRequest;
-  },
+// ============ Migrate to Ledger ============
+// 잔액은 지갑에 있던 sats → 상대 계정은 asset:blink
+const postOpening = (entries, reason) => {
+  const postings = entries.filter(([, amt]) => amt);
+  if (!postings.length) return 0;
+  const total = postings.reduce((s, [, amt]) => s + amt, 0);
+  ledger.post("opening", [...postings, [ACCT.wallet, -total]], { amount: total, reason }, { allowNegative: true });
+  return postings.length;
+};
 
-  checkInvoice: async (pr) => {
-    const data = await gql(
-      `query($i: LnInvoicePaymentStatusByPaymentRequestInput!) { lnInvoicePaymentStatusByPaymentRequest(input: $i) { status } }`,
-      { i: { paymentRequest: pr } }
-    );
-    return data.lnInvoicePaymentStatusByPaymentRequest?.status;
-  },
+const accountOf = (uid) => (uid === OWNER_ID ? OWNER_ID : ACCT.user(uid));
 
-  probeFee: async (pr) => {
-    try {
-      const data = await gql(
-        `mutation($i: LnInvoiceFeeProbeInput!) { lnInvoiceFeeProbe(input: $i) { amount } }`,
-        { i: { walletId: await getWalletId(), paymentRequest: pr } }
-      );
-      return data.lnInvoiceFeeProbe.amount || 0;
-    } catch { return null; }
-  },
+const migrateFromJson = () => {
+  const balanceFile = path.join(__dirname, "citadelpay_balances.json");
+  if (!fs.existsSync(balanceFile)) return;
+  if (stmt.countPostings.get().cnt > 0) return;
 
-  pay: async (pr) => {
-    const data = await gql(
-      `mutation($i: LnInvoicePaymentInput!) { lnInvoicePaymentSend(input: $i) { status errors { message } } }`,
-      { i: { walletId: await getWalletId(), paymentRequest: pr } }
-    );
-    if (data.lnInvoicePaymentSend.errors?.length) throw new Error(data.lnInvoicePaymentSend.errors[0].message);
-    return data.lnInvoicePaymentSend.status;
-  },
+  console.log("📦 Migrating JSON → SQLite...");
 
-  payZeroAmount: async (pr, amount) => {
-    const data = await gql(
-      `mutation($i: LnNoAmountInvoicePaymentInput!) { lnNoAmountInvoicePaymentSend(input: $i) { status errors { message } } }`,
-      { i: { walletId: await getWalletId(), paymentRequest: pr, amount } }
-    );
-    if (data.lnNoAmountInvoicePaymentSend.errors?.length) throw new Error(data.lnNoAmountInvoicePaymentSend.errors[0].message);
-    return data.lnNoAmountInvoicePaymentSend.status;
-  },
+  const data = JSON.parse(fs.readFileSync(balanceFile, "utf8"));
+  const migrate = db.transaction(() => {
+    const count = postOpening(Object.entries(data).map(([uid, amt]) => [accountOf(uid), amt]), "json");
+    console.log(`✅ Migrated ${count} balances`);
+  });
+  migrate();
 
-  verifyOutgoingPayment: async (paymentRequest) => {
-    try {
-      const decoded = bolt11.decode(paymentRequest);
-      const targetHash = decoded.sections?.find(s => s.name === "payment_hash")?.value;
-      if (!targetHash) return null;
+  fs.renameSync(balanceFile, balanceFile + ".bak");
+  console.log("📦 Old JSON files renamed to .bak");
+};
 
-      await sleep(3000);
-      const data = await gql(`
-        query {
-          me {
+// v17 이전 balances 테이블 → opening entry, 테이블은 balances_legacy로 보관
+const migrateBalancesTable = () => {
+  const legacy = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'balances'").get();
+  if (!legacy) return;
+
+  console.log("📦 Migrating balances → ledger...");
+
+  const migrate = db.transaction(() => {
+    const rows = db.prepare("SELECT user_id, amount FROM balances").all();
+    const escrows = db.prepare("SELECT id, remaining_amount FROM redpackets WHERE status = 'open'").all();
+    const count = postOpening([
+      ...rows.map(r => [accountOf(r.user_id), r.amount]),
+      ...escrows.map(p => [ACCT.escrow("redpacket", p.id), p.remaining_amount])
+    ], "balances");
+    db.exec("ALTER TABLE balances RENAME TO balances_legacy");
+    console.log(`✅ Migrated ${count} accounts`);
+  });
+  migrate();
+};
+
+migrateBalancesTable();
+migrateFromJson();
+
+const ledgerCheck = ledger.verify();
+if (ledgerCheck.total !== 0 || ledgerCheck.unbalanced.length) {
+  console.error(`⚠️ Ledger unbalanced: total=${ledgerCheck.total}, entries=${ledgerCheck.unbalanced.map(r => r.tx_id).join(",")}`);
+}
+
+// ============ i18n ============
+const LANGS = ["en", "ko", "ja", "es"];
+const LANG_NAMES = { en: "English", ko: "한국어", ja: "日本語", es: "Español" };
+
+const messages = {
+  en: {
+    error: "❌ Error",
+    error_msg: "❌ {msg}",
+    rate_limited: "⏰ Too many requests. Try again in {s}s.",
+    emoji_rate_limited: "⏰ Emoji tip limit: try again in {s}s.",
+    owner_only: "❌ Owner only",
+    amount_positive: "❌ Amount > 0",
+    invalid_amount: "❌ Invalid amount",
+    max_withdraw: "❌ Max: {max} sats",
+    insufficient: "❌ Balance: {bal} sats (Need: {need} sats)",
+    balance: "💰 Balance: **{bal} sats**{fiat}",
+    fee_free: "Free",
+
+    deposit_invoice: "🧾 **Deposit**\n💰 **{amount} sats**{fiat}\n📱 Scan or copy:",
+
+    tip_no_mentions: "❌ Mention users with @",
+    tip_self: "❌ You can't tip yourself",
+    tip_no_valid_users: "❌ No valid users",
+    tip_insufficient: "❌ Insufficient balance\n💰 Balance: **{bal} sats** (Need: **{need} sats**)",
+    tip_received: "💰 <@{from}> ➡️ You **{amount} sats**{fiat}\n📍 <#{channel}>\n💰 Balance: **{bal} sats**",
+    tip_public: "⚡ <@{from}> ➡️ {to} **{amount} sats** each! (Total: **{total} sats**{fiat})",
+    tip_message: "💬 {msg}",
+    emoji_tip_public: "⚡ <@{from}> ➡️ <@{to}> **{amount} sats** tip!",
+    emoji_tip_received: "⚡ <@{from}> ➡️ You **{amount} sats**\n📍 <#{channel}>\n💰 Balance: **{bal} sats**",
+
+    withdraw_title: "💰 Withdraw",
+    withdraw_desc: "⚡ **Lightning Address**: user@wallet.com\n🧾 **Invoice/LNURL**: lnbc...\n\n💸 Fee: Internal=Free, Other={fee} sats\n📊 Max: {max} sats",
+    withdraw_btn_addr: "⚡ Address",
+    withdraw_btn_inv: "🧾 Invoice",
+    modal_addr_title: "⚡ Lightning Address",
+    modal_addr_label: "Address",
+    modal_amount_label: "Amount (sats)",
+    modal_inv_title: "🧾 Invoice",
+    modal_inv_label: "Invoice / LNURL",
+    modal_inv_amount_label: "Amount (zero-amt invoice / LNURL)",
+    withdraw_sent: "✅ **Sent!**\n📤 {amount} sats{fiat}{dest}\n💸 Fee: {fee}\n💰 Balance: **{bal} sats**",
+    withdraw_verified: "⚠️ **Error occurred, but payment confirmed**\n📤 {amount} sats{dest}\n💰 Balance: **{bal} sats**",
+    withdraw_unverified: "⚠️ **Error - payment could not be verified**\nYour balance was deducted. We'll keep checking and DM you the result.\n💰 Balance: **{bal} sats**",
+
+    redpacket_title: "🧧 Redpacket",
+    redpacket_header: "<@{sender}> ➡️ **{amount} sats** / {count}",
+    redpacket_random: "🎲 Random",
+    redpacket_equal: "⚖️ Equal",
+    redpacket_left: "📦 Left: **{left}/{count}**",
+    redpacket_expires: "⏰ Expires {time}",
+    redpacket_done: "✅ All claimed",
+    redpacket_expired: "⌛ Expired - refunded",
+    redpacket_claim_btn: "🧧 Claim",
+    redpacket_count_range: "❌ Count: 1-{max}",
+    redpacket_min_share: "❌ At least 1 sat per person is required",
+    redpacket_own: "❌ You can't claim your own redpacket",
+    redpacket_claimed: "❌ Already claimed",
+    redpacket_closed: "❌ This redpacket has ended",
+    redpacket_claim_ok: "🧧 +**{amount} sats**!\n💰 Balance: **{bal} sats**",
+    redpacket_refund_dm: "🧧 Redpacket expired - **{amount} sats** refunded\n💰 Balance: **{bal} sats**",
+
+    owner_balance: "💼 Owner: **{bal} sats**",
+    owner_insufficient: "❌ Owner: {bal} sats",
+    owner_withdrawn: "✅ Owner ➡️ You **{amount} sats**",
+    owner_reset: "✅ Owner = 0",
+
+    language_set: "🌍 Language: **{lang}**",
+    language_auto: "🌍 Language: **Auto** (Discord)",
+
+    history_title: "📜 History",
+    history_empty: "No transactions",
+    history_footer: "Page {page}/{pages} · {total} entries",
+    history_prev: "◀ Prev",
+    history_next: "Next ▶",
+    history_export_csv: "📄 Export CSV",
+    history_export_json: "🧾 Export JSON",
+    history_exported: "📎 Exported **{count}** entries",
+    history_bad_date: "❌ Date format: YYYY-MM-DD",
+
+    audit_title: "🔍 Ledger Audit",
+    audit_wallet: "🏦 Wallet ({backend}): **{n} sats**",
+    audit_users: "👥 Users: **{n} sats** ({count} accounts)",
+    audit_owner: "💼 Owner: **{n} sats**",
+    audit_escrow: "🔒 Escrow: **{n} sats**",
+    audit_liabilities: "📒 Liabilities: **{n} sats**",
+    audit_surplus: "✅ Surplus: **+{n} sats**",
+    audit_shortfall: "🚨 Shortfall: **{n} sats**",
+    audit_drifts: "**Drifts**",
+    audit_unverified: "⚠️ Unverified withdrawals: **{count}** ({amount} sats)",
+    audit_pending_pays: "⏳ Pending withdrawals: **{count}** ({amount} sats)",
+    audit_stale_invoices: "🧾 Unsettled expired invoices: **{count}** ({amount} sats)",
+    audit_open_invoices: "🧾 Open invoices: {count}",
+    audit_no_drift: "✨ No drift",
+    audit_alert: "🚨 **Audit alert** - shortfall **{n} sats** (threshold {threshold})",
+    audit_report: "🔍 Scheduled audit report",
+
+    audit_expected_wallet: "🧮 Ledger wallet (asset:blink): **{n} sats**",
+    audit_unbalanced: "❗ Unbalanced ledger entries: **{count}** ({ids})",
+
+    lnaddress_current: "⚡ Your Lightning Address: **{addr}**",
+    lnaddress_none: "⚡ You don't have a Lightning Address yet. Pick one with `/lnaddress <username>`",
+    lnaddress_set: "✅ Lightning Address: **{addr}**\nSats sent here are credited to your balance.",
+    lnaddress_invalid: "❌ Username: 3-32 chars, a-z 0-9 . _ -",
+    lnaddress_taken: "❌ **{name}** is already taken",
+    lnaddress_disabled: "❌ Lightning Addresses are not enabled on this bot",
+
+    voucher_created: "🎟️ **Voucher #{id}**: **{amount} sats** × {uses}\nEscrowed {total} sats (incl. fee reserve, unused part refunded)\nExpires {time} · Balance: {bal} sats\nScan with any LNURL-withdraw wallet:",
+    voucher_revoke_btn: "Revoke",
+    voucher_revoked: "🎟️ Voucher #{id} revoked. Refunded **{amount} sats** (Balance: {bal} sats)",
+    voucher_refund_dm: "🎟️ Voucher #{id} expired. Refunded **{amount} sats** (Balance: {bal} sats)",
+    voucher_not_found: "❌ Voucher not found",
+    voucher_closed: "❌ This voucher is already closed",
+    voucher_disabled: "❌ Vouchers are not enabled on this bot",
+
+    lnurl_amount_required: "❌ Enter an amount to pay an LNURL",
+    invoice_amount_mismatch: "❌ This invoice is for {amount} sats - leave the amount empty or match it",
+
+    withdraw_cap: "❌ Withdraw limit ({period}): {used}/{cap} sats used, {left} sats left",
+    withdraw_paused: "⏸️ Withdrawals are temporarily paused. Please try again later",
+    withdraw_held: "❌ {held} sats from recent tips are on hold. Withdrawable now: {avail} sats",
+    breaker_alert: "🚨 **Withdrawals paused** - hourly outflow {outflow} + {amt} sats exceeds {cap} (<@{user}>). Use `/owner_breaker resume` after checking",
+    breaker_paused: "⏸️ Withdrawals **paused** {since}: {reason}",
+    breaker_active: "▶️ Withdrawals **active**",
+    breaker_outflow: "Last hour: {outflow} / {cap} sats",
+
+    admin_only: "❌ Admins only",
+    account_frozen: "❄️ Your account is frozen. Please contact an admin",
+    admin_lookup_title: "🛠️ Account lookup",
+    admin_lookup_balance: "💰 Balance: **{bal} sats** (withdrawable {avail})",
+    admin_lookup_frozen: "❄️ **Frozen** {time} by <@{admin}>: {reason}",
+    admin_lookup_active: "✅ Active",
+    admin_credited: "✅ Credited **{amount} sats** to <@{user}> (Balance: {bal} sats)",
+    admin_debited: "✅ Debited **{amount} sats** from <@{user}> (Balance: {bal} sats)",
+    admin_debit_insufficient: "❌ <@{user}> only has {bal} sats",
+    admin_frozen: "❄️ <@{user}> frozen: {reason}",
+    admin_unfrozen: "🔥 <@{user}> unfrozen",
+    admin_already_frozen: "❌ <@{user}> is already frozen",
+    admin_not_frozen: "❌ <@{user}> is not frozen",
+    admin_log_title: "🛠️ Admin log",
+    admin_log_ok: "✅ Hash chain intact ({n} entries)",
+    admin_log_broken: "🚨 **Hash chain broken at #{id}**",
+
+    invoice_already_used: "❌ This invoice is already paid or in progress",
+    payment_resolved_success: "✅ Withdrawal tx#{tx} (**{amount} sats**) is confirmed as paid.\n💰 Balance: **{bal} sats**",
+    payment_resolved_refunded: "↩️ Withdrawal tx#{tx} did not go through. Refunded **{amount} sats** + fee {fee}.\n💰 Balance: **{bal} sats**",
+    admin_payments_title: "🔎 Unresolved payments ({n})",
+    admin_payments_none: "✅ Nothing stuck",
+    admin_payment_not_stuck: "❌ tx#{tx} is not an unresolved payment",
+    admin_payment_resolved: "✅ tx#{tx} → **{result}**",
+    admin_payment_unchanged: "⏳ tx#{tx} still unresolved ({status})",
+
+    emojitip_title: "⚡ Emoji tips",
+    emojitip_none: "No emoji tips set. Add one with `/emojitip add`",
+    emojitip_disabled_list: "🚫 Disabled in: {channels}",
+    emojitip_invalid: "❌ Use a server emoji or a unicode emoji",
+    emojitip_foreign: "❌ Only this server's custom emojis can be used",
+    emojitip_added: "✅ {emoji} → **{amount} sats**",
+    emojitip_removed: "🗑️ {emoji} removed",
+    emojitip_not_found: "❌ That emoji isn't mapped",
+    emojitip_channel_disabled: "🚫 Emoji tips disabled in <#{channel}>",
+    emojitip_channel_enabled: "✅ Emoji tips enabled in <#{channel}>",
+
+    feature_disabled: "🚫 This feature is disabled on this server",
+    audit_guilds: "🏠 Server fee shares: **{n} sats**",
+    guild_title: "🏠 Server settings",
+    guild_fees: "💸 Fees: internal {internal} / external {external} sats · Max withdraw: {max} sats",
+    guild_owner: "👑 Fee owner: {owner} ({share}% of fees) · Unclaimed: **{bal} sats**",
+    guild_features: "⚙️ {list}",
+    guild_channel: "📢 Announcements: {channel}",
+    guild_owner_only: "❌ Only this server's fee owner can claim",
+    guild_no_fees: "❌ No fees to claim",
+    guild_fees_claimed: "✅ Claimed **{amount} sats** (Balance: {bal} sats)",
+
+    rain_public: "🌧️ <@{from}> made it rain **{total} sats** on {n} chatters from the last {minutes} min!",
+    rain_no_users: "❌ No eligible chatters in this channel in the last {minutes} min",
+    rain_too_small: "❌ Not enough to give {n} users at least 1 sat each",
+
+    interval_week: "weekly",
+    interval_month: "monthly",
+    subscription_created: "🔁 Subscription #{id}: **{amount} sats** {interval} to <@{to}>. First payment sent, next <t:{next}:R>",
+    subscription_started: "🔁 <@{from}> subscribed to you: **{amount} sats** {interval} (#{id})",
+    subscription_received: "🔁 <@{from}> ➡️ You **{amount} sats** (subscription #{id})\n💰 Balance: **{bal} sats**",
+    subscription_low_balance: "⚠️ Subscription #{id} to <@{to}> needs **{amount} sats** but your balance is {bal} sats. Retrying in {hours}h",
+    subscription_paused: "⏸️ Subscription #{id} to <@{to}> paused: balance too low ({bal}/{amount} sats). Top up and use `/subscriptions resume {id}`",
+    subscription_limit: "❌ Max {max} subscriptions",
+    subscription_not_found: "❌ Subscription not found",
+    subscription_cancelled: "✅ Subscription #{id} cancelled",
+    subscription_not_paused: "❌ Subscription #{id} isn't paused",
+    subscription_resumed: "▶️ Subscription #{id} resumed (next <t:{next}:R>)",
+    subscriptions_title: "🔁 Subscriptions",
+    subscriptions_empty: "No subscriptions",
+    subscription_line_out: "#{id} ➡️ <@{user}> **{amount} sats** {interval} · next <t:{next}:R>",
+    subscription_line_in: "#{id} ⬅️ <@{user}> **{amount} sats** {interval} · next <t:{next}:R>",
+
+    leaderboard_tippers: "🏆 Top tippers",
+    leaderboard_receivers: "🏆 Top receivers",
+    leaderboard_emoji: "⚡ Top emoji tip receivers",
+    leaderboard_window_day: "24h",
+    leaderboard_window_week: "7 days",
+    leaderboard_window_month: "30 days",
+    leaderboard_window_all: "All time",
+    leaderboard_empty: "No tips yet",
+    leaderboard_you: "You: #{rank} ({total} sats)",
+    leaderboard_you_unranked: "You: unranked",
+    leaderboard_you_hidden: "You: hidden (/leaderboard_optout)",
+    leaderboard_optout_on: "🙈 You're hidden from public leaderboards",
+    leaderboard_optout_off: "👀 You're shown on public leaderboards",
+    guild_leaderboard: "🏆 Weekly leaderboard post: {status}",
+
+    currency_set: "💱 Showing values in **{currency}** (1,000 sats ≈ {example})",
+    currency_set_no_price: "💱 Showing values in **{currency}** (price unavailable right now)",
+    currency_off: "💱 Showing sats only",
+    deposit_amount_or_fiat: "❌ Enter either `amount` (sats) or `fiat`",
+    price_unavailable: "❌ Price unavailable right now - try again or use sats",
+
+    deposit_paid: "✅ **Paid!**\n📥 **{amount} sats**{fiat}\n💰 Balance: **{bal} sats**",
+    deposit_expired: "⌛ **Expired** - {amount} sats invoice was not paid",
+    deposit_new_invoice: "🧾 New invoice",
+
+    bounty_title: "🎯 Bounty #{id}",
+    bounty_header: "<@{creator}> · 💰 **{amount} sats**",
+    bounty_funders: "🤝 Funded by: {list}",
+    bounty_expires: "⏰ Expires {time}",
+    bounty_awarded: "✅ Awarded",
+    bounty_expired: "⌛ Expired - refunded",
+    bounty_cancelled: "🚫 Cancelled - refunded",
+    bounty_fund_btn: "➕ Add sats",
+    bounty_fund_title: "Add sats to bounty #{id}",
+    bounty_funded: "✅ Added **{amount} sats** to bounty #{id} (Balance: {bal} sats)",
+    bounty_closed: "❌ This bounty is closed",
+    bounty_not_found: "❌ Bounty not found",
+    bounty_not_yours: "❌ Only the creator or an admin can do that",
+    bounty_no_winners: "❌ No valid winners (bots, frozen accounts and the creator can't be awarded)",
+    bounty_too_many_winners: "❌ Max {max} winners",
+    bounty_cancelled_ok: "✅ Bounty #{id} cancelled, **{amount} sats** refunded to {n} funder(s)",
+    bounty_awarded_public: "🎯 Bounty #{id} awarded: {list}",
+    bounty_award_dm: "🎯 You won bounty #{id}: **{amount} sats**\n💰 Balance: **{bal} sats**",
+    bounty_refund_dm: "🎯 Bounty #{id} closed - refunded **{amount} sats**\n💰 Balance: **{bal} sats**",
+    bounty_list_title: "🎯 Open bounties ({n})",
+    bounty_list_empty: "No open bounties",
+
+    paywall_title: "🔒 Locked post #{id}",
+    paywall_header: "<@{creator}> · 💰 **{price} sats**",
+    paywall_sales: "🛒 {n} unlocked",
+    paywall_unlock_btn: "🔓 Unlock for {price} sats",
+    paywall_unlocked: "🔓 **Post #{id}**",
+    paywall_bought: "✅ Paid **{amount} sats** (Balance: {bal} sats). Press the button again any time to reopen it",
+    paywall_not_found: "❌ Post not found",
+    paywall_empty: "❌ Add `content` or a `file`",
+    paywall_file_too_large: "❌ File too large (max {mb} MB)",
+    paywall_created: "✅ Locked post #{id} posted ({price} sats)",
+    paywall_sales_title: "🛒 Your paywall sales",
+    paywall_sales_total: "Total: **{n} sales**, **{revenue} sats**{fiat}",
+    paywall_sales_line: "#{id} · {price} sats · {n} sales · {revenue} sats",
+    paywall_sales_empty: "No paywalls yet",
+
+    raffle_title: "🎰 Raffle #{id}",
+    raffle_header: "<@{creator}> · 🎟️ **{price} sats**/ticket · 💰 Pot: **{pot} sats**",
+    raffle_tickets: "🎫 {n}/{max} tickets · {entrants} entrants",
+    raffle_ends: "⏰ Draw {time}",
+    raffle_winner: "🏆 Winner: <@{winner}> (**{payout} sats**)",
+    raffle_refunded: "↩️ Fewer than {min} entrants - all tickets refunded",
+    raffle_commit: "🔐 Commitment: `sha256(seed) = {hash}`",
+    raffle_seed: "🔑 Seed: `{seed}`",
+    raffle_buy_btn: "🎟️ Buy ticket ({price} sats)",
+    raffle_enter_btn: "🎟️ Enter",
+    raffle_bought: "✅ Ticket bought for raffle #{id} - you have {mine} (Balance: {bal} sats)",
+    raffle_closed: "❌ This raffle is closed",
+    raffle_sold_out: "❌ Sold out",
+    raffle_entered: "❌ You're already entered",
+    raffle_bad_duration: "❌ Duration like `30m`, `2h`, `1d` (max {days} days)",
+    raffle_free_needs_prize: "❌ A free giveaway needs a `prize`",
+    raffle_win_dm: "🎰 You won raffle #{id}: **{amount} sats**\n💰 Balance: **{bal} sats**",
+    raffle_refund_dm: "🎰 Raffle #{id} didn't get enough entrants - refunded **{amount} sats**\n💰 Balance: **{bal} sats**",
+
+    tip_group_confirm: "🎯 Tip **{amount} sats** each to **{n}** members?\n💸 Total: **{total} sats**{fiat}",
+    tip_confirm_btn: "✅ Send",
+    tip_cancel_btn: "Cancel",
+    tip_group_too_many: "❌ {n} members found - group tips are limited to {max}",
+    tip_group_expired: "⌛ This confirmation has expired",
+    tip_group_cancelled: "❌ Tip cancelled",
+    tip_group_sent: "✅ Sent **{total} sats** to {n} members",
+
+    api_disabled: "⚠️ The HTTP API is off (set `API_ENABLED=true`)",
+    api_invalid_scopes: "❌ Scopes must be a comma-separated list of: {scopes}",
+    api_invalid_webhook: "❌ Webhook must be a public https URL (no localhost or private network hosts)",
+    api_created: "🔌 App #{id} **{name}** ({scopes})\n🔑 API key (shown once): `{key}`",
+    api_created_webhook: "🔔 Webhook secret (shown once): `{secret}`",
+    api_list_title: "🔌 API Apps",
+    api_list_empty: "No apps yet",
+    api_app_line: "#{id} **{name}** - {scopes}",
+    api_app_users: "{n} users",
+    api_app_revoked_tag: "revoked",
+    api_app_not_found: "❌ App not found",
+    api_revoked: "✅ App #{id} **{name}** revoked",
+    apps_title: "🔌 Authorized Apps",
+    apps_empty: "You haven't authorized any apps",
+    apps_granted: "✅ **{name}** can now use your account ({scopes}). Remove it any time with `/apps revoke`",
+    apps_revoked: "✅ Removed **{name}**'s access",
+    apps_not_granted: "❌ **{name}** doesn't have access",
+    api_tip_received: "💰 <@{from}> ➡️ You **{amount} sats** (via {app})\n💰 Balance: **{bal} sats**",
+
+    admin_log_head: "🔗 Admin log head #{id}: `{hash}`",
+
+    subscription_resumed_retry: "⚠️ Subscription #{id} resumed, but your balance is too low - retrying <t:{next}:R>",
+
+    raffle_verify: "✔️ Winning ticket = sha256(\"seed:<ids from the attached list, joined with commas>\") mod tickets (0 = first line)",
+    raffle_winner_public: "🎰 Raffle #{id}: <@{winner}> wins **{payout} sats** with ticket #{ticket}! Ticket list attached.",
+    raffle_list_hash: "🎫 Ticket list: `sha256 = {hash}`",
+    raffle_fee_note: "💼 Fee: {pct}% of ticket sales (prize not charged)"
+  },
+
+  ko: {
+    error: "❌ 오류",
+    error_msg: "❌ {msg}",
+    rate_limited: "⏰ 너무 많은 요청입니다. {s}초 후 다시 시도하세요.",
+    emoji_rate_limited: "⏰ 이모지 팁 제한: {s}초 후 다시 시도하세요.",
+    owner_only: "❌ 운영자 전용",
+    amount_positive: "❌ 금액은 0보다 커야 합니다",
+    invalid_amount: "❌ 잘못된 금액",
+    max_withdraw: "❌ 최대: {max} sats",
+    insufficient: "❌ 잔액: {bal} sats (필요: {need} sats)",
+    balance: "💰 잔액: **{bal} sats**{fiat}",
+    fee_free: "무료",
+
+    deposit_invoice: "🧾 **입금**\n💰 **{amount} sats**{fiat}\n📱 스캔하거나 복사하세요:",
+
+    tip_no_mentions: "❌ @멘션으로 유저를 지정하세요",
+    tip_self: "❌ 자신에게는 팁을 보낼 수 없습니다",
+    tip_no_valid_users: "❌ 유효한 유저가 없습니다",
+    tip_insufficient: "❌ 잔액 부족\n💰 잔액: **{bal} sats** (필요: **{need} sats**)",
+    tip_received: "💰 <@{from}> ➡️ 나에게 **{amount} sats**{fiat}\n📍 <#{channel}>\n💰 잔액: **{bal} sats**",
+    tip_public: "⚡ <@{from}> ➡️ {to} 각 **{amount} sats**! (합계: **{total} sats**{fiat})",
+    tip_message: "💬 {msg}",
+    emoji_tip_public: "⚡ <@{from}> ➡️ <@{to}> **{amount} sats** 팁!",
+    emoji_tip_received: "⚡ <@{from}> ➡️ 나에게 **{amount} sats**\n📍 <#{channel}>\n💰 잔액: **{bal} sats**",
+
+    withdraw_title: "💰 출금",
+    withdraw_desc: "⚡ **라이트닝 주소**: user@wallet.com\n🧾 **인보이스/LNURL**: lnbc...\n\n💸 수수료: 내부=무료, 기타={fee} sats\n📊 최대: {max} sats",
+    withdraw_btn_addr: "⚡ 주소",
+    withdraw_btn_inv: "🧾 인보이스",
+    modal_addr_title: "⚡ 라이트닝 주소",
+    modal_addr_label: "주소",
+    modal_amount_label: "금액 (sats)",
+    modal_inv_title: "🧾 인보이스",
+    modal_inv_label: "인보이스 / LNURL",
+    modal_inv_amount_label: "금액 (금액 없는 인보이스 / LNURL)",
+    withdraw_sent: "✅ **전송 완료!**\n📤 {amount} sats{fiat}{dest}\n💸 수수료: {fee}\n💰 잔액: **{bal} sats**",
+    withdraw_verified: "⚠️ **에러 발생했지만 결제 확인됨**\n📤 {amount} sats{dest}\n💰 잔액: **{bal} sats**",
+    withdraw_unverified: "⚠️ **에러 발생 - 결제 확인 불가**\n잔액이 차감되었으며, 계속 확인 후 결과를 DM으로 알려드립니다.\n💰 잔액: **{bal} sats**",
+
+    redpacket_title: "🧧 레드패킷",
+    redpacket_header: "<@{sender}> ➡️ **{amount} sats** / {count}명",
+    redpacket_random: "🎲 랜덤",
+    redpacket_equal: "⚖️ 균등",
+    redpacket_left: "📦 남음: **{left}/{count}**",
+    redpacket_expires: "⏰ {time} 만료",
+    redpacket_done: "✅ 모두 수령됨",
+    redpacket_expired: "⌛ 만료 - 환불됨",
+    redpacket_claim_btn: "🧧 받기",
+    redpacket_count_range: "❌ 인원: 1-{max}",
+    redpacket_min_share: "❌ 1인당 최소 1 sat이 필요합니다",
+    redpacket_own: "❌ 자신의 레드패킷은 받을 수 없습니다",
+    redpacket_claimed: "❌ 이미 받았습니다",
+    redpacket_closed: "❌ 종료된 레드패킷입니다",
+    redpacket_claim_ok: "🧧 +**{amount} sats**!\n💰 잔액: **{bal} sats**",
+    redpacket_refund_dm: "🧧 레드패킷 만료 - **{amount} sats** 환불됨\n💰 잔액: **{bal} sats**",
+
+    owner_balance: "💼 운영자: **{bal} sats**",
+    owner_insufficient: "❌ 운영자: {bal} sats",
+    owner_withdrawn: "✅ 운영자 ➡️ 나에게 **{amount} sats**",
+    owner_reset: "✅ 운영자 잔액 = 0",
+
+    language_set: "🌍 언어: **{lang}**",
+    language_auto: "🌍 언어: **자동** (Discord)",
+
+    history_title: "📜 거래 내역",
+    history_empty: "거래 내역이 없습니다",
+    history_footer: "{page}/{pages} 페이지 · {total}건",
+    history_prev: "◀ 이전",
+    history_next: "다음 ▶",
+    history_export_csv: "📄 CSV 내보내기",
+    history_export_json: "🧾 JSON 내보내기",
+    history_exported: "📎 **{count}**건 내보내기 완료",
+    history_bad_date: "❌ 날짜 형식: YYYY-MM-DD",
+
+    audit_title: "🔍 장부 감사",
+    audit_wallet: "🏦 지갑 ({backend}): **{n} sats**",
+    audit_users: "👥 유저: **{n} sats** ({count}개 계정)",
+    audit_owner: "💼 운영자: **{n} sats**",
+    audit_escrow: "🔒 에스크로: **{n} sats**",
+    audit_liabilities: "📒 총 부채: **{n} sats**",
+    audit_surplus: "✅ 잉여: **+{n} sats**",
+    audit_shortfall: "🚨 부족: **{n} sats**",
+    audit_drifts: "**불일치 항목**",
+    audit_unverified: "⚠️ 미확인 출금: **{count}**건 ({amount} sats)",
+    audit_pending_pays: "⏳ 대기 중 출금: **{count}**건 ({amount} sats)",
+    audit_stale_invoices: "🧾 만료된 미결제 인보이스: **{count}**건 ({amount} sats)",
+    audit_open_invoices: "🧾 대기 중 인보이스: {count}건",
+    audit_no_drift: "✨ 불일치 없음",
+    audit_alert: "🚨 **감사 경고** - 부족분 **{n} sats** (기준 {threshold})",
+    audit_report: "🔍 정기 감사 리포트",
+
+    audit_expected_wallet: "🧮 장부상 지갑 (asset:blink): **{n} sats**",
+    audit_unbalanced: "❗ 불균형 분개: **{count}**건 ({ids})",
+
+    lnaddress_current: "⚡ 내 라이트닝 주소: **{addr}**",
+    lnaddress_none: "⚡ 아직 라이트닝 주소가 없습니다. `/lnaddress <이름>`으로 만드세요",
+    lnaddress_set: "✅ 라이트닝 주소: **{addr}**\n이 주소로 받은 sats는 잔액에 입금됩니다.",
+    lnaddress_invalid: "❌ 이름: 3-32자, a-z 0-9 . _ -",
+    lnaddress_taken: "❌ **{name}**은(는) 이미 사용 중입니다",
+    lnaddress_disabled: "❌ 라이트닝 주소 기능이 활성화되어 있지 않습니다",
+
+    voucher_created: "🎟️ **바우처 #{id}**: **{amount} sats** × {uses}\n{total} sats 예치 (수수료 예비분 포함, 미사용분 환불)\n만료 {time} · 잔액: {bal} sats\nLNURL-withdraw 지갑으로 스캔하세요:",
+    voucher_revoke_btn: "취소",
+    voucher_revoked: "🎟️ 바우처 #{id} 취소됨. **{amount} sats** 환불 (잔액: {bal} sats)",
+    voucher_refund_dm: "🎟️ 바우처 #{id} 만료. **{amount} sats** 환불 (잔액: {bal} sats)",
+    voucher_not_found: "❌ 바우처를 찾을 수 없습니다",
+    voucher_closed: "❌ 이미 종료된 바우처입니다",
+    voucher_disabled: "❌ 바우처 기능이 활성화되어 있지 않습니다",
+
+    lnurl_amount_required: "❌ LNURL 결제는 금액을 입력하세요",
+    invoice_amount_mismatch: "❌ 이 인보이스는 {amount} sats입니다 - 금액을 비우거나 같게 입력하세요",
+
+    withdraw_cap: "❌ 출금 한도 ({period}): {used}/{cap} sats 사용, {left} sats 남음",
+    withdraw_paused: "⏸️ 출금이 일시 중지되었습니다. 잠시 후 다시 시도하세요",
+    withdraw_held: "❌ 최근 받은 팁 {held} sats는 출금 대기 중입니다. 지금 출금 가능: {avail} sats",
+    breaker_alert: "🚨 **출금 중지** - 최근 1시간 출금 {outflow} + {amt} sats가 한도 {cap} 초과 (<@{user}>). 확인 후 `/owner_breaker resume`",
+    breaker_paused: "⏸️ 출금 **중지됨** {since}: {reason}",
+    breaker_active: "▶️ 출금 **정상**",
+    breaker_outflow: "최근 1시간: {outflow} / {cap} sats",
+
+    admin_only: "❌ 관리자 전용",
+    account_frozen: "❄️ 계정이 동결되었습니다. 관리자에게 문의하세요",
+    admin_lookup_title: "🛠️ 계정 조회",
+    admin_lookup_balance: "💰 잔액: **{bal} sats** (출금 가능 {avail})",
+    admin_lookup_frozen: "❄️ **동결됨** {time}, <@{admin}>: {reason}",
+    admin_lookup_active: "✅ 정상",
+    admin_credited: "✅ <@{user}>에게 **{amount} sats** 지급 (잔액: {bal} sats)",
+    admin_debited: "✅ <@{user}>에게서 **{amount} sats** 차감 (잔액: {bal} sats)",
+    admin_debit_insufficient: "❌ <@{user}>의 잔액은 {bal} sats뿐입니다",
+    admin_frozen: "❄️ <@{user}> 동결: {reason}",
+    admin_unfrozen: "🔥 <@{user}> 동결 해제",
+    admin_already_frozen: "❌ <@{user}>는 이미 동결 상태입니다",
+    admin_not_frozen: "❌ <@{user}>는 동결 상태가 아닙니다",
+    admin_log_title: "🛠️ 관리자 로그",
+    admin_log_ok: "✅ 해시 체인 정상 ({n}건)",
+    admin_log_broken: "🚨 **해시 체인 손상: #{id}**",
+
+    invoice_already_used: "❌ 이미 결제되었거나 처리 중인 인보이스입니다",
+    payment_resolved_success: "✅ 출금 tx#{tx} (**{amount} sats**) 결제가 확인되었습니다.\n💰 잔액: **{bal} sats**",
+    payment_resolved_refunded: "↩️ 출금 tx#{tx}가 실패했습니다. **{amount} sats** + 수수료 {fee} 환불.\n💰 잔액: **{bal} sats**",
+    admin_payments_title: "🔎 미확정 결제 ({n})",
+    admin_payments_none: "✅ 미확정 건 없음",
+    admin_payment_not_stuck: "❌ tx#{tx}는 미확정 결제가 아닙니다",
+    admin_payment_resolved: "✅ tx#{tx} → **{result}**",
+    admin_payment_unchanged: "⏳ tx#{tx} 아직 미확정 ({status})",
+
+    emojitip_title: "⚡ 이모지 팁",
+    emojitip_none: "설정된 이모지 팁이 없습니다. `/emojitip add`로 추가하세요",
+    emojitip_disabled_list: "🚫 비활성 채널: {channels}",
+    emojitip_invalid: "❌ 서버 이모지 또는 유니코드 이모지를 입력하세요",
+    emojitip_foreign: "❌ 이 서버의 커스텀 이모지만 사용할 수 있습니다",
+    emojitip_added: "✅ {emoji} → **{amount} sats**",
+    emojitip_removed: "🗑️ {emoji} 삭제됨",
+    emojitip_not_found: "❌ 등록되지 않은 이모지입니다",
+    emojitip_channel_disabled: "🚫 <#{channel}>에서 이모지 팁 비활성화",
+    emojitip_channel_enabled: "✅ <#{channel}>에서 이모지 팁 활성화",
+
+    feature_disabled: "🚫 이 서버에서 비활성화된 기능입니다",
+    audit_guilds: "🏠 서버 수수료 몫: **{n} sats**",
+    guild_title: "🏠 서버 설정",
+    guild_fees: "💸 수수료: 내부 {internal} / 외부 {external} sats · 최대 출금: {max} sats",
+    guild_owner: "👑 수수료 owner: {owner} (수수료의 {share}%) · 미정산: **{bal} sats**",
+    guild_features: "⚙️ {list}",
+    guild_channel: "📢 공지 채널: {channel}",
+    guild_owner_only: "❌ 이 서버의 수수료 owner만 정산할 수 있습니다",
+    guild_no_fees: "❌ 정산할 수수료가 없습니다",
+    guild_fees_claimed: "✅ **{amount} sats** 정산 완료 (잔액: {bal} sats)",
+
+    rain_public: "🌧️ <@{from}> 님이 최근 {minutes}분간 채팅한 {n}명에게 **{total} sats**를 뿌렸습니다!",
+    rain_no_users: "❌ 최근 {minutes}분간 이 채널에서 받을 수 있는 유저가 없습니다",
+    rain_too_small: "❌ {n}명에게 최소 1 sat씩 주기에 금액이 부족합니다",
+
+    interval_week: "매주",
+    interval_month: "매월",
+    subscription_created: "🔁 정기 후원 #{id}: <@{to}>에게 {interval} **{amount} sats**. 첫 결제 완료, 다음 결제 <t:{next}:R>",
+    subscription_started: "🔁 <@{from}> 님이 정기 후원을 시작했습니다: {interval} **{amount} sats** (#{id})",
+    subscription_received: "🔁 <@{from}> ➡️ 나에게 **{amount} sats** (정기 후원 #{id})\n💰 잔액: **{bal} sats**",
+    subscription_low_balance: "⚠️ <@{to}>에게 가는 정기 후원 #{id}에 **{amount} sats**가 필요하지만 잔액이 {bal} sats입니다. {hours}시간 후 다시 시도합니다",
+    subscription_paused: "⏸️ <@{to}>에게 가는 정기 후원 #{id} 일시정지: 잔액 부족 ({bal}/{amount} sats). 충전 후 `/subscriptions resume {id}`",
+    subscription_limit: "❌ 정기 후원은 최대 {max}개까지 가능합니다",
+    subscription_not_found: "❌ 정기 후원을 찾을 수 없습니다",
+    subscription_cancelled: "✅ 정기 후원 #{id} 취소됨",
+    subscription_not_paused: "❌ 정기 후원 #{id}은 일시정지 상태가 아닙니다",
+    subscription_resumed: "▶️ 정기 후원 #{id} 재개 (다음 결제 <t:{next}:R>)",
+    subscriptions_title: "🔁 정기 후원",
+    subscriptions_empty: "정기 후원이 없습니다",
+    subscription_line_out: "#{id} ➡️ <@{user}> {interval} **{amount} sats** · 다음 <t:{next}:R>",
+    subscription_line_in: "#{id} ⬅️ <@{user}> {interval} **{amount} sats** · 다음 <t:{next}:R>",
+
+    leaderboard_tippers: "🏆 팁 보낸 순위",
+    leaderboard_receivers: "🏆 팁 받은 순위",
+    leaderboard_emoji: "⚡ 이모지 팁 받은 순위",
+    leaderboard_window_day: "24시간",
+    leaderboard_window_week: "7일",
+    leaderboard_window_month: "30일",
+    leaderboard_window_all: "전체",
+    leaderboard_empty: "아직 팁이 없습니다",
+    leaderboard_you: "내 순위: #{rank} ({total} sats)",
+    leaderboard_you_unranked: "내 순위: 없음",
+    leaderboard_you_hidden: "내 순위: 숨김 (/leaderboard_optout)",
+    leaderboard_optout_on: "🙈 공개 순위에서 숨겨집니다",
+    leaderboard_optout_off: "👀 공개 순위에 표시됩니다",
+    guild_leaderboard: "🏆 주간 순위 게시: {status}",
+
+    currency_set: "💱 **{currency}**로 표시합니다 (1,000 sats ≈ {example})",
+    currency_set_no_price: "💱 **{currency}**로 표시합니다 (현재 시세 조회 불가)",
+    currency_off: "💱 sats만 표시합니다",
+    deposit_amount_or_fiat: "❌ `amount` (sats) 또는 `fiat` 중 하나만 입력하세요",
+    price_unavailable: "❌ 현재 시세를 가져올 수 없습니다 - 다시 시도하거나 sats로 입력하세요",
+
+    deposit_paid: "✅ **입금 완료!**\n📥 **{amount} sats**{fiat}\n💰 잔액: **{bal} sats**",
+    deposit_expired: "⌛ **만료됨** - {amount} sats 인보이스가 결제되지 않았습니다",
+    deposit_new_invoice: "🧾 새 인보이스",
+
+    bounty_title: "🎯 현상금 #{id}",
+    bounty_header: "<@{creator}> · 💰 **{amount} sats**",
+    bounty_funders: "🤝 후원: {list}",
+    bounty_expires: "⏰ {time} 만료",
+    bounty_awarded: "✅ 지급 완료",
+    bounty_expired: "⌛ 만료 - 환불됨",
+    bounty_cancelled: "🚫 취소 - 환불됨",
+    bounty_fund_btn: "➕ sats 추가",
+    bounty_fund_title: "현상금 #{id}에 sats 추가",
+    bounty_funded: "✅ 현상금 #{id}에 **{amount} sats** 추가 (잔액: {bal} sats)",
+    bounty_closed: "❌ 종료된 현상금입니다",
+    bounty_not_found: "❌ 현상금을 찾을 수 없습니다",
+    bounty_not_yours: "❌ 생성자나 관리자만 할 수 있습니다",
+    bounty_no_winners: "❌ 지급할 수 있는 유저가 없습니다 (봇, 동결 계정, 생성자 제외)",
+    bounty_too_many_winners: "❌ 최대 {max}명까지 지급할 수 있습니다",
+    bounty_cancelled_ok: "✅ 현상금 #{id} 취소, **{amount} sats**를 후원자 {n}명에게 환불",
+    bounty_awarded_public: "🎯 현상금 #{id} 지급: {list}",
+    bounty_award_dm: "🎯 현상금 #{id} 수상: **{amount} sats**\n💰 잔액: **{bal} sats**",
+    bounty_refund_dm: "🎯 현상금 #{id} 종료 - **{amount} sats** 환불\n💰 잔액: **{bal} sats**",
+    bounty_list_title: "🎯 진행 중인 현상금 ({n})",
+    bounty_list_empty: "진행 중인 현상금이 없습니다",
+
+    paywall_title: "🔒 잠긴 게시물 #{id}",
+    paywall_header: "<@{creator}> · 💰 **{price} sats**",
+    paywall_sales: "🛒 {n}명 열람",
+    paywall_unlock_btn: "🔓 {price} sats로 열기",
+    paywall_unlocked: "🔓 **게시물 #{id}**",
+    paywall_bought: "✅ **{amount} sats** 결제 완료 (잔액: {bal} sats). 버튼을 다시 누르면 언제든 무료로 볼 수 있습니다",
+    paywall_not_found: "❌ 게시물을 찾을 수 없습니다",
+    paywall_empty: "❌ `content` 또는 `file`을 입력하세요",
+    paywall_file_too_large: "❌ 파일이 너무 큽니다 (최대 {mb} MB)",
+    paywall_created: "✅ 잠긴 게시물 #{id} 게시 ({price} sats)",
+    paywall_sales_title: "🛒 내 판매 내역",
+    paywall_sales_total: "합계: **{n}건**, **{revenue} sats**{fiat}",
+    paywall_sales_line: "#{id} · {price} sats · {n}건 · {revenue} sats",
+    paywall_sales_empty: "판매 중인 게시물이 없습니다",
+
+    raffle_title: "🎰 추첨 #{id}",
+    raffle_header: "<@{creator}> · 🎟️ 티켓 **{price} sats** · 💰 상금: **{pot} sats**",
+    raffle_tickets: "🎫 {n}/{max}장 · 참가자 {entrants}명",
+    raffle_ends: "⏰ {time} 추첨",
+    raffle_winner: "🏆 당첨: <@{winner}> (**{payout} sats**)",
+    raffle_refunded: "↩️ 참가자 {min}명 미만 - 전액 환불",
+    raffle_commit: "🔐 커밋: `sha256(seed) = {hash}`",
+    raffle_seed: "🔑 Seed: `{seed}`",
+    raffle_buy_btn: "🎟️ 티켓 구매 ({price} sats)",
+    raffle_enter_btn: "🎟️ 참가",
+    raffle_bought: "✅ 추첨 #{id} 티켓 구매 - 보유 {mine}장 (잔액: {bal} sats)",
+    raffle_closed: "❌ 종료된 추첨입니다",
+    raffle_sold_out: "❌ 매진",
+    raffle_entered: "❌ 이미 참가했습니다",
+    raffle_bad_duration: "❌ 기간은 `30m`, `2h`, `1d` 형식 (최대 {days}일)",
+    raffle_free_needs_prize: "❌ 무료 추첨은 `prize`가 필요합니다",
+    raffle_win_dm: "🎰 추첨 #{id} 당첨: **{amount} sats**\n💰 잔액: **{bal} sats**",
+    raffle_refund_dm: "🎰 추첨 #{id} 참가자 부족 - **{amount} sats** 환불\n💰 잔액: **{bal} sats**",
+
+    tip_group_confirm: "🎯 **{n}**명에게 1인당 **{amount} sats** 보낼까요?\n💸 총액: **{total} sats**{fiat}",
+    tip_confirm_btn: "✅ 보내기",
+    tip_cancel_btn: "취소",
+    tip_group_too_many: "❌ 대상 {n}명 - 그룹 팁은 최대 {max}명",
+    tip_group_expired: "⌛ 확인 시간이 만료되었습니다",
+    tip_group_cancelled: "❌ 팁 취소됨",
+    tip_group_sent: "✅ {n}명에게 **{total} sats** 전송 완료",
+
+    api_disabled: "⚠️ HTTP API가 꺼져 있습니다 (`API_ENABLED=true` 설정)",
+    api_invalid_scopes: "❌ 권한은 쉼표로 구분: {scopes}",
+    api_invalid_webhook: "❌ 웹훅은 공개된 https URL이어야 합니다 (localhost/사설망 호스트 불가)",
+    api_created: "🔌 앱 #{id} **{name}** ({scopes})\n🔑 API 키 (한 번만 표시): `{key}`",
+    api_created_webhook: "🔔 웹훅 시크릿 (한 번만 표시): `{secret}`",
+    api_list_title: "🔌 API 앱",
+    api_list_empty: "등록된 앱이 없습니다",
+    api_app_line: "#{id} **{name}** - {scopes}",
+    api_app_users: "유저 {n}명",
+    api_app_revoked_tag: "해지됨",
+    api_app_not_found: "❌ 앱을 찾을 수 없습니다",
+    api_revoked: "✅ 앱 #{id} **{name}** 해지됨",
+    apps_title: "🔌 허용한 앱",
+    apps_empty: "허용한 앱이 없습니다",
+    apps_granted: "✅ **{name}** 이(가) 내 계정을 사용할 수 있습니다 ({scopes}). `/apps revoke`로 언제든 해제",
+    apps_revoked: "✅ **{name}** 권한 해제",
+    apps_not_granted: "❌ **{name}** 에 권한을 준 적이 없습니다",
+    api_tip_received: "💰 <@{from}> ➡️ 나 **{amount} sats** ({app} 경유)\n💰 잔액: **{bal} sats**",
+
+    admin_log_head: "🔗 관리자 로그 헤드 #{id}: `{hash}`",
+
+    subscription_resumed_retry: "⚠️ 정기 후원 #{id} 재개됨, 잔액 부족 - <t:{next}:R> 재시도",
+
+    raffle_verify: "✔️ 당첨 티켓 = sha256(\"seed:<첨부 목록의 id를 쉼표로 연결>\") mod 티켓 수 (0 = 첫 줄)",
+    raffle_winner_public: "🎰 추첨 #{id}: <@{winner}> 님이 #{ticket}번 티켓으로 **{payout} sats** 당첨! 티켓 목록 첨부",
+    raffle_list_hash: "🎫 티켓 목록: `sha256 = {hash}`",
+    raffle_fee_note: "💼 수수료: 티켓 판매액의 {pct}% (상금 제외)"
+  },
+
+  ja: {
+    error: "❌ エラー",
+    error_msg: "❌ {msg}",
+    rate_limited: "⏰ リクエストが多すぎます。{s}秒後に再試行してください。",
+    emoji_rate_limited: "⏰ 絵文字チップ制限: {s}秒後に再試行してください。",
+    owner_only: "❌ オーナー専用",
+    amount_positive: "❌ 金額は0より大きくしてください",
+    invalid_amount: "❌ 無効な金額",
+    max_withdraw: "❌ 上限: {max} sats",
+    insufficient: "❌ 残高: {bal} sats (必要: {need} sats)",
+    balance: "💰 残高: **{bal} sats**{fiat}",
+    fee_free: "無料",
+
+    deposit_invoice: "🧾 **入金**\n💰 **{amount} sats**{fiat}\n📱 スキャンまたはコピー:",
+
+    tip_no_mentions: "❌ @メンションでユーザーを指定してください",
+    tip_self: "❌ 自分にはチップを送れません",
+    tip_no_valid_users: "❌ 有効なユーザーがいません",
+    tip_insufficient: "❌ 残高不足\n💰 残高: **{bal} sats** (必要: **{need} sats**)",
+    tip_received: "💰 <@{from}> ➡️ あなたへ **{amount} sats**{fiat}\n📍 <#{channel}>\n💰 残高: **{bal} sats**",
+    tip_public: "⚡ <@{from}> ➡️ {to} 各 **{amount} sats**! (合計: **{total} sats**{fiat})",
+    tip_message: "💬 {msg}",
+    emoji_tip_public: "⚡ <@{from}> ➡️ <@{to}> **{amount} sats** チップ!",
+    emoji_tip_received: "⚡ <@{from}> ➡️ あなたへ **{amount} sats**\n📍 <#{channel}>\n💰 残高: **{bal} sats**",
+
+    withdraw_title: "💰 出金",
+    withdraw_desc: "⚡ **ライトニングアドレス**: user@wallet.com\n🧾 **インボイス/LNURL**: lnbc...\n\n💸 手数料: 内部=無料, その他={fee} sats\n📊 上限: {max} sats",
+    withdraw_btn_addr: "⚡ アドレス",
+    withdraw_btn_inv: "🧾 インボイス",
+    modal_addr_title: "⚡ ライトニングアドレス",
+    modal_addr_label: "アドレス",
+    modal_amount_label: "金額 (sats)",
+    modal_inv_title: "🧾 インボイス",
+    modal_inv_label: "インボイス / LNURL",
+    modal_inv_amount_label: "金額 (金額なしインボイス / LNURL)",
+    withdraw_sent: "✅ **送金完了!**\n📤 {amount} sats{fiat}{dest}\n💸 手数料: {fee}\n💰 残高: **{bal} sats**",
+    withdraw_verified: "⚠️ **エラーが発生しましたが支払いは確認されました**\n📤 {amount} sats{dest}\n💰 残高: **{bal} sats**",
+    withdraw_unverified: "⚠️ **エラー - 支払いを確認できません**\n残高は差し引かれました。確認を続け、結果をDMでお知らせします。\n💰 残高: **{bal} sats**",
+
+    redpacket_title: "🧧 レッドパケット",
+    redpacket_header: "<@{sender}> ➡️ **{amount} sats** / {count}人",
+    redpacket_random: "🎲 ランダム",
+    redpacket_equal: "⚖️ 均等",
+    redpacket_left: "📦 残り: **{left}/{count}**",
+    redpacket_expires: "⏰ {time}に期限切れ",
+    redpacket_done: "✅ すべて受け取られました",
+    redpacket_expired: "⌛ 期限切れ - 返金済み",
+    redpacket_claim_btn: "🧧 受け取る",
+    redpacket_count_range: "❌ 人数: 1-{max}",
+    redpacket_min_share: "❌ 1人あたり最低1 satが必要です",
+    redpacket_own: "❌ 自分のレッドパケットは受け取れません",
+    redpacket_claimed: "❌ すでに受け取りました",
+    redpacket_closed: "❌ このレッドパケットは終了しました",
+    redpacket_claim_ok: "🧧 +**{amount} sats**!\n💰 残高: **{bal} sats**",
+    redpacket_refund_dm: "🧧 レッドパケット期限切れ - **{amount} sats** 返金されました\n💰 残高: **{bal} sats**",
+
+    owner_balance: "💼 オーナー: **{bal} sats**",
+    owner_insufficient: "❌ オーナー: {bal} sats",
+    owner_withdrawn: "✅ オーナー ➡️ あなたへ **{amount} sats**",
+    owner_reset: "✅ オーナー残高 = 0",
+
+    language_set: "🌍 言語: **{lang}**",
+    language_auto: "🌍 言語: **自動** (Discord)",
+
+    history_title: "📜 取引履歴",
+    history_empty: "取引履歴はありません",
+    history_footer: "{page}/{pages} ページ · {total}件",
+    history_prev: "◀ 前へ",
+    history_next: "次へ ▶",
+    history_export_csv: "📄 CSVエクスポート",
+    history_export_json: "🧾 JSONエクスポート",
+    history_exported: "📎 **{count}**件をエクスポートしました",
+    history_bad_date: "❌ 日付形式: YYYY-MM-DD",
+
+    audit_title: "🔍 台帳監査",
+    audit_wallet: "🏦 ウォレット ({backend}): **{n} sats**",
+    audit_users: "👥 ユーザー: **{n} sats** ({count}アカウント)",
+    audit_owner: "💼 オーナー: **{n} sats**",
+    audit_escrow: "🔒 エスクロー: **{n} sats**",
+    audit_liabilities: "📒 負債合計: **{n} sats**",
+    audit_surplus: "✅ 余剰: **+{n} sats**",
+    audit_shortfall: "🚨 不足: **{n} sats**",
+    audit_drifts: "**不整合**",
+    audit_unverified: "⚠️ 未確認の出金: **{count}**件 ({amount} sats)",
+    audit_pending_pays: "⏳ 保留中の出金: **{count}**件 ({amount} sats)",
+    audit_stale_invoices: "🧾 期限切れ未決済インボイス: **{count}**件 ({amount} sats)",
+    audit_open_invoices: "🧾 未決済インボイス: {count}件",
+    audit_no_drift: "✨ 不整合なし",
+    audit_alert: "🚨 **監査アラート** - 不足 **{n} sats** (しきい値 {threshold})",
+    audit_report: "🔍 定期監査レポート",
+
+    audit_expected_wallet: "🧮 台帳上のウォレット (asset:blink): **{n} sats**",
+    audit_unbalanced: "❗ 貸借不一致の仕訳: **{count}**件 ({ids})",
+
+    lnaddress_current: "⚡ あなたのライトニングアドレス: **{addr}**",
+    lnaddress_none: "⚡ まだライトニングアドレスがありません。`/lnaddress <ユーザー名>`で作成してください",
+    lnaddress_set: "✅ ライトニングアドレス: **{addr}**\nこのアドレスへの送金は残高に入金されます。",
+    lnaddress_invalid: "❌ ユーザー名: 3-32文字、a-z 0-9 . _ -",
+    lnaddress_taken: "❌ **{name}** はすでに使われています",
+    lnaddress_disabled: "❌ ライトニングアドレスは有効になっていません",
+
+    voucher_created: "🎟️ **バウチャー #{id}**: **{amount} sats** × {uses}\n{total} sats を預託 (手数料予備分含む、未使用分は返金)\n期限 {time} · 残高: {bal} sats\nLNURL-withdraw対応ウォレットでスキャン:",
+    voucher_revoke_btn: "取り消し",
+    voucher_revoked: "🎟️ バウチャー #{id} を取り消しました。**{amount} sats** 返金 (残高: {bal} sats)",
+    voucher_refund_dm: "🎟️ バウチャー #{id} の期限切れ。**{amount} sats** 返金 (残高: {bal} sats)",
+    voucher_not_found: "❌ バウチャーが見つかりません",
+    voucher_closed: "❌ このバウチャーはすでに終了しています",
+    voucher_disabled: "❌ バウチャーは有効になっていません",
+
+    lnurl_amount_required: "❌ LNURLへの支払いには金額を入力してください",
+    invoice_amount_mismatch: "❌ このインボイスは {amount} sats です - 金額を空欄にするか一致させてください",
+
+    withdraw_cap: "❌ 出金上限 ({period}): {used}/{cap} sats 使用済み、残り {left} sats",
+    withdraw_paused: "⏸️ 出金は一時停止中です。しばらくしてから再度お試しください",
+    withdraw_held: "❌ 最近受け取ったチップ {held} sats は保留中です。現在出金可能: {avail} sats",
+    breaker_alert: "🚨 **出金停止** - 直近1時間の出金 {outflow} + {amt} sats が上限 {cap} を超過 (<@{user}>)。確認後 `/owner_breaker resume`",
+    breaker_paused: "⏸️ 出金 **停止中** {since}: {reason}",
+    breaker_active: "▶️ 出金 **有効**",
+    breaker_outflow: "直近1時間: {outflow} / {cap} sats",
+
+    admin_only: "❌ 管理者専用",
+    account_frozen: "❄️ アカウントは凍結されています。管理者に連絡してください",
+    admin_lookup_title: "🛠️ アカウント照会",
+    admin_lookup_balance: "💰 残高: **{bal} sats** (出金可能 {avail})",
+    admin_lookup_frozen: "❄️ **凍結中** {time}、<@{admin}>: {reason}",
+    admin_lookup_active: "✅ 正常",
+    admin_credited: "✅ <@{user}> に **{amount} sats** を付与 (残高: {bal} sats)",
+    admin_debited: "✅ <@{user}> から **{amount} sats** を差し引き (残高: {bal} sats)",
+    admin_debit_insufficient: "❌ <@{user}> の残高は {bal} sats のみです",
+    admin_frozen: "❄️ <@{user}> を凍結: {reason}",
+    admin_unfrozen: "🔥 <@{user}> の凍結を解除",
+    admin_already_frozen: "❌ <@{user}> はすでに凍結されています",
+    admin_not_frozen: "❌ <@{user}> は凍結されていません",
+    admin_log_title: "🛠️ 管理ログ",
+    admin_log_ok: "✅ ハッシュチェーン正常 ({n}件)",
+    admin_log_broken: "🚨 **ハッシュチェーン破損: #{id}**",
+
+    invoice_already_used: "❌ このインボイスは支払い済みまたは処理中です",
+    payment_resolved_success: "✅ 出金 tx#{tx} (**{amount} sats**) の支払いが確認されました。\n💰 残高: **{bal} sats**",
+    payment_resolved_refunded: "↩️ 出金 tx#{tx} は失敗しました。**{amount} sats** + 手数料 {fee} を返金。\n💰 残高: **{bal} sats**",
+    admin_payments_title: "🔎 未確定の支払い ({n})",
+    admin_payments_none: "✅ 未確定なし",
+    admin_payment_not_stuck: "❌ tx#{tx} は未確定の支払いではありません",
+    admin_payment_resolved: "✅ tx#{tx} → **{result}**",
+    admin_payment_unchanged: "⏳ tx#{tx} はまだ未確定 ({status})",
+
+    emojitip_title: "⚡ 絵文字チップ",
+    emojitip_none: "絵文字チップが設定されていません。`/emojitip add` で追加してください",
+    emojitip_disabled_list: "🚫 無効なチャンネル: {channels}",
+    emojitip_invalid: "❌ サーバー絵文字またはUnicode絵文字を指定してください",
+    emojitip_foreign: "❌ このサーバーのカスタム絵文字のみ使用できます",
+    emojitip_added: "✅ {emoji} → **{amount} sats**",
+    emojitip_removed: "🗑️ {emoji} を削除しました",
+    emojitip_not_found: "❌ その絵文字は登録されていません",
+    emojitip_channel_disabled: "🚫 <#{channel}> で絵文字チップを無効化",
+    emojitip_channel_enabled: "✅ <#{channel}> で絵文字チップを有効化",
+
+    feature_disabled: "🚫 この機能はこのサーバーで無効です",
+    audit_guilds: "🏠 サーバー手数料分: **{n} sats**",
+    guild_title: "🏠 サーバー設定",
+    guild_fees: "💸 手数料: 内部 {internal} / 外部 {external} sats · 最大出金: {max} sats",
+    guild_owner: "👑 手数料オーナー: {owner} (手数料の{share}%) · 未精算: **{bal} sats**",
+    guild_features: "⚙️ {list}",
+    guild_channel: "📢 お知らせ: {channel}",
+    guild_owner_only: "❌ このサーバーの手数料オーナーのみ精算できます",
+    guild_no_fees: "❌ 精算できる手数料がありません",
+    guild_fees_claimed: "✅ **{amount} sats** を精算しました (残高: {bal} sats)",
+
+    rain_public: "🌧️ <@{from}> が直近{minutes}分の発言者{n}人に **{total} sats** を降らせました!",
+    rain_no_users: "❌ 直近{minutes}分、このチャンネルに対象ユーザーがいません",
+    rain_too_small: "❌ {n}人に1 satずつ配るには金額が足りません",
+
+    interval_week: "毎週",
+    interval_month: "毎月",
+    subscription_created: "🔁 定期チップ #{id}: <@{to}> へ{interval} **{amount} sats**。初回送金済み、次回 <t:{next}:R>",
+    subscription_started: "🔁 <@{from}> があなたへの定期チップを開始しました: {interval} **{amount} sats** (#{id})",
+    subscription_received: "🔁 <@{from}> ➡️ あなたへ **{amount} sats** (定期チップ #{id})\n💰 残高: **{bal} sats**",
+    subscription_low_balance: "⚠️ <@{to}> への定期チップ #{id} に **{amount} sats** が必要ですが、残高は {bal} sats です。{hours}時間後に再試行します",
+    subscription_paused: "⏸️ <@{to}> への定期チップ #{id} を一時停止: 残高不足 ({bal}/{amount} sats)。入金後 `/subscriptions resume {id}`",
+    subscription_limit: "❌ 定期チップは最大{max}件です",
+    subscription_not_found: "❌ 定期チップが見つかりません",
+    subscription_cancelled: "✅ 定期チップ #{id} を解約しました",
+    subscription_not_paused: "❌ 定期チップ #{id} は一時停止中ではありません",
+    subscription_resumed: "▶️ 定期チップ #{id} を再開しました (次回 <t:{next}:R>)",
+    subscriptions_title: "🔁 定期チップ",
+    subscriptions_empty: "定期チップはありません",
+    subscription_line_out: "#{id} ➡️ <@{user}> {interval} **{amount} sats** · 次回 <t:{next}:R>",
+    subscription_line_in: "#{id} ⬅️ <@{user}> {interval} **{amount} sats** · 次回 <t:{next}:R>",
+
+    leaderboard_tippers: "🏆 チップ送信ランキング",
+    leaderboard_receivers: "🏆 チップ受取ランキング",
+    leaderboard_emoji: "⚡ 絵文字チップ受取ランキング",
+    leaderboard_window_day: "24時間",
+    leaderboard_window_week: "7日間",
+    leaderboard_window_month: "30日間",
+    leaderboard_window_all: "全期間",
+    leaderboard_empty: "まだチップがありません",
+    leaderboard_you: "あなた: #{rank} ({total} sats)",
+    leaderboard_you_unranked: "あなた: ランク外",
+    leaderboard_you_hidden: "あなた: 非表示 (/leaderboard_optout)",
+    leaderboard_optout_on: "🙈 公開ランキングに表示されません",
+    leaderboard_optout_off: "👀 公開ランキングに表示されます",
+    guild_leaderboard: "🏆 週間ランキング投稿: {status}",
+
+    currency_set: "💱 **{currency}** で表示します (1,000 sats ≈ {example})",
+    currency_set_no_price: "💱 **{currency}** で表示します (現在価格を取得できません)",
+    currency_off: "💱 satsのみ表示します",
+    deposit_amount_or_fiat: "❌ `amount` (sats) か `fiat` のどちらかを入力してください",
+    price_unavailable: "❌ 現在価格を取得できません - 再試行するかsatsで入力してください",
+
+    deposit_paid: "✅ **入金完了!**\n📥 **{amount} sats**{fiat}\n💰 残高: **{bal} sats**",
+    deposit_expired: "⌛ **期限切れ** - {amount} sats のインボイスは支払われませんでした",
+    deposit_new_invoice: "🧾 新しいインボイス",
+
+    bounty_title: "🎯 バウンティ #{id}",
+    bounty_header: "<@{creator}> · 💰 **{amount} sats**",
+    bounty_funders: "🤝 出資: {list}",
+    bounty_expires: "⏰ {time}に期限切れ",
+    bounty_awarded: "✅ 支払い済み",
+    bounty_expired: "⌛ 期限切れ - 返金済み",
+    bounty_cancelled: "🚫 キャンセル - 返金済み",
+    bounty_fund_btn: "➕ satsを追加",
+    bounty_fund_title: "バウンティ #{id} にsatsを追加",
+    bounty_funded: "✅ バウンティ #{id} に **{amount} sats** を追加 (残高: {bal} sats)",
+    bounty_closed: "❌ このバウンティは終了しています",
+    bounty_not_found: "❌ バウンティが見つかりません",
+    bounty_not_yours: "❌ 作成者または管理者のみ実行できます",
+    bounty_no_winners: "❌ 有効な受賞者がいません (ボット、凍結アカウント、作成者は不可)",
+    bounty_too_many_winners: "❌ 受賞者は最大{max}人です",
+    bounty_cancelled_ok: "✅ バウンティ #{id} をキャンセル、**{amount} sats** を出資者{n}人に返金",
+    bounty_awarded_public: "🎯 バウンティ #{id} 支払い: {list}",
+    bounty_award_dm: "🎯 バウンティ #{id} を獲得: **{amount} sats**\n💰 残高: **{bal} sats**",
+    bounty_refund_dm: "🎯 バウンティ #{id} 終了 - **{amount} sats** 返金\n💰 残高: **{bal} sats**",
+    bounty_list_title: "🎯 募集中のバウンティ ({n})",
+    bounty_list_empty: "募集中のバウンティはありません",
+
+    paywall_title: "🔒 有料投稿 #{id}",
+    paywall_header: "<@{creator}> · 💰 **{price} sats**",
+    paywall_sales: "🛒 {n}人が購入",
+    paywall_unlock_btn: "🔓 {price} satsで解除",
+    paywall_unlocked: "🔓 **投稿 #{id}**",
+    paywall_bought: "✅ **{amount} sats** 支払い完了 (残高: {bal} sats)。ボタンを再度押すといつでも無料で開けます",
+    paywall_not_found: "❌ 投稿が見つかりません",
+    paywall_empty: "❌ `content` か `file` を指定してください",
+    paywall_file_too_large: "❌ ファイルが大きすぎます (最大 {mb} MB)",
+    paywall_created: "✅ 有料投稿 #{id} を投稿しました ({price} sats)",
+    paywall_sales_title: "🛒 販売実績",
+    paywall_sales_total: "合計: **{n}件**, **{revenue} sats**{fiat}",
+    paywall_sales_line: "#{id} · {price} sats · {n}件 · {revenue} sats",
+    paywall_sales_empty: "有料投稿はまだありません",
+
+    raffle_title: "🎰 抽選 #{id}",
+    raffle_header: "<@{creator}> · 🎟️ チケット **{price} sats** · 💰 賞金: **{pot} sats**",
+    raffle_tickets: "🎫 {n}/{max}枚 · 参加者{entrants}人",
+    raffle_ends: "⏰ {time}に抽選",
+    raffle_winner: "🏆 当選: <@{winner}> (**{payout} sats**)",
+    raffle_refunded: "↩️ 参加者{min}人未満 - 全額返金",
+    raffle_commit: "🔐 コミット: `sha256(seed) = {hash}`",
+    raffle_seed: "🔑 Seed: `{seed}`",
+    raffle_buy_btn: "🎟️ チケット購入 ({price} sats)",
+    raffle_enter_btn: "🎟️ 参加",
+    raffle_bought: "✅ 抽選 #{id} のチケットを購入 - 所持 {mine}枚 (残高: {bal} sats)",
+    raffle_closed: "❌ この抽選は終了しています",
+    raffle_sold_out: "❌ 売り切れ",
+    raffle_entered: "❌ すでに参加しています",
+    raffle_bad_duration: "❌ 期間は `30m`、`2h`、`1d` の形式 (最大{days}日)",
+    raffle_free_needs_prize: "❌ 無料抽選には `prize` が必要です",
+    raffle_win_dm: "🎰 抽選 #{id} に当選: **{amount} sats**\n💰 残高: **{bal} sats**",
+    raffle_refund_dm: "🎰 抽選 #{id} は参加者不足 - **{amount} sats** 返金\n💰 残高: **{bal} sats**",
+
+    tip_group_confirm: "🎯 **{n}**人に1人 **{amount} sats** ずつ送りますか?\n💸 合計: **{total} sats**{fiat}",
+    tip_confirm_btn: "✅ 送る",
+    tip_cancel_btn: "キャンセル",
+    tip_group_too_many: "❌ 対象{n}人 - グループチップは最大{max}人です",
+    tip_group_expired: "⌛ 確認の有効期限が切れました",
+    tip_group_cancelled: "❌ チップをキャンセルしました",
+    tip_group_sent: "✅ {n}人に **{total} sats** 送信しました",
+
+    api_disabled: "⚠️ HTTP APIは無効です (`API_ENABLED=true` を設定)",
+    api_invalid_scopes: "❌ スコープはカンマ区切りで: {scopes}",
+    api_invalid_webhook: "❌ Webhookは公開されたhttpsのURLにしてください (localhostやプライベートネットワークは不可)",
+    api_created: "🔌 アプリ #{id} **{name}** ({scopes})\n🔑 APIキー (一度だけ表示): `{key}`",
+    api_created_webhook: "🔔 Webhookシークレット (一度だけ表示): `{secret}`",
+    api_list_title: "🔌 APIアプリ",
+    api_list_empty: "アプリはまだありません",
+    api_app_line: "#{id} **{name}** - {scopes}",
+    api_app_users: "ユーザー{n}人",
+    api_app_revoked_tag: "無効化済み",
+    api_app_not_found: "❌ アプリが見つかりません",
+    api_revoked: "✅ アプリ #{id} **{name}** を無効化しました",
+    apps_title: "🔌 許可したアプリ",
+    apps_empty: "許可したアプリはありません",
+    apps_granted: "✅ **{name}** がアカウントを使えるようになりました ({scopes})。`/apps revoke` でいつでも解除できます",
+    apps_revoked: "✅ **{name}** のアクセスを解除しました",
+    apps_not_granted: "❌ **{name}** にはアクセス権がありません",
+    api_tip_received: "💰 <@{from}> ➡️ あなた **{amount} sats** ({app} 経由)\n💰 残高: **{bal} sats**",
+
+    admin_log_head: "🔗 管理ログのヘッド #{id}: `{hash}`",
+
+    subscription_resumed_retry: "⚠️ 定期チップ #{id} を再開しましたが残高不足です - <t:{next}:R> に再試行",
+
+    raffle_verify: "✔️ 当選チケット = sha256(\"seed:<添付リストのidをカンマで連結>\") mod チケット数 (0 = 1行目)",
+    raffle_winner_public: "🎰 抽選 #{id}: <@{winner}> がチケット #{ticket} で **{payout} sats** 当選! チケット一覧を添付",
+    raffle_list_hash: "🎫 チケット一覧: `sha256 = {hash}`",
+    raffle_fee_note: "💼 手数料: チケット売上の{pct}% (賞金は対象外)"
+  },
+
+  es: {
+    error: "❌ Error",
+    error_msg: "❌ {msg}",
+    rate_limited: "⏰ Demasiadas solicitudes. Inténtalo de nuevo en {s}s.",
+    emoji_rate_limited: "⏰ Límite de propinas con emoji: inténtalo de nuevo en {s}s.",
+    owner_only: "❌ Solo el propietario",
+    amount_positive: "❌ La cantidad debe ser > 0",
+    invalid_amount: "❌ Cantidad inválida",
+    max_withdraw: "❌ Máximo: {max} sats",
+    insufficient: "❌ Saldo: {bal} sats (Necesario: {need} sats)",
+    balance: "💰 Saldo: **{bal} sats**{fiat}",
+    fee_free: "Gratis",
+
+    deposit_invoice: "🧾 **Depósito**\n💰 **{amount} sats**{fiat}\n📱 Escanea o copia:",
+
+    tip_no_mentions: "❌ Menciona usuarios con @",
+    tip_self: "❌ No puedes darte propina a ti mismo",
+    tip_no_valid_users: "❌ No hay usuarios válidos",
+    tip_insufficient: "❌ Saldo insuficiente\n💰 Saldo: **{bal} sats** (Necesario: **{need} sats**)",
+    tip_received: "💰 <@{from}> ➡️ Para ti **{amount} sats**{fiat}\n📍 <#{channel}>\n💰 Saldo: **{bal} sats**",
+    tip_public: "⚡ <@{from}> ➡️ {to} ¡**{amount} sats** cada uno! (Total: **{total} sats**{fiat})",
+    tip_message: "💬 {msg}",
+    emoji_tip_public: "⚡ <@{from}> ➡️ <@{to}> ¡propina de **{amount} sats**!",
+    emoji_tip_received: "⚡ <@{from}> ➡️ Para ti **{amount} sats**\n📍 <#{channel}>\n💰 Saldo: **{bal} sats**",
+
+    withdraw_title: "💰 Retirar",
+    withdraw_desc: "⚡ **Dirección Lightning**: user@wallet.com\n🧾 **Factura/LNURL**: lnbc...\n\n💸 Comisión: Interno=Gratis, Otros={fee} sats\n📊 Máximo: {max} sats",
+    withdraw_btn_addr: "⚡ Dirección",
+    withdraw_btn_inv: "🧾 Factura",
+    modal_addr_title: "⚡ Dirección Lightning",
+    modal_addr_label: "Dirección",
+    modal_amount_label: "Cantidad (sats)",
+    modal_inv_title: "🧾 Factura",
+    modal_inv_label: "Factura / LNURL",
+    modal_inv_amount_label: "Cantidad (factura sin monto / LNURL)",
+    withdraw_sent: "✅ **¡Enviado!**\n📤 {amount} sats{fiat}{dest}\n💸 Comisión: {fee}\n💰 Saldo: **{bal} sats**",
+    withdraw_verified: "⚠️ **Hubo un error, pero el pago fue confirmado**\n📤 {amount} sats{dest}\n💰 Saldo: **{bal} sats**",
+    withdraw_unverified: "⚠️ **Error - no se pudo verificar el pago**\nSe descontó tu saldo. Seguiremos verificando y te avisaremos por DM.\n💰 Saldo: **{bal} sats**",
+
+    redpacket_title: "🧧 Sobre rojo",
+    redpacket_header: "<@{sender}> ➡️ **{amount} sats** / {count}",
+    redpacket_random: "🎲 Aleatorio",
+    redpacket_equal: "⚖️ Igual",
+    redpacket_left: "📦 Quedan: **{left}/{count}**",
+    redpacket_expires: "⏰ Expira {time}",
+    redpacket_done: "✅ Todo reclamado",
+    redpacket_expired: "⌛ Expirado - reembolsado",
+    redpacket_claim_btn: "🧧 Reclamar",
+    redpacket_count_range: "❌ Personas: 1-{max}",
+    redpacket_min_share: "❌ Se necesita al menos 1 sat por persona",
+    redpacket_own: "❌ No puedes reclamar tu propio sobre rojo",
+    redpacket_claimed: "❌ Ya lo reclamaste",
+    redpacket_closed: "❌ Este sobre rojo ha terminado",
+    redpacket_claim_ok: "🧧 ¡+**{amount} sats**!\n💰 Saldo: **{bal} sats**",
+    redpacket_refund_dm: "🧧 Sobre rojo expirado - **{amount} sats** reembolsados\n💰 Saldo: **{bal} sats**",
+
+    owner_balance: "💼 Propietario: **{bal} sats**",
+    owner_insufficient: "❌ Propietario: {bal} sats",
+    owner_withdrawn: "✅ Propietario ➡️ Para ti **{amount} sats**",
+    owner_reset: "✅ Propietario = 0",
+
+    language_set: "🌍 Idioma: **{lang}**",
+    language_auto: "🌍 Idioma: **Automático** (Discord)",
+
+    history_title: "📜 Historial",
+    history_empty: "No hay transacciones",
+    history_footer: "Página {page}/{pages} · {total} registros",
+    history_prev: "◀ Anterior",
+    history_next: "Siguiente ▶",
+    history_export_csv: "📄 Exportar CSV",
+    history_export_json: "🧾 Exportar JSON",
+    history_exported: "📎 **{count}** registros exportados",
+    history_bad_date: "❌ Formato de fecha: YYYY-MM-DD",
+
+    audit_title: "🔍 Auditoría del libro",
+    audit_wallet: "🏦 Billetera ({backend}): **{n} sats**",
+    audit_users: "👥 Usuarios: **{n} sats** ({count} cuentas)",
+    audit_owner: "💼 Propietario: **{n} sats**",
+    audit_escrow: "🔒 Custodia: **{n} sats**",
+    audit_liabilities: "📒 Pasivos: **{n} sats**",
+    audit_surplus: "✅ Excedente: **+{n} sats**",
+    audit_shortfall: "🚨 Déficit: **{n} sats**",
+    audit_drifts: "**Desajustes**",
+    audit_unverified: "⚠️ Retiros sin verificar: **{count}** ({amount} sats)",
+    audit_pending_pays: "⏳ Retiros pendientes: **{count}** ({amount} sats)",
+    audit_stale_invoices: "🧾 Facturas expiradas sin liquidar: **{count}** ({amount} sats)",
+    audit_open_invoices: "🧾 Facturas abiertas: {count}",
+    audit_no_drift: "✨ Sin desajustes",
+    audit_alert: "🚨 **Alerta de auditoría** - déficit de **{n} sats** (umbral {threshold})",
+    audit_report: "🔍 Informe de auditoría programado",
+
+    audit_expected_wallet: "🧮 Billetera según el libro (asset:blink): **{n} sats**",
+    audit_unbalanced: "❗ Asientos descuadrados: **{count}** ({ids})",
+
+    lnaddress_current: "⚡ Tu dirección Lightning: **{addr}**",
+    lnaddress_none: "⚡ Aún no tienes dirección Lightning. Elige una con `/lnaddress <usuario>`",
+    lnaddress_set: "✅ Dirección Lightning: **{addr}**\nLos sats enviados aquí se acreditan a tu saldo.",
+    lnaddress_invalid: "❌ Usuario: 3-32 caracteres, a-z 0-9 . _ -",
+    lnaddress_taken: "❌ **{name}** ya está en uso",
+    lnaddress_disabled: "❌ Las direcciones Lightning no están habilitadas",
+
+    voucher_created: "🎟️ **Vale #{id}**: **{amount} sats** × {uses}\n{total} sats en depósito (incl. reserva de comisión, lo no usado se reembolsa)\nExpira {time} · Saldo: {bal} sats\nEscanea con una billetera LNURL-withdraw:",
+    voucher_revoke_btn: "Revocar",
+    voucher_revoked: "🎟️ Vale #{id} revocado. Reembolsados **{amount} sats** (Saldo: {bal} sats)",
+    voucher_refund_dm: "🎟️ Vale #{id} expirado. Reembolsados **{amount} sats** (Saldo: {bal} sats)",
+    voucher_not_found: "❌ Vale no encontrado",
+    voucher_closed: "❌ Este vale ya está cerrado",
+    voucher_disabled: "❌ Los vales no están habilitados",
+
+    lnurl_amount_required: "❌ Introduce una cantidad para pagar un LNURL",
+    invoice_amount_mismatch: "❌ Esta factura es de {amount} sats - deja la cantidad vacía o igual",
+
+    withdraw_cap: "❌ Límite de retiro ({period}): {used}/{cap} sats usados, quedan {left} sats",
+    withdraw_paused: "⏸️ Los retiros están pausados temporalmente. Inténtalo más tarde",
+    withdraw_held: "❌ {held} sats de propinas recientes están retenidos. Retirable ahora: {avail} sats",
+    breaker_alert: "🚨 **Retiros pausados** - salida de la última hora {outflow} + {amt} sats supera {cap} (<@{user}>). Usa `/owner_breaker resume` tras revisar",
+    breaker_paused: "⏸️ Retiros **pausados** {since}: {reason}",
+    breaker_active: "▶️ Retiros **activos**",
+    breaker_outflow: "Última hora: {outflow} / {cap} sats",
+
+    admin_only: "❌ Solo administradores",
+    account_frozen: "❄️ Tu cuenta está congelada. Contacta a un administrador",
+    admin_lookup_title: "🛠️ Consulta de cuenta",
+    admin_lookup_balance: "💰 Saldo: **{bal} sats** (retirable {avail})",
+    admin_lookup_frozen: "❄️ **Congelada** {time} por <@{admin}>: {reason}",
+    admin_lookup_active: "✅ Activa",
+    admin_credited: "✅ Acreditados **{amount} sats** a <@{user}> (Saldo: {bal} sats)",
+    admin_debited: "✅ Debitados **{amount} sats** de <@{user}> (Saldo: {bal} sats)",
+    admin_debit_insufficient: "❌ <@{user}> solo tiene {bal} sats",
+    admin_frozen: "❄️ <@{user}> congelado: {reason}",
+    admin_unfrozen: "🔥 <@{user}> descongelado",
+    admin_already_frozen: "❌ <@{user}> ya está congelado",
+    admin_not_frozen: "❌ <@{user}> no está congelado",
+    admin_log_title: "🛠️ Registro de administración",
+    admin_log_ok: "✅ Cadena de hashes intacta ({n} entradas)",
+    admin_log_broken: "🚨 **Cadena de hashes rota en #{id}**",
+
+    invoice_already_used: "❌ Esta factura ya está pagada o en proceso",
+    payment_resolved_success: "✅ El retiro tx#{tx} (**{amount} sats**) está confirmado como pagado.\n💰 Saldo: **{bal} sats**",
+    payment_resolved_refunded: "↩️ El retiro tx#{tx} no se completó. Reembolsados **{amount} sats** + comisión {fee}.\n💰 Saldo: **{bal} sats**",
+    admin_payments_title: "🔎 Pagos sin resolver ({n})",
+    admin_payments_none: "✅ Nada pendiente",
+    admin_payment_not_stuck: "❌ tx#{tx} no es un pago sin resolver",
+    admin_payment_resolved: "✅ tx#{tx} → **{result}**",
+    admin_payment_unchanged: "⏳ tx#{tx} sigue sin resolver ({status})",
+
+    emojitip_title: "⚡ Propinas con emoji",
+    emojitip_none: "No hay propinas con emoji. Añade una con `/emojitip add`",
+    emojitip_disabled_list: "🚫 Desactivadas en: {channels}",
+    emojitip_invalid: "❌ Usa un emoji del servidor o un emoji unicode",
+    emojitip_foreign: "❌ Solo se pueden usar emojis personalizados de este servidor",
+    emojitip_added: "✅ {emoji} → **{amount} sats**",
+    emojitip_removed: "🗑️ {emoji} eliminado",
+    emojitip_not_found: "❌ Ese emoji no está configurado",
+    emojitip_channel_disabled: "🚫 Propinas con emoji desactivadas en <#{channel}>",
+    emojitip_channel_enabled: "✅ Propinas con emoji activadas en <#{channel}>",
+
+    feature_disabled: "🚫 Esta función está desactivada en este servidor",
+    audit_guilds: "🏠 Comisiones de servidores: **{n} sats**",
+    guild_title: "🏠 Configuración del servidor",
+    guild_fees: "💸 Comisiones: interna {internal} / externa {external} sats · Retiro máx.: {max} sats",
+    guild_owner: "👑 Dueño de comisiones: {owner} ({share}% de comisiones) · Sin reclamar: **{bal} sats**",
+    guild_features: "⚙️ {list}",
+    guild_channel: "📢 Anuncios: {channel}",
+    guild_owner_only: "❌ Solo el dueño de comisiones del servidor puede reclamar",
+    guild_no_fees: "❌ No hay comisiones para reclamar",
+    guild_fees_claimed: "✅ Reclamados **{amount} sats** (Saldo: {bal} sats)",
+
+    rain_public: "🌧️ ¡<@{from}> hizo llover **{total} sats** sobre {n} personas de los últimos {minutes} min!",
+    rain_no_users: "❌ Nadie elegible chateó en este canal en los últimos {minutes} min",
+    rain_too_small: "❌ No alcanza para dar al menos 1 sat a {n} personas",
+
+    interval_week: "semanal",
+    interval_month: "mensual",
+    subscription_created: "🔁 Suscripción #{id}: **{amount} sats** {interval} para <@{to}>. Primer pago enviado, próximo <t:{next}:R>",
+    subscription_started: "🔁 <@{from}> se suscribió a ti: **{amount} sats** {interval} (#{id})",
+    subscription_received: "🔁 <@{from}> ➡️ Tú **{amount} sats** (suscripción #{id})\n💰 Saldo: **{bal} sats**",
+    subscription_low_balance: "⚠️ La suscripción #{id} a <@{to}> necesita **{amount} sats** pero tu saldo es {bal} sats. Reintento en {hours}h",
+    subscription_paused: "⏸️ Suscripción #{id} a <@{to}> pausada: saldo insuficiente ({bal}/{amount} sats). Recarga y usa `/subscriptions resume {id}`",
+    subscription_limit: "❌ Máximo {max} suscripciones",
+    subscription_not_found: "❌ Suscripción no encontrada",
+    subscription_cancelled: "✅ Suscripción #{id} cancelada",
+    subscription_not_paused: "❌ La suscripción #{id} no está pausada",
+    subscription_resumed: "▶️ Suscripción #{id} reanudada (próximo <t:{next}:R>)",
+    subscriptions_title: "🔁 Suscripciones",
+    subscriptions_empty: "Sin suscripciones",
+    subscription_line_out: "#{id} ➡️ <@{user}> **{amount} sats** {interval} · próximo <t:{next}:R>",
+    subscription_line_in: "#{id} ⬅️ <@{user}> **{amount} sats** {interval} · próximo <t:{next}:R>",
+
+    leaderboard_tippers: "🏆 Más propinas enviadas",
+    leaderboard_receivers: "🏆 Más propinas recibidas",
+    leaderboard_emoji: "⚡ Más propinas con emoji recibidas",
+    leaderboard_window_day: "24h",
+    leaderboard_window_week: "7 días",
+    leaderboard_window_month: "30 días",
+    leaderboard_window_all: "Histórico",
+    leaderboard_empty: "Aún no hay propinas",
+    leaderboard_you: "Tú: #{rank} ({total} sats)",
+    leaderboard_you_unranked: "Tú: sin posición",
+    leaderboard_you_hidden: "Tú: oculto (/leaderboard_optout)",
+    leaderboard_optout_on: "🙈 Estás oculto en las clasificaciones públicas",
+    leaderboard_optout_off: "👀 Apareces en las clasificaciones públicas",
+    guild_leaderboard: "🏆 Publicación semanal de clasificación: {status}",
+
+    currency_set: "💱 Mostrando valores en **{currency}** (1.000 sats ≈ {example})",
+    currency_set_no_price: "💱 Mostrando valores en **{currency}** (precio no disponible ahora)",
+    currency_off: "💱 Mostrando solo sats",
+    deposit_amount_or_fiat: "❌ Indica `amount` (sats) o `fiat`, no ambos",
+    price_unavailable: "❌ Precio no disponible ahora - reintenta o usa sats",
+
+    deposit_paid: "✅ **¡Pagado!**\n📥 **{amount} sats**{fiat}\n💰 Saldo: **{bal} sats**",
+    deposit_expired: "⌛ **Expirada** - la factura de {amount} sats no se pagó",
+    deposit_new_invoice: "🧾 Nueva factura",
+
+    bounty_title: "🎯 Recompensa #{id}",
+    bounty_header: "<@{creator}> · 💰 **{amount} sats**",
+    bounty_funders: "🤝 Aportado por: {list}",
+    bounty_expires: "⏰ Expira {time}",
+    bounty_awarded: "✅ Otorgada",
+    bounty_expired: "⌛ Expirada - reembolsada",
+    bounty_cancelled: "🚫 Cancelada - reembolsada",
+    bounty_fund_btn: "➕ Añadir sats",
+    bounty_fund_title: "Añadir sats a la recompensa #{id}",
+    bounty_funded: "✅ Añadiste **{amount} sats** a la recompensa #{id} (Saldo: {bal} sats)",
+    bounty_closed: "❌ Esta recompensa está cerrada",
+    bounty_not_found: "❌ Recompensa no encontrada",
+    bounty_not_yours: "❌ Solo el creador o un admin puede hacerlo",
+    bounty_no_winners: "❌ No hay ganadores válidos (bots, cuentas congeladas y el creador no pueden ganar)",
+    bounty_too_many_winners: "❌ Máximo {max} ganadores",
+    bounty_cancelled_ok: "✅ Recompensa #{id} cancelada, **{amount} sats** reembolsados a {n} aportante(s)",
+    bounty_awarded_public: "🎯 Recompensa #{id} otorgada: {list}",
+    bounty_award_dm: "🎯 Ganaste la recompensa #{id}: **{amount} sats**\n💰 Saldo: **{bal} sats**",
+    bounty_refund_dm: "🎯 Recompensa #{id} cerrada - reembolsados **{amount} sats**\n💰 Saldo: **{bal} sats**",
+    bounty_list_title: "🎯 Recompensas abiertas ({n})",
+    bounty_list_empty: "No hay recompensas abiertas",
+
+    paywall_title: "🔒 Publicación bloqueada #{id}",
+    paywall_header: "<@{creator}> · 💰 **{price} sats**",
+    paywall_sales: "🛒 {n} desbloqueos",
+    paywall_unlock_btn: "🔓 Desbloquear por {price} sats",
+    paywall_unlocked: "🔓 **Publicación #{id}**",
+    paywall_bought: "✅ Pagaste **{amount} sats** (Saldo: {bal} sats). Pulsa el botón de nuevo cuando quieras para verla gratis",
+    paywall_not_found: "❌ Publicación no encontrada",
+    paywall_empty: "❌ Añade `content` o un `file`",
+    paywall_file_too_large: "❌ Archivo demasiado grande (máx. {mb} MB)",
+    paywall_created: "✅ Publicación bloqueada #{id} creada ({price} sats)",
+    paywall_sales_title: "🛒 Tus ventas",
+    paywall_sales_total: "Total: **{n} ventas**, **{revenue} sats**{fiat}",
+    paywall_sales_line: "#{id} · {price} sats · {n} ventas · {revenue} sats",
+    paywall_sales_empty: "Aún no tienes publicaciones",
+
+    raffle_title: "🎰 Sorteo #{id}",
+    raffle_header: "<@{creator}> · 🎟️ **{price} sats**/boleto · 💰 Bote: **{pot} sats**",
+    raffle_tickets: "🎫 {n}/{max} boletos · {entrants} participantes",
+    raffle_ends: "⏰ Sorteo {time}",
+    raffle_winner: "🏆 Ganador: <@{winner}> (**{payout} sats**)",
+    raffle_refunded: "↩️ Menos de {min} participantes - todo reembolsado",
+    raffle_commit: "🔐 Compromiso: `sha256(seed) = {hash}`",
+    raffle_seed: "🔑 Seed: `{seed}`",
+    raffle_buy_btn: "🎟️ Comprar boleto ({price} sats)",
+    raffle_enter_btn: "🎟️ Participar",
+    raffle_bought: "✅ Boleto comprado para el sorteo #{id} - tienes {mine} (Saldo: {bal} sats)",
+    raffle_closed: "❌ Este sorteo está cerrado",
+    raffle_sold_out: "❌ Agotado",
+    raffle_entered: "❌ Ya estás participando",
+    raffle_bad_duration: "❌ Duración como `30m`, `2h`, `1d` (máx. {days} días)",
+    raffle_free_needs_prize: "❌ Un sorteo gratis necesita `prize`",
+    raffle_win_dm: "🎰 Ganaste el sorteo #{id}: **{amount} sats**\n💰 Saldo: **{bal} sats**",
+    raffle_refund_dm: "🎰 El sorteo #{id} no tuvo suficientes participantes - reembolsados **{amount} sats**\n💰 Saldo: **{bal} sats**",
+
+    tip_group_confirm: "🎯 ¿Enviar **{amount} sats** a cada uno de **{n}** miembros?\n💸 Total: **{total} sats**{fiat}",
+    tip_confirm_btn: "✅ Enviar",
+    tip_cancel_btn: "Cancelar",
+    tip_group_too_many: "❌ {n} miembros encontrados - las propinas en grupo tienen un máximo de {max}",
+    tip_group_expired: "⌛ Esta confirmación ha expirado",
+    tip_group_cancelled: "❌ Propina cancelada",
+    tip_group_sent: "✅ Enviados **{total} sats** a {n} miembros",
+
+    api_disabled: "⚠️ La API HTTP está desactivada (usa `API_ENABLED=true`)",
+    api_invalid_scopes: "❌ Los permisos deben ir separados por comas: {scopes}",
+    api_invalid_webhook: "❌ El webhook debe ser una URL https pública (sin localhost ni hosts de red privada)",
+    api_created: "🔌 App #{id} **{name}** ({scopes})\n🔑 Clave API (se muestra una vez): `{key}`",
+    api_created_webhook: "🔔 Secreto del webhook (se muestra una vez): `{secret}`",
+    api_list_title: "🔌 Apps de la API",
+    api_list_empty: "Aún no hay apps",
+    api_app_line: "#{id} **{name}** - {scopes}",
+    api_app_users: "{n} usuarios",
+    api_app_revoked_tag: "revocada",
+    api_app_not_found: "❌ App no encontrada",
+    api_revoked: "✅ App #{id} **{name}** revocada",
+    apps_title: "🔌 Apps autorizadas",
+    apps_empty: "No has autorizado ninguna app",
+    apps_granted: "✅ **{name}** ahora puede usar tu cuenta ({scopes}). Quítale el acceso cuando quieras con `/apps revoke`",
+    apps_revoked: "✅ Se quitó el acceso a **{name}**",
+    apps_not_granted: "❌ **{name}** no tiene acceso",
+    api_tip_received: "💰 <@{from}> ➡️ Tú **{amount} sats** (vía {app})\n💰 Saldo: **{bal} sats**",
+
+    admin_log_head: "🔗 Cabeza del registro de admin #{id}: `{hash}`",
+
+    subscription_resumed_retry: "⚠️ Suscripción #{id} reanudada, pero tu saldo es insuficiente - reintento <t:{next}:R>",
+
+    raffle_verify: "✔️ Boleto ganador = sha256(\"seed:<ids de la lista adjunta unidos por comas>\") mod boletos (0 = primera línea)",
+    raffle_winner_public: "🎰 Sorteo #{id}: ¡<@{winner}> gana **{payout} sats** con el boleto #{ticket}! Lista de boletos adjunta.",
+    raffle_list_hash: "🎫 Lista de boletos: `sha256 = {hash}`",
+    raffle_fee_note: "💼 Comisión: {pct}% de la venta de boletos (el premio no paga comisión)"
+  }
+};
+
+const tr = (lang, key, vars = {}) => {
+  const str = messages[lang]?.[key] ?? messages.en[key] ?? key;
+  return str.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+};
+
+// Discord locale (ko, ja, es-ES, es-419, en-US ...) → catalog lang
+const resolveLang = (locale) => {
+  const base = locale?.split("-")[0];
+  return LANGS.includes(base) ? base : null;
+};
+
+// /language 설정 > 현재 interaction locale > 마지막으로 본 locale > en
+const userLang = (uid, locale) => {
+  const s = stmt.getUserSettings.get(uid);
+  return s?.lang || resolveLang(locale) || resolveLang(s?.locale) || "en";
+};
+
+// ============ Blink API ============
+const blinkApi = axios.create({
+  baseURL: config.blink.endpoint,
+  headers: { "X-API-KEY": config.blink.apiKey, "Content-Type": "application/json" },
+  timeout: 30000
+});
+
+const gql = async (query, variables = {}) => {
+  const { data } = await blinkApi.post("", { query, variables });
+  if (data.errors?.length) throw new Error(data.errors[0].message);
+  return data.data;
+};
+
+let walletId = null;
+const getWalletId = async () => {
+  if (walletId) return walletId;
+  const data = await gql(`{ me { defaultAccount { wallets { id walletCurrency } } } }`);
+  const btc = data.me.defaultAccount.wallets.find(w => w.walletCurrency === "BTC");
+  if (!btc) throw new Error("BTC wallet not found");
+  walletId = btc.id;
+  console.log("✅ Wallet:", walletId);
+  return walletId;
+};
+
+// ============ Price (Blink) ============
+// 1 sat = base / 10^offset (통화 최소 단위), 백엔드와 무관하게 Blink 공개 시세 사용
+const priceCache = new Map();   // currency → { minorPerSat, digits, ts }
+const priceRequests = new Map();
+
+const price = {
+  fetch: (currency) => {
+    if (priceRequests.has(currency)) return priceRequests.get(currency);
+    const req = gql(`query price($currency: DisplayCurrency) {
+      realtimePrice(currency: $currency) { btcSatPrice { base offset } denominatorCurrencyDetails { fractionDigits } }
+    }`, { currency }).then(data => {
+      const p = data.realtimePrice;
+      const entry = { minorPerSat: p.btcSatPrice.base / 10 ** p.btcSatPrice.offset, digits: p.denominatorCurrencyDetails.fractionDigits, ts: Date.now() };
+      priceCache.set(currency, entry);
+      return entry;
+    }).finally(() => priceRequests.delete(currency));
+    priceRequests.set(currency, req);
+    return req;
+  },
+  // 응답을 막지 않음: 캐시만 반환, 만료 시 백그라운드 갱신
+  cached: (currency) => {
+    const entry = priceCache.get(currency);
+    if (!entry || Date.now() - entry.ts > config.price.ttl) price.fetch(currency).catch(e => console.error(`Price ${currency}:`, e.message));
+    return entry || null;
+  },
+  // 최신 시세 (만료 시 조회)
+  get: async (currency) => {
+    const entry = priceCache.get(currency);
+    return entry && Date.now() - entry.ts <= config.price.ttl ? entry : price.fetch(currency);
+  }
+};
+
+const satsToFiat = (sats, p) => sats * p.minorPerSat / 10 ** p.digits;
+const fiatToSats = (amount, p) => Math.round(amount * 10 ** p.digits / p.minorPerSat);
+const formatFiat = (lang, currency, amount, digits) =>
+  new Intl.NumberFormat(lang, { style: "currency", currency, maximumFractionDigits: digits }).format(amount);
+
+const userCurrency = (uid) => stmt.getUserSettings.get(uid)?.currency || null;
+
+// 메시지의 {fiat}: " (≈ ₩1,234)" 또는 "" (통화 미설정/시세 없음)
+const fiatNote = (uid, lang, sats) => {
+  const currency = userCurrency(uid);
+  const p = currency && price.cached(currency);
+  return p ? ` (≈ ${formatFiat(lang, currency, satsToFiat(sats, p), p.digits)})` : "";
+};
+
+// ============ Lightning Backends ============
+// 공통 인터페이스: createInvoice, checkInvoice, checkInvoices, probeFee, pay, payZeroAmount, getBalance, verifyOutgoingPayment
+// - createInvoice(amount, memo, { descriptionHash }): LNURL-pay는 description_hash 필요 (hex)
+// - checkInvoice: "PAID" | "PENDING" | "EXPIRED" | "CANCELLED"
+// - probeFee: 0 = 내부 결제 (무료), null = 알 수 없음 (외부 수수료 적용)
+// - verifyOutgoingPayment: "SUCCESS" | "PENDING" | "NOT_FOUND" (환불 가능) | null (판단 불가), payment hash 기준
+const blinkBackend = {
+  name: "blink",
+  supportsPush: true,
+
+  createInvoice: async (amount, memo, { descriptionHash } = {}) => {
+    if (descriptionHash) {
+      const data = await gql(
+        `mutation($i: LnInvoiceCreateOnBehalfOfRecipientInput!) { lnInvoiceCreateOnBehalfOfRecipient(input: $i) { invoice { paymentRequest } errors { message } } }`,
+        { i: { recipientWalletId: await getWalletId(), amount, memo, descriptionHash } }
+      );
+      if (data.lnInvoiceCreateOnBehalfOfRecipient.errors?.length) throw new Error(data.lnInvoiceCreateOnBehalfOfRecipient.errors[0].message);
+      return data.lnInvoiceCreateOnBehalfOfRecipient.invoice.paymentRequest;
+    }
+    const data = await gql(
+      `mutation($i: LnInvoiceCreateInput!) { lnInvoiceCreate(input: $i) { invoice { paymentRequest } errors { message } } }`,
+      { i: { walletId: await getWalletId(), amount, memo } }
+    );
+    if (data.lnInvoiceCreate.errors?.length) throw new Error(data.lnInvoiceCreate.errors[0].message);
+    return data.lnInvoiceCreate.invoice.paymentRequest;
+  },
+
+  checkInvoice: async (pr) => {
+    const data = await gql(
+      `query($i: LnInvoicePaymentStatusByPaymentRequestInput!) { lnInvoicePaymentStatusByPaymentRequest(input: $i) { status } }`,
+      { i: { paymentRequest: pr } }
+    );
+    return data.lnInvoicePaymentStatusByPaymentRequest?.status;
+  },
+
+  // 여러 인보이스를 alias로 묶어 한 번의 요청으로 조회
+  checkInvoices: async (prs) => {
+    if (!prs.length) return [];
+    const vars = prs.map((_, n) => `$p${n}: LnInvoicePaymentStatusByPaymentRequestInput!`).join(", ");
+    const fields = prs.map((_, n) => `i${n}: lnInvoicePaymentStatusByPaymentRequest(input: $p${n}) { status }`).join(" ");
+    const data = await gql(`query(${vars}) { ${fields} }`, Object.fromEntries(prs.map((pr, n) => [`p${n}`, { paymentRequest: pr }])));
+    return prs.map((_, n) => data[`i${n}`]?.status);
+  },
+
+  probeFee: async (pr) => {
+    try {
+      const data = await gql(
+        `mutation($i: LnInvoiceFeeProbeInput!) { lnInvoiceFeeProbe(input: $i) { amount } }`,
+        { i: { walletId: await getWalletId(), paymentRequest: pr } }
+      );
+      return data.lnInvoiceFeeProbe.amount || 0;
+    } catch { return null; }
+  },
+
+  pay: async (pr) => {
+    const data = await gql(
+      `mutation($i: LnInvoicePaymentInput!) { lnInvoicePaymentSend(input: $i) { status errors { message } } }`,
+      { i: { walletId: await getWalletId(), paymentRequest: pr } }
+    );
+    if (data.lnInvoicePaymentSend.errors?.length) throw new Error(data.lnInvoicePaymentSend.errors[0].message);
+    return data.lnInvoicePaymentSend.status;
+  },
+
+  payZeroAmount: async (pr, amount) => {
+    const data = await gql(
+      `mutation($i: LnNoAmountInvoicePaymentInput!) { lnNoAmountInvoicePaymentSend(input: $i) { status errors { message } } }`,
+      { i: { walletId: await getWalletId(), paymentRequest: pr, amount } }
+    );
+    if (data.lnNoAmountInvoicePaymentSend.errors?.length) throw new Error(data.lnNoAmountInvoicePaymentSend.errors[0].message);
+    return data.lnNoAmountInvoicePaymentSend.status;
+  },
+
+  getBalance: async () => {
+    const data = await gql(`{ me { defaultAccount { wallets { id walletCurrency balance } } } }`);
+    const btc = data.me.defaultAccount.wallets.find(w => w.walletCurrency === "BTC");
+    if (!btc) throw new Error("BTC wallet not found");
+    return btc.balance;
+  },
+
+  // payment hash로 직접 조회 (최근 N건 스캔은 부하 시 누락 → 오환불 위험)
+  verifyOutgoingPayment: async (paymentRequest, { wait = 3000 } = {}) => {
+    try {
+      const targetHash = getPaymentHash(paymentRequest);
+      if (!targetHash) return null;
+
+      if (wait) await sleep(wait);
+      const data = await gql(`
+        query($w: WalletId!, $h: PaymentHash!) {
+          me {
             defaultAccount {
-              transactions(first: 10) {
-                edges {
-                  node {
-                    direction
-                    status
-                    initiationVia {
-                      ... on InitiationViaLn {
-                        paymentHash
-                      }
-                    }
-                  }
+              walletById(walletId: $w) {
+                ... on BTCWallet {
+                  transactionsByPaymentHash(paymentHash: $h) { direction status }
                 }
               }
             }
           }
         }
-      `);
+      `, { w: await getWalletId(), h: targetHash });
+
+      const sends = (data.me.defaultAccount.walletById?.transactionsByPaymentHash || []).filter(tx => tx.direction === "SEND");
+      if (sends.some(tx => tx.status === "SUCCESS")) return "SUCCESS";
+      if (sends.some(tx => tx.status === "PENDING")) return "PENDING";
+      return "NOT_FOUND";
+    } catch (e) {
+      console.error("Payment verification failed:", e.message);
+      return null;
+    }
+  }
+};
+
+// 4xx/5xx 응답 본문의 에러 메시지를 꺼내서 throw
+const restError = (e) => {
+  const body = e.response?.data;
+  return new Error(body?.detail || body?.message || body?.error || e.message);
+};
+
+const createLnbitsBackend = () => {
+  const api = axios.create({
+    baseURL: config.ln.lnbits.url.replace(/\/$/, "") + "/api/v1",
+    headers: { "X-Api-Key": config.ln.lnbits.adminKey, "Content-Type": "application/json" },
+    timeout: 30000
+  });
+  const getPayment = async (pr) => {
+    try {
+      return (await api.get(`/payments/${getPaymentHash(pr)}`)).data;
+    } catch (e) {
+      if (e.response?.status === 404) return null;
+      throw restError(e);
+    }
+  };
+
+  const backend = {
+    name: "lnbits",
+    supportsPush: false,
+
+    createInvoice: async (amount, memo, { descriptionHash } = {}) => {
+      try {
+        const { data } = await api.post("/payments", {
+          out: false, amount, memo, expiry: config.limits.invoiceExpiry / 1000,
+          ...(descriptionHash && { description_hash: descriptionHash })
+        });
+        return data.payment_request || data.bolt11;
+      } catch (e) { throw restError(e); }
+    },
+
+    checkInvoice: async (pr) => {
+      const p = await getPayment(pr);
+      // 404 = URL/키 설정 오류일 수도 있음 → 삭제하지 않고 만료 sweep에 맡김
+      if (!p) return "PENDING";
+      if (p.paid) return "PAID";
+      return p.status === "failed" ? "EXPIRED" : "PENDING";
+    },
+
+    checkInvoices: (prs) => Promise.all(prs.map(backend.checkInvoice)),
+
+    // LNbits는 내부 결제 여부를 미리 알 수 없음
+    probeFee: async () => null,
+
+    // POST 응답만으로는 정산 여부를 알 수 없음 → 조회해서 미정산이면 PENDING
+    pay: async (pr) => {
+      try {
+        await api.post("/payments", { out: true, bolt11: pr });
+      } catch (e) { throw restError(e); }
+      const p = await getPayment(pr);
+      if (p?.status === "failed") throw new Error("LNbits payment failed");
+      return p?.paid ? "SUCCESS" : "PENDING";
+    },
+
+    payZeroAmount: async () => {
+      throw new Error("Zero-amount invoices are not supported by LNbits");
+    },
+
+    getBalance: async () => {
+      try {
+        return Math.floor((await api.get("/wallet")).data.balance / 1000);
+      } catch (e) { throw restError(e); }
+    },
+
+    verifyOutgoingPayment: async (pr) => {
+      try {
+        const p = await getPayment(pr);
+        // 404 = 키/URL 오류일 수도 있음 → 환불하지 않고 판단 불가로 둠
+        if (!p) return null;
+        if (p.status === "failed") return "NOT_FOUND";
+        return p.paid ? "SUCCESS" : "PENDING";
+      } catch (e) {
+        console.error("Payment verification failed:", e.message);
+        return null;
+      }
+    }
+  };
+  return backend;
+};
+
+const createLndBackend = () => {
+  const { url, macaroon, tlsCertPath, feeLimit } = config.ln.lnd;
+  const api = axios.create({
+    baseURL: url.replace(/\/$/, ""),
+    headers: { "Grpc-Metadata-macaroon": macaroon },
+    httpsAgent: tlsCertPath ? new https.Agent({ ca: fs.readFileSync(tlsCertPath) }) : undefined,
+    timeout: 60000
+  });
+  const call = async (method, route, body) => {
+    try {
+      return (await api.request({ method, url: route, data: body })).data;
+    } catch (e) { throw restError(e); }
+  };
+  let pubkey = null;
+
+  // TrackPaymentV2는 스트림 (줄마다 JSON): 첫 메시지 = 현재 상태
+  const trackPayment = async (hash) => {
+    const { data: stream } = await api.get(`/v2/router/track/${Buffer.from(hash, "hex").toString("base64url")}`, { responseType: "stream", timeout: 15000, validateStatus: () => true });
+    return new Promise((resolve, reject) => {
+      let buf = "";
+      stream.on("data", (chunk) => {
+        buf += chunk;
+        const nl = buf.indexOf("\n");
+        if (nl === -1) return;
+        stream.destroy();
+        try { resolve(JSON.parse(buf.slice(0, nl))); } catch (e) { reject(e); }
+      });
+      stream.on("end", () => { try { resolve(JSON.parse(buf)); } catch (e) { reject(e); } });
+      stream.on("error", reject);
+    });
+  };
+
+  const sendPayment = async (pr, amt) => {
+    const body = { payment_request: pr, fee_limit: { fixed: feeLimit } };
+    if (amt) body.amt = amt;
+    const data = await call("post", "/v1/channels/transactions", body);
+    if (data.payment_error) throw new Error(data.payment_error);
+    return "SUCCESS";
+  };
+
+  const backend = {
+    name: "lnd",
+    supportsPush: false,
+
+    createInvoice: async (amount, memo, { descriptionHash } = {}) => {
+      const data = await call("post", "/v1/invoices", {
+        value: amount, memo, expiry: config.limits.invoiceExpiry / 1000,
+        ...(descriptionHash && { description_hash: Buffer.from(descriptionHash, "hex").toString("base64") })
+      });
+      return data.payment_request;
+    },
+
+    checkInvoice: async (pr) => {
+      const data = await call("get", `/v1/invoice/${getPaymentHash(pr)}`);
+      if (data.state === "SETTLED") return "PAID";
+      if (data.state === "CANCELED") return "CANCELLED";
+      return "PENDING";
+    },
+
+    checkInvoices: (prs) => Promise.all(prs.map(backend.checkInvoice)),
+
+    // 우리 노드가 발행한 인보이스 = 내부 결제, 아니면 경로 수수료 조회
+    probeFee: async (pr) => {
+      try {
+        const req = await call("get", `/v1/payreq/${pr}`);
+        pubkey = pubkey || (await call("get", "/v1/getinfo")).identity_pubkey;
+        if (req.destination === pubkey) return 0;
+        const { routes } = await call("get", `/v1/graph/routes/${req.destination}/${req.num_satoshis || 1}`);
+        // 0 = 내부 결제 전용, 직접 채널 피어(경로 수수료 0)도 외부 결제
+        const fee = routes?.[0]?.total_fees;
+        return fee == null ? null : Math.max(1, parseInt(fee) || 0);
+      } catch { return null; }
+    },
+
+    pay: (pr) => sendPayment(pr),
+    payZeroAmount: (pr, amount) => sendPayment(pr, amount),
+
+    getBalance: async () => {
+      const data = await call("get", "/v1/balance/channels");
+      return parseInt(data.local_balance?.sat ?? data.balance) || 0;
+    },
+
+    verifyOutgoingPayment: async (pr) => {
+      try {
+        const msg = await trackPayment(getPaymentHash(pr));
+        if (msg.error) return /isn't initiated|not found/i.test(msg.error.message) ? "NOT_FOUND" : null;
+        const status = msg.result?.status;
+        if (status === "SUCCEEDED") return "SUCCESS";
+        if (status === "FAILED") return "NOT_FOUND";
+        return status ? "PENDING" : null;
+      } catch (e) {
+        console.error("Payment verification failed:", e.message);
+        return null;
+      }
+    }
+  };
+  return backend;
+};
+
+// 오프라인 테스트용. 결과는 금액 끝자리로 결정:
+// - 입금: ...9 sats → 결제 안 됨 (만료), 그 외 payDelay 후 자동 결제
+// - 출금: ...1 → 실패 (환불), ...2 → 에러지만 성공, ...3 → 에러 + PENDING, ...4 → 에러 + 확인 불가, 그 외 성공
+const fakeInvoice = (sats, memo, hash, descriptionHash) => {
+  const words = [];
+  const push = (val, n) => { for (let k = n - 1; k >= 0; k--) words.push(Math.floor(val / 32 ** k) % 32); };
+  const tag = (code, data) => { words.push(code); push(data.length, 2); words.push(...data); };
+  push(Math.floor(Date.now() / 1000), 7);
+  tag(1, bech32.toWords(hash));
+  if (descriptionHash) tag(23, bech32.toWords(Buffer.from(descriptionHash, "hex")));
+  else tag(13, bech32.toWords(Buffer.from(memo || "")));
+  const expiry = []; for (let v = config.limits.invoiceExpiry / 1000; v > 0; v = Math.floor(v / 32)) expiry.unshift(v % 32);
+  tag(6, expiry);
+  words.push(...new Array(104).fill(0)); // 서명 없음
+  return bech32.encode(`lnbcrt${sats ? sats * 10 + "n" : ""}`, words, false);
+};
+
+const createFakeBackend = () => {
+  const invoices = new Map(); // pr → { amount, status, createdAt }
+  const payments = new Map(); // paymentHash → "SUCCESS" | "PENDING" | "NOT_FOUND" | null
+  let walletBalance = config.ln.fake.balance;
+
+  const markPaid = (pr) => {
+    const inv = invoices.get(pr);
+    if (!inv || inv.status !== "PENDING") return;
+    inv.status = "PAID";
+    walletBalance += inv.amount;
+  };
+
+  const send = async (pr, amount) => {
+    const hash = getPaymentHash(pr);
+    if (!hash || !amount) throw new Error("Invalid invoice");
+    if (walletBalance < amount) throw new Error("Insufficient wallet balance");
+    const outcome = { 1: "NOT_FOUND", 2: "SUCCESS", 3: "PENDING", 4: null }[amount % 10];
+    if (outcome === undefined) {
+      payments.set(hash, "SUCCESS");
+      walletBalance -= amount;
+      markPaid(pr);
+      return "SUCCESS";
+    }
+    payments.set(hash, outcome);
+    if (outcome !== "NOT_FOUND") walletBalance -= amount;
+    throw new Error(`Simulated payment error (${outcome ?? "unknown"})`);
+  };
+
+  const backend = {
+    name: "fake",
+    supportsPush: false,
+
+    createInvoice: async (amount, memo, { descriptionHash } = {}) => {
+      const pr = fakeInvoice(amount, memo, crypto.randomBytes(32), descriptionHash);
+      invoices.set(pr, { amount, status: "PENDING", createdAt: Date.now() });
+      if (config.ln.fake.payDelay > 0 && amount % 10 !== 9) setTimeout(() => markPaid(pr), config.ln.fake.payDelay);
+      return pr;
+    },
+
+    checkInvoice: async (pr) => {
+      const inv = invoices.get(pr);
+      if (!inv) return "EXPIRED";
+      if (inv.status === "PENDING" && Date.now() - inv.createdAt >= config.limits.invoiceExpiry) inv.status = "EXPIRED";
+      return inv.status;
+    },
+
+    checkInvoices: (prs) => Promise.all(prs.map(backend.checkInvoice)),
+    probeFee: async (pr) => (invoices.has(pr) ? 0 : 1),
+    pay: (pr) => send(pr, decodeInvoiceAmount(pr)),
+    payZeroAmount: (pr, amount) => send(pr, amount),
+    getBalance: async () => walletBalance,
+
+    verifyOutgoingPayment: async (pr) => {
+      const hash = getPaymentHash(pr);
+      return payments.has(hash) ? payments.get(hash) : "NOT_FOUND";
+    }
+  };
+  return backend;
+};
+
+const backends = {
+  blink: () => blinkBackend,
+  lnbits: createLnbitsBackend,
+  lnd: createLndBackend,
+  fake: createFakeBackend
+};
+const lightning = backends[config.ln.backend]();
+console.log(`⚡ Lightning backend: ${lightning.name}`);
+
+// ============ Utils ============
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+const getPaymentHash = (invoice) => {
+  try {
+    return bolt11.decode(invoice).sections?.find(s => s.name === "payment_hash")?.value || null;
+  } catch { return null; }
+};
+
+const decodeInvoiceAmount = (invoice) => {
+  try {
+    const d = bolt11.decode(invoice);
+    if (d.satoshis) return parseInt(d.satoshis);
+    if (d.millisatoshis) return Math.floor(parseInt(d.millisatoshis) / 1000);
+    const amt = d.sections?.find(s => s.name === "amount")?.value;
+    return amt ? Math.floor(parseInt(amt) / 1000) : null;
+  } catch { return null; }
+};
+
+const validateUrl = (urlStr) => {
+  const parsed = new URL(urlStr);
+  if (parsed.protocol !== "https:") throw new Error("HTTPS only");
+  const hostname = parsed.hostname.toLowerCase();
+  if (hostname === "localhost" || hostname === "127.0.0.1" || hostname === "0.0.0.0" || hostname === "::1") throw new Error("Blocked host");
+  if (hostname.endsWith(".local")) throw new Error("Blocked domain");
+  const parts = hostname.split(".").map(Number);
+  if (parts[0] === 10) throw new Error("Blocked IP");
+  if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) throw new Error("Blocked IP");
+  if (parts[0] === 192 && parts[1] === 168) throw new Error("Blocked IP");
+  if (parts[0] === 169 && parts[1] === 254) throw new Error("Blocked IP");
+  return urlStr;
+};
+
+// LUD-01: bech32 (hrp "lnurl"), QR용 대문자
+const encodeLnurl = (url) => bech32.encode("lnurl", bech32.toWords(Buffer.from(url)), 1023).toUpperCase();
+
+// 결제 전 검사: 디코딩, 네트워크, 만료 (x 태그 없으면 3600초)
+const validateInvoice = (invoice) => {
+  let d;
+  try { d = bolt11.decode(invoice); } catch { throw new Error("Invalid invoice"); }
+  const network = d.sections.find(s => s.name === "coin_network")?.value?.bech32;
+  if (network !== config.ln.network) throw new Error(`Wrong network invoice (${network})`);
+  const timestamp = d.sections.find(s => s.name === "timestamp").value;
+  const expiry = d.sections.find(s => s.name === "expiry")?.value ?? 3600;
+  if ((timestamp + expiry) * 1000 <= Date.now()) throw new Error("Invoice expired");
+  return invoice;
+};
+
+// 출금 입력 정규화: BOLT11, lightning:, BIP21 (bitcoin:?lightning=), bech32 LNURL, lnurlp://, user@domain
+const parsePaymentRequest = (input) => {
+  let s = input.trim();
+  if (/^bitcoin:/i.test(s)) {
+    const ln = new URLSearchParams(s.split("?")[1] || "").get("lightning");
+    if (!ln) throw new Error("No lightning invoice in BIP21 URI");
+    s = ln.trim();
+  }
+  s = s.replace(/^lightning:/i, "");
+  if (/^lnurl1/i.test(s)) {
+    let url;
+    try { url = Buffer.from(bech32.fromWords(bech32.decode(s.toLowerCase(), 2000).words)).toString(); } catch { throw new Error("Invalid LNURL"); }
+    return { type: "lnurl", url: validateUrl(url) };
+  }
+  if (/^lnurlp:\/\//i.test(s)) return { type: "lnurl", url: validateUrl(s.replace(/^lnurlp:/i, "https:")) };
+  if (/^ln/i.test(s)) return { type: "bolt11", invoice: s.toLowerCase() };
+  const [user, domain] = s.split("@");
+  if (user && domain && !s.includes(" ")) return { type: "lnurl", url: validateUrl(`https://${domain}/.well-known/lnurlp/${user}`) };
+  throw new Error("Unrecognized payment request");
+};
+
+const lnurlGet = async (url, params) => {
+  const { data } = await axios.get(validateUrl(url), { params, timeout: 10000, maxRedirects: 3, beforeRedirect: (opts) => validateUrl(opts.href) });
+  if (data.status === "ERROR") throw new Error(data.reason);
+  return data;
+};
+
+// LNURL-pay: min/maxSendable 확인, 받은 인보이스 금액/네트워크/만료 검증
+const fetchLnurlPayInvoice = async (url, sats) => {
+  const lnurl = await lnurlGet(url);
+  if (lnurl.tag !== "payRequest") throw new Error("Not an LNURL-pay link");
+  const min = Math.ceil(lnurl.minSendable / 1000);
+  const max = Math.floor(lnurl.maxSendable / 1000);
+  if (sats < min || sats > max) throw new Error(`Amount must be ${min}-${max} sats`);
+  const { pr } = await lnurlGet(lnurl.callback, { amount: sats * 1000 });
+  validateInvoice(pr);
+  if (decodeInvoiceAmount(pr) !== sats) throw new Error("Invoice amount mismatch");
+  return pr;
+};
+
+const getLnurlInvoice = async (addr, sats) => {
+  const [user, domain] = addr.split("@");
+  if (!user || !domain) throw new Error("Invalid address");
+  return fetchLnurlPayInvoice(`https://${domain}/.well-known/lnurlp/${user}`, sats);
+};
+
+// ============ Deposit Watcher ============
+// Blink myUpdates 구독으로 즉시 입금 처리, 소켓이 끊기면 batched polling
+const watched = new Map(); // paymentHash → { pr, uid, amount, createdAt, resolve }
+const depositSocket = { ws: null, ready: false, retries: 0 };
+let lastPoll = 0;
+let polling = false;
+
+// pending_invoices 삭제에 성공한 쪽만 입금 처리 → 소켓/폴링이 겹쳐도 1회만 credit
+const settleDeposit = db.transaction((pr, uid, amount) => {
+  const inv = stmt.getPendingInvoice.get(pr);
+  if (!inv) return false;
+  stmt.deletePendingInvoice.run(pr);
+  ledger.move("deposit", ACCT.wallet, ACCT.user(uid), amount, { uid, amount, guild: inv.guild_id });
+  return true;
+});
+
+const finishWatch = (hash, result) => {
+  const w = watched.get(hash);
+  if (!w) return;
+  watched.delete(hash);
+  // 삭제 전에 읽어둠 (원래 /deposit 응답 수정용)
+  const inv = stmt.getPendingInvoice.get(w.pr);
+  if (result === "PAID") {
+    if (settleDeposit(w.pr, w.uid, w.amount)) {
+      console.log(`✅ +${w.amount} sats → ${w.uid}`);
+      notifyDeposit(inv, "PAID").catch(e => console.error("Deposit notify error:", e.message));
+    }
+  } else {
+    stmt.deletePendingInvoice.run(w.pr);
+    if (inv) notifyDeposit(inv, "EXPIRED").catch(e => console.error("Deposit notify error:", e.message));
+  }
+  w.resolve(result);
+};
+
+const pollWatched = async () => {
+  if (polling || !watched.size) return;
+  polling = true;
+  lastPoll = Date.now();
+  try {
+    const entries = [...watched.entries()];
+    for (let n = 0; n < entries.length; n += config.limits.pollBatchSize) {
+      const batch = entries.slice(n, n + config.limits.pollBatchSize);
+      try {
+        const statuses = await lightning.checkInvoices(batch.map(([, w]) => w.pr));
+        batch.forEach(([hash], k) => {
+          if (["PAID", "EXPIRED", "CANCELLED"].includes(statuses[k])) finishWatch(hash, statuses[k]);
+        });
+      } catch (e) { console.error("Poll error:", e.message); }
+    }
+  } finally { polling = false; }
+};
+
+// 만료 처리 전에 백엔드에 한 번 더 확인 (소켓이 놓친 결제, 만료 직전 결제)
+// 확인 실패 시 다음 sweep에서 재시도, expiryCheckGrace가 지나면 만료
+const expireWatched = async (hash, w) => {
+  w.checking = true;
+  try {
+    const status = await lightning.checkInvoice(w.pr);
+    finishWatch(hash, status === "PAID" ? "PAID" : "EXPIRED");
+  } catch (e) {
+    console.error(`Expiry check error (${w.uid} ${w.amount} sats):`, e.message);
+    if (Date.now() - w.createdAt >= config.limits.invoiceExpiry + config.limits.expiryCheckGrace) finishWatch(hash, "EXPIRED");
+  } finally { w.checking = false; }
+};
+
+const sweepWatched = () => {
+  const now = Date.now();
+  for (const [hash, w] of watched) {
+    if (now - w.createdAt >= config.limits.invoiceExpiry && !w.checking) expireWatched(hash, w).catch(console.error);
+  }
+  const interval = depositSocket.ready ? config.limits.safetyPollInterval : config.limits.pollInterval;
+  if (now - lastPoll >= interval) pollWatched().catch(console.error);
+};
+
+const connectDepositSocket = () => {
+  const ws = new WebSocket(config.blink.wsEndpoint, "graphql-transport-ws");
+  depositSocket.ws = ws;
+  depositSocket.lastSeen = Date.now();
+
+  // close 이벤트 없이 끊긴 소켓 감지 → 빠른 polling으로 전환 후 재연결
+  const heartbeat = setInterval(() => {
+    if (Date.now() - depositSocket.lastSeen > config.limits.wsHeartbeatTimeout) {
+      console.error("⚠️ Blink websocket heartbeat timeout");
+      depositSocket.ready = false;
+      return ws.terminate();
+    }
+    if (ws.readyState === WebSocket.OPEN) ws.ping();
+  }, config.limits.wsHeartbeatInterval);
+  ws.on("pong", () => { depositSocket.lastSeen = Date.now(); });
+
+  ws.on("open", () => {
+    ws.send(JSON.stringify({ type: "connection_init", payload: { "X-API-KEY": config.blink.apiKey } }));
+  });
+
+  ws.on("message", (raw) => {
+    depositSocket.lastSeen = Date.now();
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (msg.type === "connection_ack") {
+      depositSocket.ready = true;
+      depositSocket.retries = 0;
+      ws.send(JSON.stringify({
+        id: "myUpdates", type: "subscribe",
+        payload: { query: "subscription { myUpdates { errors { message } update { ... on LnUpdate { paymentHash status } } } }" }
+      }));
+      console.log("✅ Blink websocket connected");
+      // 끊겨 있던 동안 결제된 인보이스 확인
+      pollWatched().catch(console.error);
+    } else if (msg.type === "ping") {
+      ws.send(JSON.stringify({ type: "pong" }));
+    } else if (msg.type === "next") {
+      const update = msg.payload?.data?.myUpdates?.update;
+      if (update?.paymentHash && update.status === "PAID") finishWatch(update.paymentHash, "PAID");
+    } else if (msg.type === "error") {
+      console.error("Blink websocket error:", JSON.stringify(msg.payload));
+    }
+  });
+
+  ws.on("error", (e) => console.error("Blink websocket error:", e.message));
+
+  ws.on("close", () => {
+    clearInterval(heartbeat);
+    depositSocket.ready = false;
+    const delay = Math.min(1000 * 2 ** depositSocket.retries, config.limits.wsMaxBackoff);
+    depositSocket.retries++;
+    console.error(`⚠️ Blink websocket closed - polling fallback, reconnect in ${delay / 1000}s`);
+    setTimeout(connectDepositSocket, delay);
+  });
+};
+
+const startDepositWatcher = () => {
+  if (lightning.supportsPush) connectDepositSocket();
+  setInterval(sweepWatched, config.limits.pollInterval);
+};
+
+// 결제/만료 시 resolve ("PAID" | "EXPIRED" | "CANCELLED")
+// 재시작 중 만료된 인보이스도 등록 → 다음 sweep에서 최종 확인 후 처리
+const watchInvoice = (pr, uid, amount, createdAt = Date.now()) => new Promise((resolve) => {
+  const hash = getPaymentHash(pr);
+  if (!hash) {
+    const inv = stmt.getPendingInvoice.get(pr);
+    stmt.deletePendingInvoice.run(pr);
+    if (inv) notifyDeposit(inv, "EXPIRED").catch(e => console.error("Deposit notify error:", e.message));
+    return resolve("EXPIRED");
+  }
+  watched.set(hash, { pr, uid, amount, createdAt, resolve });
+});
+
+// /deposit 응답: 인보이스 + QR (ephemeral), 인보이스 문자열은 followUp
+const createDepositInvoice = async (i, lang, amt) => {
+  const uid = i.user.id;
+  const pr = await lightning.createInvoice(amt, `CitadelPay-${uid}`);
+  const qr = await qrcode.toBuffer(pr);
+  const now = Date.now();
+  stmt.insertPendingInvoice.run(uid, pr, amt, now, i.guildId, i.token);
+  watchInvoice(pr, uid, amt, now).catch(console.error);
+
+  await i.editReply({ content: tr(lang, "deposit_invoice", { amount: amt, fiat: fiatNote(uid, lang, amt) }), files: [new AttachmentBuilder(qr, { name: "qr.png" })] });
+  const followUp = await i.followUp({ content: pr, ephemeral: true });
+  stmt.setInvoiceFollowup.run(followUp.id, pr);
+};
+
+const newInvoiceRow = (lang, amount) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`deposit_new:${amount}`).setLabel(tr(lang, "deposit_new_invoice")).setStyle(ButtonStyle.Primary)
+);
+
+// 토큰이 유효하면 원래 응답 수정 (QR 제거, 인보이스 followUp 삭제), 아니면 DM
+// 입금 완료는 항상 DM, 만료는 /deposit으로 만든 인보이스만 (Lightning Address 인보이스 제외)
+const notifyDeposit = async (inv, result) => {
+  const lang = userLang(inv.user_id);
+  const paid = result === "PAID";
+  if (!paid && !inv.interaction_token) return;
+  const body = paid
+    ? { content: tr(lang, "deposit_paid", { amount: inv.amount, fiat: fiatNote(inv.user_id, lang, inv.amount), bal: balance.get(inv.user_id) }), components: [] }
+    : { content: tr(lang, "deposit_expired", { amount: inv.amount }), components: [newInvoiceRow(lang, inv.amount)] };
+
+  let edited = false;
+  if (inv.interaction_token && Date.now() - inv.created_at < config.limits.interactionTokenTtl) {
+    try {
+      await client.rest.patch(Routes.webhookMessage(config.discord.clientId, inv.interaction_token), {
+        body: { content: body.content, components: body.components.map(c => c.toJSON()), attachments: [] }
+      });
+      if (inv.followup_id) await client.rest.delete(Routes.webhookMessage(config.discord.clientId, inv.interaction_token, inv.followup_id)).catch(() => {});
+      edited = true;
+    } catch (e) { console.error("Deposit reply edit error:", e.message); }
+  }
+  if (paid || !edited) {
+    try {
+      const user = await client.users.fetch(inv.user_id);
+      await user.send(body);
+    } catch {}
+  }
+};
+
+const restorePendingInvoices = () => {
+  const pending = stmt.getAllPendingInvoices.all();
+  if (!pending.length) return;
+  console.log(`🔄 Restoring ${pending.length} pending invoice(s)...`);
+  for (const row of pending) {
+    watchInvoice(row.payment_request, row.user_id, row.amount, row.created_at).catch(console.error);
+    console.log(`🔄 Invoice restored: ${row.user_id} ${row.amount} sats`);
+  }
+};
+
+// ============ Redpackets ============
+// 랜덤 분배: 평균의 2배 이내, 남은 인원 1 sat씩은 보장
+const randomShare = (remaining, count) => {
+  if (count === 1) return remaining;
+  const max = Math.min(Math.floor(remaining * 2 / count), remaining - (count - 1));
+  return max <= 1 ? 1 : 1 + Math.floor(Math.random() * max);
+};
+
+const redpacket = {
+  // sender sats → escrow:redpacket:<id>, 패킷 생성과 원자적으로 처리
+  create: db.transaction((uid, guildId, channelId, amount, count, mode, memo) => {
+    const { lastInsertRowid: id } = stmt.insertRedpacket.run(uid, channelId, amount, count, mode, memo, amount, count, Date.now(), guildId);
+    ledger.move("redpacket", ACCT.user(uid), ACCT.escrow("redpacket", id), amount, { uid, amount, ref: `redpacket:${id}`, guild: guildId });
+    return stmt.getRedpacket.get(id);
+  }),
+
+  claim: db.transaction((id, uid) => {
+    const p = stmt.getRedpacket.get(id);
+    if (!p || p.status !== "open") return { error: "closed" };
+    if (p.sender_id === uid) return { error: "own" };
+    if (stmt.getRedpacketClaim.get(id, uid)) return { error: "claimed" };
+
+    const share = p.mode === "random"
+      ? randomShare(p.remaining_amount, p.remaining_count)
+      : p.remaining_count === 1 ? p.remaining_amount : Math.floor(p.remaining_amount / p.remaining_count);
+    const remainingAmount = p.remaining_amount - share;
+    const remainingCount = p.remaining_count - 1;
+
+    stmt.insertRedpacketClaim.run(id, uid, share, Date.now());
+    stmt.updateRedpacket.run(remainingAmount, remainingCount, remainingCount === 0 ? "done" : "open", id);
+    ledger.move("redpacket_claim", ACCT.escrow("redpacket", id), ACCT.user(uid), share, { from: p.sender_id, to: uid, amount: share, ref: `redpacket:${id}`, guild: p.guild_id });
+    return { packet: stmt.getRedpacket.get(id), share, bal: balance.get(uid) };
+  }),
+
+  // 남은 escrow → sender 환불
+  expire: db.transaction((id) => {
+    const p = stmt.getRedpacket.get(id);
+    if (!p || p.status !== "open") return null;
+    stmt.updateRedpacket.run(0, p.remaining_count, "expired", id);
+    const refund = p.remaining_amount;
+    if (refund > 0) {
+      ledger.move("redpacket_refund", ACCT.escrow("redpacket", id), ACCT.user(p.sender_id), refund, { uid: p.sender_id, amount: refund, ref: `redpacket:${id}`, guild: p.guild_id });
+    }
+    return { packet: stmt.getRedpacket.get(id), refund, bal: balance.get(p.sender_id) };
+  })
+};
+
+// 공개 embed는 sender 언어로 고정 (claim/만료 시 다시 그려도 동일)
+const redpacketEmbed = (p) => {
+  const lang = userLang(p.sender_id);
+  const claims = stmt.getRedpacketClaims.all(p.id);
+  const expiresAt = Math.floor((p.created_at + config.limits.redpacketExpiry) / 1000);
+  const lines = [
+    tr(lang, "redpacket_header", { sender: p.sender_id, amount: p.amount, count: p.count }),
+    tr(lang, p.mode === "random" ? "redpacket_random" : "redpacket_equal")
+  ];
+  if (p.memo) lines.push(tr(lang, "tip_message", { msg: p.memo }));
+  lines.push(tr(lang, "redpacket_left", { left: p.remaining_count, count: p.count }));
+  if (p.status === "open") lines.push(tr(lang, "redpacket_expires", { time: `<t:${expiresAt}:R>` }));
+  else if (p.status === "done") lines.push(tr(lang, "redpacket_done"));
+  else lines.push(tr(lang, "redpacket_expired"));
+  if (claims.length) lines.push("", ...claims.map(c => `<@${c.user_id}> **${c.amount} sats**`));
+  return new EmbedBuilder().setColor(0xE53935).setTitle(tr(lang, "redpacket_title")).setDescription(lines.join("\n"));
+};
+
+const redpacketRow = (p) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`redpacket_claim:${p.id}`).setLabel(tr(userLang(p.sender_id), "redpacket_claim_btn")).setStyle(ButtonStyle.Danger).setDisabled(p.status !== "open")
+);
+
+const redpacketTimers = new Map();
+
+const expireRedpacket = async (id) => {
+  redpacketTimers.delete(id);
+  const result = redpacket.expire(id);
+  if (!result) return;
+  const { packet: p, refund, bal } = result;
+  if (refund > 0) {
+    console.log(`🧧 Redpacket #${p.id} expired: ${refund} sats → ${p.sender_id}`);
+  }
+
+  try {
+    const ch = await client.channels.fetch(p.channel_id);
+    const msg = await ch.messages.fetch(p.message_id);
+    await msg.edit({ embeds: [redpacketEmbed(p)], components: [redpacketRow(p)] });
+  } catch {}
+
+  if (refund > 0) {
+    try {
+      const sender = await client.users.fetch(p.sender_id);
+      await sender.send(tr(userLang(p.sender_id), "redpacket_refund_dm", { amount: refund, bal }));
+    } catch {}
+  }
+};
+
+const scheduleRedpacket = (p) => {
+  const remaining = p.created_at + config.limits.redpacketExpiry - Date.now();
+  clearTimeout(redpacketTimers.get(p.id));
+  redpacketTimers.set(p.id, setTimeout(() => expireRedpacket(p.id).catch(console.error), Math.max(remaining, 0)));
+};
+
+const restoreRedpackets = () => {
+  const open = stmt.getOpenRedpackets.all();
+  if (!open.length) return;
+  console.log(`🔄 Restoring ${open.length} redpacket(s)...`);
+  for (const p of open) scheduleRedpacket(p);
+};
+
+// ============ Bounties ============
+// 생성자/후원자 sats → escrow:bounty:<id>, 지급은 escrow → 수상자, 취소/만료 시 후원자별 환불
+const bounty = {
+  create: db.transaction((uid, guildId, channelId, amount, description) => {
+    const now = Date.now();
+    const { lastInsertRowid: id } = stmt.insertBounty.run(uid, guildId, channelId, description, amount, now, now + config.limits.bountyExpiry);
+    stmt.insertBountyFund.run(id, uid, amount, now);
+    ledger.move("bounty", ACCT.user(uid), ACCT.escrow("bounty", id), amount, { uid, amount, ref: `bounty:${id}`, guild: guildId });
+    return stmt.getBounty.get(id);
+  }),
+
+  fund: db.transaction((id, uid, amount) => {
+    const b = stmt.getBounty.get(id);
+    if (!b || b.status !== "open") return { error: "closed" };
+    stmt.insertBountyFund.run(id, uid, amount, Date.now());
+    stmt.addBountyAmount.run(amount, id);
+    ledger.move("bounty_fund", ACCT.user(uid), ACCT.escrow("bounty", id), amount, { uid, amount, ref: `bounty:${id}`, guild: b.guild_id });
+    return { bounty: stmt.getBounty.get(id), bal: balance.get(uid) };
+  }),
+
+  // 균등 분배, 나머지는 첫 번째 수상자
+  award: db.transaction((id, winners) => {
+    const b = stmt.getBounty.get(id);
+    if (!b || b.status !== "open") return null;
+    const share = Math.floor(b.amount / winners.length);
+    const shares = winners.map((uid, k) => [uid, share + (k === 0 ? b.amount - share * winners.length : 0)]);
+    for (const [uid, amt] of shares) {
+      stmt.insertBountyAward.run(id, uid, amt, Date.now());
+      ledger.move("bounty_award", ACCT.escrow("bounty", id), ACCT.user(uid), amt, { from: b.creator_id, to: uid, amount: amt, ref: `bounty:${id}`, guild: b.guild_id });
+    }
+    stmt.setBountyStatus.run("awarded", id);
+    return { bounty: stmt.getBounty.get(id), shares };
+  }),
+
+  // status: "cancelled" | "expired"
+  close: db.transaction((id, status) => {
+    const b = stmt.getBounty.get(id);
+    if (!b || b.status !== "open") return null;
+    const refunds = stmt.getBountyFunders.all(id);
+    for (const f of refunds) {
+      ledger.move("bounty_refund", ACCT.escrow("bounty", id), ACCT.user(f.user_id), f.amount, { uid: f.user_id, amount: f.amount, ref: `bounty:${id}`, reason: status, guild: b.guild_id });
+    }
+    stmt.setBountyStatus.run(status, id);
+    return { bounty: stmt.getBounty.get(id), refunds };
+  })
+};
+
+// 공개 embed는 생성자 언어로 고정
+const bountyEmbed = (b) => {
+  const lang = userLang(b.creator_id);
+  const funders = stmt.getBountyFunders.all(b.id);
+  const lines = [
+    tr(lang, "bounty_header", { creator: b.creator_id, amount: b.amount }),
+    "", b.description, ""
+  ];
+  if (funders.length > 1) lines.push(tr(lang, "bounty_funders", { list: funders.map(f => `<@${f.user_id}> ${f.amount}`).join(", ") }));
+  if (b.status === "open") lines.push(tr(lang, "bounty_expires", { time: `<t:${Math.floor(b.expires_at / 1000)}:R>` }));
+  else if (b.status === "awarded") {
+    lines.push(tr(lang, "bounty_awarded"), ...stmt.getBountyAwards.all(b.id).map(a => `🏅 <@${a.user_id}> **${a.amount} sats**`));
+  } else lines.push(tr(lang, b.status === "expired" ? "bounty_expired" : "bounty_cancelled"));
+  return new EmbedBuilder().setColor(b.status === "open" ? 0x1E88E5 : 0x757575).setTitle(tr(lang, "bounty_title", { id: b.id })).setDescription(lines.join("\n"));
+};
+
+const bountyRow = (b) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`bounty_fund:${b.id}`).setLabel(tr(userLang(b.creator_id), "bounty_fund_btn")).setStyle(ButtonStyle.Primary).setDisabled(b.status !== "open")
+);
+
+const refreshBountyMessage = async (b) => {
+  try {
+    const ch = await client.channels.fetch(b.channel_id);
+    const msg = await ch.messages.fetch(b.message_id);
+    await msg.edit({ embeds: [bountyEmbed(b)], components: [bountyRow(b)] });
+  } catch {}
+};
+
+const bountyTimers = new Map();
+
+const closeBounty = async (id, status) => {
+  clearTimeout(bountyTimers.get(id));
+  bountyTimers.delete(id);
+  const result = bounty.close(id, status);
+  if (!result) return null;
+  const { bounty: b, refunds } = result;
+  console.log(`🎯 Bounty #${id} ${status}: ${b.amount} sats refunded to ${refunds.length} funder(s)`);
+  await refreshBountyMessage(b);
+  for (const f of refunds) {
+    try {
+      const user = await client.users.fetch(f.user_id);
+      await user.send(tr(userLang(f.user_id), "bounty_refund_dm", { id, amount: f.amount, bal: balance.get(f.user_id) }));
+    } catch {}
+  }
+  return result;
+};
+
+const scheduleBounty = (b) => {
+  const remaining = b.expires_at - Date.now();
+  clearTimeout(bountyTimers.get(b.id));
+  bountyTimers.set(b.id, setTimeout(() => {
+    if (remaining > 2 ** 31 - 1) return scheduleBounty(b);
+    closeBounty(b.id, "expired").catch(console.error);
+  }, Math.min(Math.max(remaining, 0), 2 ** 31 - 1)));
+};
+
+const restoreBounties = () => {
+  const open = stmt.getOpenBounties.all({ guild: null });
+  if (!open.length) return;
+  console.log(`🔄 Restoring ${open.length} open bounties...`);
+  for (const b of open) scheduleBounty(b);
+};
+
+// 생성자, 봇 admin, 해당 서버 관리자
+const canManageBounty = (i, b) => b.creator_id === i.user.id || isAdmin(i) || (b.guild_id === i.guildId && isGuildAdmin(i));
+
+// ============ Paywall ============
+const paywall = {
+  create: (uid, guildId, channelId, price, teaser, content, file, fileName) => {
+    const { lastInsertRowid: id } = stmt.insertPaywall.run(uid, guildId, channelId, price, teaser, content, file, fileName, Date.now());
+    return stmt.getPaywall.get(id);
+  },
+
+  // buyer → creator, 운영자 몫은 수수료로 (서버 owner 분배 포함), 구매 기록 PK로 중복 결제 방지
+  buy: db.transaction((id, uid) => {
+    const p = stmt.getPaywall.get(id);
+    if (!p) return { error: "not_found" };
+    if (p.creator_id === uid || stmt.getPaywallPurchase.get(id, uid)) return { paywall: p, owned: true };
+    const cut = Math.floor(p.price * config.fees.paywallPercent / 100);
+    stmt.insertPaywallPurchase.run(id, uid, p.price, Date.now());
+    stmt.addPaywallSale.run(p.price - cut, id);
+    ledger.post("paywall", [[ACCT.user(uid), -p.price], [ACCT.user(p.creator_id), p.price - cut], ...feePostings(cut, p.guild_id)],
+      { from: uid, to: p.creator_id, amount: p.price, fee: cut, ref: `paywall:${id}`, guild: p.guild_id });
+    return { paywall: stmt.getPaywall.get(id), bal: balance.get(uid), cut };
+  })
+};
+
+const paywallEmbed = (p) => {
+  const lang = userLang(p.creator_id);
+  const lines = [tr(lang, "paywall_header", { creator: p.creator_id, price: p.price })];
+  if (p.teaser) lines.push("", p.teaser);
+  lines.push("", tr(lang, "paywall_sales", { n: p.sales }));
+  return new EmbedBuilder().setColor(0x8E24AA).setTitle(tr(lang, "paywall_title", { id: p.id })).setDescription(lines.join("\n"));
+};
+
+const paywallRow = (p) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`paywall_unlock:${p.id}`).setLabel(tr(userLang(p.creator_id), "paywall_unlock_btn", { price: p.price })).setStyle(ButtonStyle.Success)
+);
+
+const paywallContent = (p, lang) => ({
+  content: [tr(lang, "paywall_unlocked", { id: p.id }), p.content].filter(Boolean).join("\n\n"),
+  files: p.file ? [new AttachmentBuilder(p.file, { name: p.file_name || "file" })] : [],
+  ephemeral: true
+});
+
+// ============ Raffles ============
+// commit-reveal: 생성 시 sha256(seed) 공개, 추첨 후 seed 공개
+// 당첨 티켓 = sha256("<seed>:<티켓 user id, 구매 순>") mod 티켓 수 → 누구나 재계산 가능
+const raffleTicketList = (tickets) => tickets.map(tk => tk.user_id).join("\n") + "\n";
+const raffleDrawIndex = (seed, tickets) =>
+  Number(BigInt("0x" + crypto.createHash("sha256").update(`${seed}:${tickets.map(tk => tk.user_id).join(",")}`).digest("hex")) % BigInt(tickets.length));
+
+// "30m" / "2h" / "1d" → ms
+const parseDuration = (input) => {
+  const m = input.trim().toLowerCase().match(/^(\d+)\s*(m|h|d)$/);
+  return m ? parseInt(m[1]) * { m: 60000, h: 3600000, d: 86400000 }[m[2]] : null;
+};
+
+const raffle = {
+  // prize: 생성자가 미리 넣는 상금 (무료 추첨 = ticket_price 0 + prize)
+  create: db.transaction((uid, guildId, channelId, ticketPrice, maxTickets, prize, duration) => {
+    const now = Date.now();
+    const seed = crypto.randomBytes(32).toString("hex");
+    const seedHash = crypto.createHash("sha256").update(seed).digest("hex");
+    const { lastInsertRowid: id } = stmt.insertRaffle.run(uid, guildId, channelId, ticketPrice, maxTickets, prize, seed, seedHash, now, now + duration);
+    if (prize > 0) ledger.move("raffle_prize", ACCT.user(uid), ACCT.escrow("raffle", id), prize, { uid, amount: prize, ref: `raffle:${id}`, guild: guildId });
+    return stmt.getRaffle.get(id);
+  }),
+
+  buy: db.transaction((id, uid) => {
+    const r = stmt.getRaffle.get(id);
+    if (!r || r.status !== "open" || Date.now() >= r.ends_at) return { error: "closed" };
+    if (stmt.countRaffleTickets.get(id).cnt >= r.max_tickets) return { error: "sold_out" };
+    // 무료 추첨은 1인 1장
+    if (r.ticket_price === 0 && stmt.countUserRaffleTickets.get(id, uid).cnt) return { error: "entered" };
+    stmt.insertRaffleTicket.run(id, uid, r.ticket_price, Date.now());
+    if (r.ticket_price > 0) {
+      ledger.move("raffle_ticket", ACCT.user(uid), ACCT.escrow("raffle", id), r.ticket_price, { uid, amount: r.ticket_price, ref: `raffle:${id}`, guild: r.guild_id });
+    }
+    return { raffle: r, mine: stmt.countUserRaffleTickets.get(id, uid).cnt, bal: balance.get(uid) };
+  }),
+
+  // 참가자 부족 → 티켓/상금 전액 환불, 아니면 pot - 수수료 → 당첨자
+  draw: db.transaction((id) => {
+    const r = stmt.getRaffle.get(id);
+    if (!r || r.status !== "open") return null;
+    const tickets = stmt.getRaffleTickets.all(id);
+    const pot = ledger.balanceOf(ACCT.escrow("raffle", id));
+    const entrants = new Set(tickets.map(tk => tk.user_id)).size;
+
+    if (entrants < config.limits.raffleMinEntrants) {
+      const refunds = new Map();
+      for (const tk of tickets) refunds.set(tk.user_id, (refunds.get(tk.user_id) || 0) + tk.amount);
+      if (r.prize > 0) refunds.set(r.creator_id, (refunds.get(r.creator_id) || 0) + r.prize);
+      for (const [uid, amt] of refunds) {
+        if (amt > 0) ledger.move("raffle_refund", ACCT.escrow("raffle", id), ACCT.user(uid), amt, { uid, amount: amt, ref: `raffle:${id}`, guild: r.guild_id });
+      }
+      stmt.finishRaffle.run("refunded", null, null, id);
+      return { raffle: stmt.getRaffle.get(id), refunds: [...refunds].filter(([, amt]) => amt > 0) };
+    }
+
+    const index = raffleDrawIndex(r.seed, tickets);
+    const winner = tickets[index].user_id;
+    // 수수료는 티켓 판매분에만 (생성자가 넣은 prize 제외)
+    const fee = Math.floor((pot - r.prize) * config.fees.rafflePercent / 100);
+    if (pot > 0) {
+      ledger.post("raffle_win", [[ACCT.escrow("raffle", id), -pot], [ACCT.user(winner), pot - fee], ...feePostings(fee, r.guild_id)],
+        { from: r.creator_id, to: winner, amount: pot - fee, fee, ref: `raffle:${id}`, guild: r.guild_id });
+    }
+    stmt.finishRaffle.run("drawn", winner, pot - fee, id);
+    return { raffle: stmt.getRaffle.get(id), winner, payout: pot - fee, fee, tickets, index };
+  })
+};
+
+// 공개 embed는 생성자 언어로 고정
+const raffleEmbed = (r) => {
+  const lang = userLang(r.creator_id);
+  const { cnt, entrants } = stmt.countRaffleTickets.get(r.id);
+  const pot = r.status === "drawn" ? r.payout : ledger.balanceOf(ACCT.escrow("raffle", r.id));
+  const lines = [
+    tr(lang, "raffle_header", { creator: r.creator_id, price: r.ticket_price, pot }),
+    tr(lang, "raffle_tickets", { n: cnt, max: r.max_tickets, entrants })
+  ];
+  if (config.fees.rafflePercent > 0 && r.ticket_price > 0) lines.push(tr(lang, "raffle_fee_note", { pct: config.fees.rafflePercent }));
+  if (r.status === "open") lines.push(tr(lang, "raffle_ends", { time: `<t:${Math.floor(r.ends_at / 1000)}:R>` }));
+  else if (r.status === "drawn") lines.push(tr(lang, "raffle_winner", { winner: r.winner_id, payout: r.payout }));
+  else lines.push(tr(lang, "raffle_refunded", { min: config.limits.raffleMinEntrants }));
+  lines.push("", tr(lang, "raffle_commit", { hash: r.seed_hash }));
+  if (r.status !== "open") lines.push(tr(lang, "raffle_seed", { seed: r.seed }));
+  if (r.status === "drawn") {
+    const listHash = crypto.createHash("sha256").update(raffleTicketList(stmt.getRaffleTickets.all(r.id))).digest("hex");
+    lines.push(tr(lang, "raffle_list_hash", { hash: listHash }), tr(lang, "raffle_verify"));
+  }
+  return new EmbedBuilder().setColor(r.status === "open" ? 0xFFB300 : 0x757575).setTitle(tr(lang, "raffle_title", { id: r.id })).setDescription(lines.join("\n"));
+};
+
+const raffleRow = (r) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`raffle_buy:${r.id}`).setLabel(tr(userLang(r.creator_id), r.ticket_price ? "raffle_buy_btn" : "raffle_enter_btn", { price: r.ticket_price }))
+    .setStyle(ButtonStyle.Success).setDisabled(r.status !== "open")
+);
+
+const raffleTimers = new Map();
+
+const drawRaffle = async (id) => {
+  raffleTimers.delete(id);
+  const result = raffle.draw(id);
+  if (!result) return null;
+  const r = result.raffle;
+  const lang = userLang(r.creator_id);
+  let ch = null;
+  try {
+    ch = await client.channels.fetch(r.channel_id);
+    const msg = await ch.messages.fetch(r.message_id);
+    await msg.edit({ embeds: [raffleEmbed(r)], components: [raffleRow(r)] });
+  } catch {}
+
+  if (result.winner) {
+    console.log(`🎰 Raffle #${id}: ${result.winner} wins ${result.payout} sats (${result.tickets.length} tickets)`);
+    // 구매 순 티켓 목록 공개 → seed와 함께 누구나 재계산 가능
+    const list = new AttachmentBuilder(Buffer.from(raffleTicketList(result.tickets)), { name: `raffle-${id}-tickets.txt` });
+    try {
+      await ch?.send({ content: tr(lang, "raffle_winner_public", { id, winner: result.winner, payout: result.payout, ticket: result.index + 1 }), files: [list] });
+    } catch {}
+    try {
+      const user = await client.users.fetch(result.winner);
+      await user.send(tr(userLang(result.winner), "raffle_win_dm", { id, amount: result.payout, bal: balance.get(result.winner) }));
+    } catch {}
+  } else {
+    console.log(`🎰 Raffle #${id} refunded (${result.refunds.length} users)`);
+    for (const [uid, amt] of result.refunds) {
+      try {
+        const user = await client.users.fetch(uid);
+        await user.send(tr(userLang(uid), "raffle_refund_dm", { id, amount: amt, bal: balance.get(uid) }));
+      } catch {}
+    }
+  }
+  return result;
+};
+
+const scheduleRaffle = (r) => {
+  clearTimeout(raffleTimers.get(r.id));
+  raffleTimers.set(r.id, setTimeout(() => drawRaffle(r.id).catch(console.error), Math.max(r.ends_at - Date.now(), 0)));
+};
+
+const restoreRaffles = () => {
+  const open = stmt.getOpenRaffles.all();
+  if (!open.length) return;
+  console.log(`🔄 Restoring ${open.length} raffle(s)...`);
+  for (const r of open) scheduleRaffle(r);
+};
+
+// ============ History ============
+const TX_ICONS = { deposit: "📥", withdraw: "📤", withdraw_refund: "↩️", tip: "💸", emoji_tip: "⚡", rain: "🌧️", subscription: "🔁", paywall: "🔓", owner_withdraw: "💼", admin_credit: "🛠️", admin_debit: "🛠️" };
+// from_uid가 받는 쪽인 타입 (txLog에 uid로 기록됨)
+const CREDIT_TYPES = new Set(["deposit", "withdraw_refund", "redpacket_refund", "voucher_refund", "bounty_refund", "raffle_refund", "owner_withdraw", "admin_credit", "guild_fee_claim"]);
+
+const isValidDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+
+// customId 100자 제한 → 필터는 "type:from:to" ("-" = 없음)
+const encodeHistoryFilter = ({ type, from, to }) => [type, from, to].map(v => v || "-").join(":");
+const decodeHistoryFilter = (parts) => {
+  const [type, from, to] = parts.map(v => (v === "-" ? null : v));
+  return { type, from, to };
+};
+
+const queryHistory = (uid, filter, limit = -1, offset = 0) =>
+  stmt.getHistory.all({ uid, type: filter.type, from: filter.from, to: filter.to, limit, offset });
+
+const historyLine = (uid, row) => {
+  const unix = Math.floor(Date.parse(row.ts.replace(" ", "T") + "Z") / 1000);
+  const icon = TX_ICONS[row.type] || (row.type.startsWith("redpacket") ? "🧧" : row.type.startsWith("voucher") ? "🎟️" : row.type.startsWith("bounty") ? "🎯" : row.type.startsWith("raffle") ? "🎰" : "•");
+  const sign = row.to_uid === uid || CREDIT_TYPES.has(row.type) ? "+" : "-";
+  const details = row.details ? JSON.parse(row.details) : {};
+  let line = `<t:${unix}:d> <t:${unix}:t> ${icon} \`${row.type}\` **${sign}${row.amount ?? 0}**`;
+  if (row.fee) line += ` (fee ${row.fee})`;
+  const other = sign === "+" ? (row.to_uid === uid ? row.from_uid : null) : row.to_uid;
+  if (other && other !== uid && /^\d+$/.test(other)) line += ` <@${other}>`;
+  if (details.status) line += ` · ${details.status}`;
+  return line;
+};
+
+const historyView = (uid, lang, filter, page) => {
+  const size = config.limits.historyPageSize;
+  const { cnt: total } = stmt.countHistory.get({ uid, type: filter.type, from: filter.from, to: filter.to });
+  const pages = Math.max(1, Math.ceil(total / size));
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const rows = queryHistory(uid, filter, size, page * size);
+
+  const embed = new EmbedBuilder().setColor(0xF7931A).setTitle(tr(lang, "history_title"))
+    .setDescription(rows.length ? rows.map(r => historyLine(uid, r)).join("\n") : tr(lang, "history_empty"))
+    .setFooter({ text: tr(lang, "history_footer", { page: page + 1, pages, total }) });
+  const f = encodeHistoryFilter(filter);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`history:${page - 1}:${f}`).setLabel(tr(lang, "history_prev")).setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(`history:${page + 1}:${f}`).setLabel(tr(lang, "history_next")).setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+    new ButtonBuilder().setCustomId(`history_export:csv:${f}`).setLabel(tr(lang, "history_export_csv")).setStyle(ButtonStyle.Primary).setDisabled(!total),
+    new ButtonBuilder().setCustomId(`history_export:json:${f}`).setLabel(tr(lang, "history_export_json")).setStyle(ButtonStyle.Primary).setDisabled(!total)
+  );
+  return { embeds: [embed], components: [row] };
+};
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const exportHistory = (uid, filter, format) => {
+  const rows = queryHistory(uid, filter);
+  if (format === "json") {
+    const data = rows.map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+    return { count: rows.length, file: new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: "citadelpay_history.json" }) };
+  }
+  const cols = ["id", "ts", "type", "from_uid", "to_uid", "amount", "fee", "balance_after", "details"];
+  const csv = [cols.join(","), ...rows.map(r => cols.map(c => csvCell(r[c])).join(","))].join("\n");
+  return { count: rows.length, file: new AttachmentBuilder(Buffer.from(csv), { name: "citadelpay_history.csv" }) };
+};
+
+// ============ Leaderboard ============
+const TIP_TYPES = ["tip", "emoji_tip", "rain", "subscription", "redpacket_claim"];
+const LEADERBOARDS = {
+  tippers: { side: "from", types: TIP_TYPES },
+  receivers: { side: "to", types: TIP_TYPES },
+  emoji: { side: "to", types: ["emoji_tip"] }
+};
+const LEADERBOARD_WINDOWS = { day: "-1 day", week: "-7 days", month: "-30 days", all: null };
+const RANK_ICONS = ["🥇", "🥈", "🥉"];
+
+// 서버 안에서는 해당 서버 거래만, DM에서는 전체
+const leaderboardRows = (board, window, guildId) => stmt.getLeaderboard.all({
+  side: LEADERBOARDS[board].side, types: JSON.stringify(LEADERBOARDS[board].types),
+  since: LEADERBOARD_WINDOWS[window], guild: guildId || null
+});
+
+const leaderboardEmbed = (lang, board, window, rows, page) => {
+  const size = config.limits.leaderboardPageSize;
+  const lines = rows.slice(page * size, (page + 1) * size).map((r, k) => {
+    const rank = page * size + k;
+    return `${RANK_ICONS[rank] || `\`#${rank + 1}\``} <@${r.uid}> **${r.total} sats** (${r.cnt})`;
+  });
+  return new EmbedBuilder().setColor(0xF7931A)
+    .setTitle(`${tr(lang, `leaderboard_${board}`)} · ${tr(lang, `leaderboard_window_${window}`)}`)
+    .setDescription(lines.length ? lines.join("\n") : tr(lang, "leaderboard_empty"));
+};
+
+// customId: "leaderboard:page:board:window:uid" (uid = 순위를 보여줄 유저)
+const leaderboardView = (uid, lang, guildId, board, window, page) => {
+  const rows = leaderboardRows(board, window, guildId);
+  const pages = Math.max(1, Math.ceil(rows.length / config.limits.leaderboardPageSize));
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const rank = rows.findIndex(r => r.uid === uid);
+  const mine = stmt.getUserSettings.get(uid)?.leaderboard_optout
+    ? tr(lang, "leaderboard_you_hidden")
+    : rank < 0 ? tr(lang, "leaderboard_you_unranked") : tr(lang, "leaderboard_you", { rank: rank + 1, total: rows[rank].total });
+  const embed = leaderboardEmbed(lang, board, window, rows, page)
+    .setFooter({ text: `${tr(lang, "history_footer", { page: page + 1, pages, total: rows.length })} · ${mine}` });
+  const id = (p) => `leaderboard:${p}:${board}:${window}:${uid}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(id(page - 1)).setLabel(tr(lang, "history_prev")).setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(id(page + 1)).setLabel(tr(lang, "history_next")).setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: [row] };
+};
+
+// 주간 자동 게시: 공지 채널 설정 + leaderboard_weekly 켠 서버, 마지막 게시 후 7일마다
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const postWeeklyLeaderboards = async () => {
+  for (const gs of stmt.getLeaderboardGuilds.all()) {
+    const key = `leaderboard_posted:${gs.guild_id}`;
+    const last = parseInt(stmt.getState.get(key)?.value) || 0;
+    if (Date.now() - last < WEEK) continue;
+    stmt.setState.run(key, String(Date.now()));
+    try {
+      const guild = client.guilds.cache.get(gs.guild_id);
+      const channel = await client.channels.fetch(gs.announce_channel_id);
+      const lang = resolveLang(guild?.preferredLocale) || "en";
+      const embeds = ["tippers", "receivers"].map(board => leaderboardEmbed(lang, board, "week", leaderboardRows(board, "week", gs.guild_id), 0));
+      await channel.send({ embeds });
+    } catch (e) { console.error(`Leaderboard post ${gs.guild_id}:`, e.message); }
+  }
+};
+
+// ============ Audit ============
+// 내부 부채 (유저 + owner + escrow) vs 실제 Lightning 지갑 잔액
+const audit = {
+  // 저장 없이 계산만 (정기 점검용)
+  compute: async () => {
+    const wallet = await lightning.getBalance();
+    const users = stmt.sumAccounts.get("user:%");
+    const ownerBal = owner.get();
+    const escrow = stmt.sumAccounts.get("escrow:%").total;
+    const guildFeeBal = stmt.sumAccounts.get("guild:%").total;
+    const liabilities = users.total + ownerBal + escrow + guildFeeBal;
+    const result = {
+      wallet, liabilities, diff: wallet - liabilities,
+      users: users.total, userCount: users.cnt, owner: ownerBal, escrow, guilds: guildFeeBal,
+      expectedWallet: -ledger.balanceOf(ACCT.wallet),
+      unbalanced: ledger.verify().unbalanced,
+      unverified: stmt.getWithdrawsByStatus.all("unverified"),
+      pendingPays: stmt.getWithdrawsByStatus.all("verified_PENDING"),
+      staleInvoices: stmt.getStaleInvoices.all(Date.now() - config.limits.invoiceExpiry),
+      openInvoices: stmt.countPendingInvoices.get().cnt
+    };
+    return result;
+  },
+
+  record: (kind, result) => {
+    const { wallet, liabilities, owner: ownerBal, escrow, guilds: guildFeeBal } = result;
+    const details = JSON.stringify({
+      users: result.users, owner: ownerBal, escrow, guilds: guildFeeBal,
+      expectedWallet: result.expectedWallet, unbalanced: result.unbalanced.length,
+      unverified: result.unverified.length, pendingPays: result.pendingPays.length, staleInvoices: result.staleInvoices.length
+    });
+    stmt.insertAudit.run(Date.now(), kind, wallet, liabilities, result.diff, details);
+    return result;
+  },
+
+  run: async (kind = "manual") => audit.record(kind, await audit.compute())
+};
+
+const sumAmount = (rows) => rows.reduce((s, r) => s + (r.amount || 0), 0);
+
+const auditEmbed = (r, lang) => {
+  const lines = [
+    tr(lang, "audit_wallet", { n: r.wallet, backend: lightning.name }),
+    tr(lang, "audit_users", { n: r.users, count: r.userCount }),
+    tr(lang, "audit_owner", { n: r.owner }),
+    tr(lang, "audit_escrow", { n: r.escrow }),
+    tr(lang, "audit_guilds", { n: r.guilds }),
+    tr(lang, "audit_liabilities", { n: r.liabilities }),
+    tr(lang, "audit_expected_wallet", { n: r.expectedWallet }),
+    r.diff >= 0 ? tr(lang, "audit_surplus", { n: r.diff }) : tr(lang, "audit_shortfall", { n: -r.diff }),
+    "", tr(lang, "audit_drifts")
+  ];
+  const limit = config.audit.listLimit;
+  if (r.unbalanced.length) lines.push(tr(lang, "audit_unbalanced", { count: r.unbalanced.length, ids: r.unbalanced.slice(0, limit).map(u => `#${u.tx_id}`).join(", ") }));
+  const txLines = (rows) => rows.slice(0, limit).map(r => `• <@${r.from_uid}> ${r.amount} sats · ${r.ts} · #${r.id}`);
+  if (r.unverified.length) lines.push(tr(lang, "audit_unverified", { count: r.unverified.length, amount: sumAmount(r.unverified) }), ...txLines(r.unverified));
+  if (r.pendingPays.length) lines.push(tr(lang, "audit_pending_pays", { count: r.pendingPays.length, amount: sumAmount(r.pendingPays) }), ...txLines(r.pendingPays));
+  if (r.staleInvoices.length) {
+    lines.push(tr(lang, "audit_stale_invoices", { count: r.staleInvoices.length, amount: sumAmount(r.staleInvoices) }),
+      ...r.staleInvoices.slice(0, limit).map(p => `• <@${p.user_id}> ${p.amount} sats · <t:${Math.floor(p.created_at / 1000)}:R>`));
+  }
+  if (!r.unbalanced.length && !r.unverified.length && !r.pendingPays.length && !r.staleInvoices.length) lines.push(tr(lang, "audit_no_drift"));
+  lines.push(tr(lang, "audit_open_invoices", { count: r.openInvoices }));
+  return new EmbedBuilder().setColor(r.diff >= 0 ? 0x43A047 : 0xE53935).setTitle(tr(lang, "audit_title"))
+    .setDescription(lines.join("\n").slice(0, 4096)).setTimestamp();
+};
+
+let auditAlerted = false;
+
+// 정기 점검: 부족분이 기준을 넘으면 즉시 알림 (회복 전까지 1회), 리포트는 reportInterval마다
+const runScheduledAudit = async () => {
+  if (!config.discord.ownerId) return;
+  const last = stmt.getLastAudit.get("scheduled");
+  // audit_log에는 정기 리포트/경보만 기록
+  const r = await audit.compute();
+  const shortfall = -r.diff;
+  const alert = shortfall > config.audit.alertThreshold && !auditAlerted;
+  auditAlerted = shortfall > config.audit.alertThreshold;
+  const reportDue = !last || Date.now() - last.ts >= config.audit.reportInterval;
+  if (!alert && !reportDue) return;
+
+  audit.record(reportDue ? "scheduled" : "alert", r);
+  const lang = userLang(config.discord.ownerId);
+  let content = alert
+    ? tr(lang, "audit_alert", { n: shortfall, threshold: config.audit.alertThreshold })
+    : tr(lang, "audit_report");
+  // admin_log 헤드를 DB 밖(owner DM)에 남겨 체인 전체 재작성도 대조 가능
+  const head = stmt.getLastAdminLog.get();
+  if (head) content += "\n" + tr(lang, "admin_log_head", { id: head.id, hash: head.hash });
+  try {
+    const ownerUser = await client.users.fetch(config.discord.ownerId);
+    await ownerUser.send({ content, embeds: [auditEmbed(r, lang)] });
+  } catch (e) { console.error("Audit DM failed:", e.message); }
+  if (alert) console.error(`🚨 Audit shortfall: ${shortfall} sats`);
+};
+
+// ============ Withdraw Limits ============
+// 출금량은 transactions에서 롤링 계산, 차단 상태는 bot_state (재시작 후에도 유지)
+const HOUR = 60 * 60 * 1000;
+const ago = (ms) => `-${Math.floor(ms / 1000)} seconds`;
+
+const withdrawGuard = {
+  paused: () => {
+    const row = stmt.getState.get("withdraw_paused");
+    return row ? JSON.parse(row.value) : null;
+  },
+  pause: (reason) => stmt.setState.run("withdraw_paused", JSON.stringify({ since: Date.now(), reason })),
+  resume: () => stmt.deleteState.run("withdraw_paused"),
+
+  hourlyOutflow: () => stmt.sumWithdrawnAll.get(ago(HOUR)).total,
+  held: (uid) => (config.limits.tipHold ? stmt.sumReceivedTips.get(uid, ago(config.limits.tipHold)).total : 0),
+  withdrawable: (uid) => Math.max(0, balance.get(uid) - withdrawGuard.held(uid)),
+
+  // ledger.post 직전에 호출 (사이에 await 없이). null = 허용, 아니면 { key, vars } (i18n)
+  check: (uid, amt) => {
+    if (isFrozen(uid)) return { key: "account_frozen" };
+    if (withdrawGuard.paused()) return { key: "withdraw_paused" };
+    const caps = [[config.limits.withdrawDailyCap, 24 * HOUR, "24h"], [config.limits.withdrawWeeklyCap, 7 * 24 * HOUR, "7d"]];
+    for (const [cap, period, label] of caps) {
+      if (!cap) continue;
+      const used = stmt.sumWithdrawnBy.get(uid, ago(period)).total;
+      if (used + amt > cap) return { key: "withdraw_cap", vars: { period: label, used, cap, left: Math.max(0, cap - used) } };
+    }
+    const outflow = withdrawGuard.hourlyOutflow();
+    if (config.limits.withdrawHourlyCap && outflow + amt > config.limits.withdrawHourlyCap) {
+      tripWithdrawBreaker(outflow, amt, uid);
+      return { key: "withdraw_paused" };
+    }
+    return null;
+  }
+};
+
+const tripWithdrawBreaker = (outflow, amt, uid) => {
+  const reason = `hourly outflow ${outflow} + ${amt} > ${config.limits.withdrawHourlyCap} (by ${uid})`;
+  withdrawGuard.pause(reason);
+  console.error(`🚨 Withdrawals paused: ${reason}`);
+  if (!config.discord.ownerId) return;
+  client.users.fetch(config.discord.ownerId)
+    .then(u => u.send(tr(userLang(config.discord.ownerId), "breaker_alert", { outflow, amt, cap: config.limits.withdrawHourlyCap, user: uid })))
+    .catch(e => console.error("Breaker DM failed:", e.message));
+};
+
+// ============ Outgoing Payments ============
+// 출금/바우처 결제를 payment hash로 추적. 미확정 건은 백그라운드에서 재조회 후 환불 또는 확정
+const UNRESOLVED = new Set(["pending", "verified_PENDING", "unverified"]);
+
+const payments = {
+  // 같은 인보이스가 진행 중이거나 이미 결제됨 (환불된 시도는 제외)
+  inFlight: (pr) => {
+    const row = stmt.getOutgoing.get(getPaymentHash(pr));
+    return !!row && row.status !== "refunded";
+  },
+
+  // ledger.post 직후 (같은 동기 구간) 호출
+  record: (txId, uid, kind, pr, amount, fee, ref = null) => {
+    const { changes } = stmt.upsertOutgoing.run({ hash: getPaymentHash(pr) || `tx:${txId}`, txId, uid, kind, ref, pr, amount, fee, now: Date.now() });
+    if (!changes) throw new Error("Invoice already paid or in progress");
+  },
+
+  setStatus: (txId, status, reason) => {
+    ledger.setStatus(txId, status, reason);
+    stmt.setOutgoingStatus.run(status, Date.now(), txId);
+  },
+
+  // 환불/확정은 현재 상태를 다시 읽고 처리 (resolver와 관리자 강제 처리가 겹쳐도 1회만)
+  refund: db.transaction((txId, reason) => {
+    const p = stmt.getOutgoingByTx.get(txId);
+    if (!p || !UNRESOLVED.has(p.status)) return null;
+    const postings = stmt.getTxPostings.all(txId).map(r => [r.account, r.amount]);
+    if (p.kind === "voucher") {
+      voucher.release(parseInt(p.ref.split(":")[1]), postings, txId, reason);
+    } else {
+      const tx = stmt.getTx.get(txId);
+      const dest = tx.details ? JSON.parse(tx.details).dest : undefined;
+      ledger.post("withdraw_refund", reversePostings(postings), { uid: p.user_id, amount: p.amount, fee: p.fee, dest, ref: `tx:${txId}`, reason, guild: tx.guild_id });
+    }
+    payments.setStatus(txId, "refunded", reason);
+    return p;
+  }),
 
-      const txs = data.me.defaultAccount.transactions.edges;
-      for (const { node } of txs) {
-        if (node.direction === "SEND" && node.initiationVia?.paymentHash === targetHash) {
-          return node.status;
-        }
-      }
-      return "NOT_FOUND";
-    } catch (e) {
-      console.error("Payment verification failed:", e.message);
-      return null;
+  confirm: db.transaction((txId, reason) => {
+    const p = stmt.getOutgoingByTx.get(txId);
+    if (!p || !UNRESOLVED.has(p.status)) return null;
+    payments.setStatus(txId, "success", reason);
+    return p;
+  })
+};
+
+const notifyPaymentResolved = async (p, outcome) => {
+  try {
+    const user = await client.users.fetch(p.user_id);
+    await user.send(tr(userLang(p.user_id), outcome === "refunded" ? "payment_resolved_refunded" : "payment_resolved_success", {
+      tx: p.tx_id, amount: p.amount, fee: p.fee, bal: balance.get(p.user_id)
+    }));
+  } catch {}
+};
+
+// 결과: "success" | "refunded" | null (아직 미확정)
+const resolvePayment = async (p) => {
+  const status = await lightning.verifyOutgoingPayment(p.payment_request, { wait: 0 });
+  let resolved = null;
+  if (status === "SUCCESS") resolved = payments.confirm(p.tx_id, "resolver") && "success";
+  else if (status === "NOT_FOUND") resolved = payments.refund(p.tx_id, "resolver: payment not found") && "refunded";
+  else if (status === "PENDING" && p.status === "unverified") payments.setStatus(p.tx_id, "verified_PENDING");
+  if (!resolved) {
+    stmt.bumpOutgoingAttempts.run(Date.now(), p.tx_id);
+    return null;
+  }
+  console.log(`🔎 Payment tx#${p.tx_id} resolved: ${resolved}`);
+  await notifyPaymentResolved(p, resolved);
+  return resolved;
+};
+
+let resolvingPayments = false;
+const runPaymentResolver = async () => {
+  if (resolvingPayments) return;
+  resolvingPayments = true;
+  try {
+    for (const p of stmt.getUnresolvedOutgoing.all(Date.now() - config.limits.paymentPendingGrace)) {
+      await resolvePayment(p).catch(e => console.error(`Resolver tx#${p.tx_id}:`, e.message));
+    }
+  } finally { resolvingPayments = false; }
+};
+
+// ============ Admin ============
+const isAdmin = (i) => {
+  if (i.user.id === config.discord.ownerId || config.admin.users.includes(i.user.id)) return true;
+  const roles = i.member?.roles;
+  const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+  return roleIds.some(id => config.admin.roles.includes(id));
+};
+
+const isFrozen = (uid) => !!stmt.getFrozen.get(uid);
+
+// 해시 체인: hash = sha256([prev_hash, 필드...]), 중간 행 수정/삭제 시 verify 실패
+const ADMIN_LOG_GENESIS = "0".repeat(64);
+// ADMIN_LOG_SECRET이 있으면 HMAC (DB 쓰기 권한만으로는 체인 재계산 불가), keyed = 1
+// 키 없는 sha256 행은 첫 keyed 행 이전에만 허용, 헤드 해시는 정기 감사 DM으로 DB 밖에 남김
+const adminLogHash = (prev, e, keyed) => {
+  const data = JSON.stringify([prev, e.ts, e.admin_id, e.action, e.target_id, e.amount, e.reason, e.details]);
+  return (keyed ? crypto.createHmac("sha256", config.admin.logSecret) : crypto.createHash("sha256")).update(data).digest("hex");
+};
+
+const adminLog = {
+  append: db.transaction((adminId, action, { target = null, amount = null, reason = null, details = null } = {}) => {
+    const prev = stmt.getLastAdminLog.get()?.hash || ADMIN_LOG_GENESIS;
+    const entry = { ts: Date.now(), admin_id: adminId, action, target_id: target, amount, reason, details: details && JSON.stringify(details) };
+    const keyed = config.admin.logSecret ? 1 : 0;
+    const hash = adminLogHash(prev, entry, keyed);
+    stmt.insertAdminLog.run(entry.ts, adminId, action, target, amount, reason, entry.details, prev, hash, keyed);
+    return hash;
+  }),
+
+  // { count, brokenAt } (brokenAt = 처음 어긋난 id, 없으면 null)
+  verify: () => {
+    let prev = ADMIN_LOG_GENESIS;
+    let count = 0;
+    let keyedSeen = false;
+    for (const row of stmt.iterAdminLog.iterate()) {
+      count++;
+      if (row.keyed && !config.admin.logSecret) return { count, brokenAt: row.id };
+      if (keyedSeen && !row.keyed) return { count, brokenAt: row.id };
+      if (row.prev_hash !== prev || row.hash !== adminLogHash(prev, row, row.keyed)) return { count, brokenAt: row.id };
+      keyedSeen ||= !!row.keyed;
+      prev = row.hash;
     }
+    return { count, brokenAt: null };
+  },
+
+  // 키를 처음 설정했을 때: 기존 sha256 체인의 헤드를 keyed 행으로 봉인 → 이전 행 재작성도 검출
+  seal: () => {
+    const last = stmt.getLastAdminLog.get();
+    if (!config.admin.logSecret || !last || last.keyed) return;
+    adminLog.append("system", "log_sealed", { details: { head: last.id } });
+    console.log(`🔗 Admin log sealed at #${last.id}`);
   }
 };
 
-// ============ Utils ============
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+adminLog.seal();
 
-const decodeInvoiceAmount = (invoice) => {
+// 수동 조정은 equity:adjustment 상대로 기록 (audit 차이에 반영됨)
+const admin = {
+  credit: db.transaction((adminId, uid, amt, reason) => {
+    ledger.move("admin_credit", ACCT.adjustment, ACCT.user(uid), amt, { uid, amount: amt, reason, ref: `admin:${adminId}` });
+    adminLog.append(adminId, "credit", { target: uid, amount: amt, reason });
+    return balance.get(uid);
+  }),
+  debit: db.transaction((adminId, uid, amt, reason) => {
+    ledger.move("admin_debit", ACCT.user(uid), ACCT.adjustment, amt, { uid, amount: amt, reason, ref: `admin:${adminId}` });
+    adminLog.append(adminId, "debit", { target: uid, amount: amt, reason });
+    return balance.get(uid);
+  }),
+  freeze: db.transaction((adminId, uid, reason) => {
+    if (isFrozen(uid)) return false;
+    stmt.insertFrozen.run(uid, adminId, reason, Date.now());
+    adminLog.append(adminId, "freeze", { target: uid, reason });
+    return true;
+  }),
+  unfreeze: db.transaction((adminId, uid, reason) => {
+    if (!stmt.deleteFrozen.run(uid).changes) return false;
+    adminLog.append(adminId, "unfreeze", { target: uid, reason });
+    return true;
+  })
+};
+
+const adminLookupEmbed = (uid, lang) => {
+  const frozen = stmt.getFrozen.get(uid);
+  const rows = queryHistory(uid, {}, config.admin.lookupLimit);
+  const lines = [
+    tr(lang, "admin_lookup_balance", { bal: balance.get(uid), avail: withdrawGuard.withdrawable(uid) }),
+    frozen ? tr(lang, "admin_lookup_frozen", { admin: frozen.admin_id, reason: frozen.reason, time: `<t:${Math.floor(frozen.ts / 1000)}:R>` }) : tr(lang, "admin_lookup_active"),
+    "",
+    rows.length ? rows.map(r => historyLine(uid, r)).join("\n") : tr(lang, "history_empty")
+  ];
+  return new EmbedBuilder().setColor(frozen ? 0x4FC3F7 : 0xF7931A).setTitle(tr(lang, "admin_lookup_title")).setDescription(`<@${uid}> \`${uid}\`\n${lines.join("\n")}`);
+};
+
+const adminLogEmbed = (lang) => {
+  const { count, brokenAt } = adminLog.verify();
+  const rows = stmt.getAdminLogs.all(config.admin.lookupLimit);
+  const lines = rows.map(r => {
+    let line = `#${r.id} <t:${Math.floor(r.ts / 1000)}:f> <@${r.admin_id}> \`${r.action}\``;
+    if (r.target_id) line += ` <@${r.target_id}>`;
+    if (r.amount) line += ` **${r.amount}**`;
+    if (r.reason) line += ` - ${r.reason}`;
+    return line;
+  });
+  return new EmbedBuilder().setColor(brokenAt ? 0xE53935 : 0x4CAF50).setTitle(tr(lang, "admin_log_title"))
+    .setDescription([brokenAt ? tr(lang, "admin_log_broken", { id: brokenAt }) : tr(lang, "admin_log_ok", { n: count }), "", ...lines].join("\n"));
+};
+
+const guildEmbed = (gs, lang) => {
+  const fees = guildFees(gs.guild_id);
+  const off = disabledFeatures(gs);
+  return new EmbedBuilder().setColor(0xF7931A).setTitle(tr(lang, "guild_title")).setDescription([
+    tr(lang, "guild_fees", { internal: fees.internal, external: fees.external, max: guildMaxWithdraw(gs.guild_id) }),
+    tr(lang, "guild_owner", { owner: gs.owner_id ? `<@${gs.owner_id}>` : "-", share: gs.fee_share, bal: ledger.balanceOf(ACCT.guild(gs.guild_id)) }),
+    tr(lang, "guild_features", { list: FEATURES.map(f => `${off.includes(f) ? "🚫" : "✅"} ${f}`).join("  ") }),
+    tr(lang, "guild_channel", { channel: gs.announce_channel_id ? `<#${gs.announce_channel_id}>` : "-" }),
+    tr(lang, "guild_leaderboard", { status: gs.leaderboard_weekly ? "✅" : "🚫" })
+  ].join("\n"));
+};
+
+// 서버 관리 권한 또는 봇 admin
+const isGuildAdmin = (i) => isAdmin(i) || !!i.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+
+const stuckPaymentsEmbed = (lang) => {
+  const rows = stmt.getUnresolvedOutgoing.all(Date.now());
+  const lines = rows.slice(0, config.admin.lookupLimit * 2).map(p =>
+    `tx#${p.tx_id} <t:${Math.floor(p.created_at / 1000)}:R> <@${p.user_id}> **${p.amount}** (${p.kind}) · ${p.status} · ${p.attempts}× \`${p.payment_hash.slice(0, 12)}\``);
+  return new EmbedBuilder().setColor(rows.length ? 0xFFA000 : 0x4CAF50).setTitle(tr(lang, "admin_payments_title", { n: rows.length }))
+    .setDescription(lines.length ? lines.join("\n") : tr(lang, "admin_payments_none"));
+};
+
+// ============ HTTP Server ============
+// 라우트 핸들러는 JSON 객체를 반환, 에러는 { status: "ERROR", reason } (LNURL 형식)
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const httpRoutes = [];  // 공개 (LNURL, 브라우저 지갑용 CORS)
+const apiRoutes = [];   // 로컬 API listener 전용
+const route = (method, pattern, handler, routes = httpRoutes) => routes.push({ method, pattern, handler });
+const apiRoute = (method, pattern, handler) => route(method, pattern, handler, apiRoutes);
+
+const sendJson = (res, status, body, cors) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...(cors && { "Access-Control-Allow-Origin": "*" }) });
+  res.end(JSON.stringify(body));
+};
+
+// X-Forwarded-For는 프록시가 붙여준 경우만 신뢰 (아니면 요청마다 위조 가능)
+const clientIp = (req) => (config.http.trustProxy && req.headers["x-forwarded-for"]?.split(",")[0].trim()) || req.socket.remoteAddress;
+
+// POST 본문 (JSON, 최대 api.maxBody)
+const readJson = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > config.api.maxBody) {
+      reject(new HttpError(413, "Body too large"));
+      req.destroy();
+    } else chunks.push(chunk);
+  });
+  req.on("end", () => {
+    let body;
+    try { body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {}; } catch { return reject(new HttpError(400, "Invalid JSON")); }
+    if (!body || typeof body !== "object" || Array.isArray(body)) return reject(new HttpError(400, "Body must be a JSON object"));
+    resolve(body);
+  });
+  req.on("error", reject);
+});
+
+const parseRequestUrl = (req, base) => {
+  try { return new URL(req.url, base); } catch { throw new HttpError(400, "Invalid URL"); }
+};
+
+const httpHandler = (routes, base, cors) => async (req, res) => {
+  let url;
   try {
-    const d = bolt11.decode(invoice);
-    if (d.satoshis) return parseInt(d.satoshis);
-    if (d.millisatoshis) return Math.floor(parseInt(d.millisatoshis) / 1000);
-    const amt = d.sections?.find(s => s.name === "amount")?.value;
-    return amt ? Math.floor(parseInt(amt) / 1000) : null;
-  } catch { return null; }
+    url = parseRequestUrl(req, base);
+    const match = routes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+    if (!match) throw new HttpError(404, "Not found");
+    let params;
+    try { params = url.pathname.match(match.pattern).slice(1).map(decodeURIComponent); } catch { throw new HttpError(400, "Invalid URL"); }
+    const body = req.method === "POST" ? await readJson(req) : null;
+    sendJson(res, 200, await match.handler({ req, url, params, query: url.searchParams, body, ip: clientIp(req) }), cors);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error(`HTTP ${req.method} ${url?.pathname ?? req.url}:`, e.message);
+    sendJson(res, e.status || 500, { status: "ERROR", reason: e instanceof HttpError ? e.message : "Internal error" }, cors);
+  }
 };
 
-const validateUrl = (urlStr) => {
-  const parsed = new URL(urlStr);
-  if (parsed.protocol !== "https:") throw new Error("HTTPS only");
-  const hostname = parsed.hostname.toLowerCase();
-  if (hostname === "localhost" || hostname === "127.0.0.1" || hostname === "0.0.0.0" || hostname === "::1") throw new Error("Blocked host");
-  if (hostname.endsWith(".local")) throw new Error("Blocked domain");
-  const parts = hostname.split(".").map(Number);
-  if (parts[0] === 10) throw new Error("Blocked IP");
-  if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) throw new Error("Blocked IP");
-  if (parts[0] === 192 && parts[1] === 168) throw new Error("Blocked IP");
-  if (parts[0] === 169 && parts[1] === 254) throw new Error("Blocked IP");
-  return urlStr;
+const startHttpServer = () => {
+  if (config.http.publicUrl) {
+    http.createServer(httpHandler(httpRoutes, config.http.publicUrl, true))
+      .listen(config.http.port, () => console.log(`✅ HTTP server :${config.http.port} (${config.http.publicUrl})`));
+  }
+  if (config.api.enabled) {
+    const base = `http://${config.api.host}:${config.api.port}`;
+    http.createServer(httpHandler(apiRoutes, base, false))
+      .listen(config.api.port, config.api.host, () => console.log(`✅ API server ${base}`));
+  }
 };
 
-const getLnurlInvoice = async (addr, sats) => {
-  const [user, domain] = addr.split("@");
-  if (!user || !domain) throw new Error("Invalid address");
-  const wellKnownUrl = validateUrl(`https://${domain}/.well-known/lnurlp/${user}`);
-  const { data: lnurl } = await axios.get(wellKnownUrl, { timeout: 10000, maxRedirects: 3, beforeRedirect: (opts) => validateUrl(opts.href) });
-  if (lnurl.status === "ERROR") throw new Error(lnurl.reason);
-  const callbackUrl = validateUrl(lnurl.callback);
-  const { data: inv } = await axios.get(callbackUrl, { params: { amount: sats * 1000 }, timeout: 10000, maxRedirects: 3, beforeRedirect: (opts) => validateUrl(opts.href) });
-  if (inv.status === "ERROR") throw new Error(inv.reason);
-  return inv.pr;
-};
-
-const watchInvoice = async (pr, uid, amount, createdAt = Date.now()) => {
-  const elapsed = Date.now() - createdAt;
-  const remaining = config.limits.invoiceExpiry - elapsed;
-  if (remaining <= 0) {
-    stmt.deletePendingInvoice.run(pr);
-    return;
+// ============ Lightning Address (LNURL-pay) ============
+const LNADDRESS_RE = /^[a-z0-9._-]{3,32}$/;
+const RESERVED_USERNAMES = new Set(["admin", "owner", "root", "citadelpay", "support"]);
+
+const lnDomain = () => new URL(config.http.publicUrl).host;
+const lnAddressOf = (username) => `${username}@${lnDomain()}`;
+
+// metadata는 well-known 응답과 callback의 description_hash에서 동일해야 함
+const lnurlpMetadata = (username) => JSON.stringify([
+  ["text/plain", `Pay ${lnAddressOf(username)} on CitadelPay`],
+  ["text/identifier", lnAddressOf(username)]
+]);
+
+const lnurlpUser = (username, ip) => {
+  if (!lnurlLimiter.check(ip).allowed) throw new HttpError(429, "Too many requests");
+  const row = stmt.getLnAddress.get(username.toLowerCase());
+  if (!row) throw new HttpError(404, "Unknown user");
+  return row;
+};
+
+route("GET", /^\/\.well-known\/lnurlp\/([^/]+)$/, async ({ params: [username], ip }) => {
+  const row = lnurlpUser(username, ip);
+  return {
+    tag: "payRequest",
+    callback: `${config.http.publicUrl.replace(/\/$/, "")}/lnurlp/callback/${row.username}`,
+    minSendable: config.lnurl.minSendable * 1000,
+    maxSendable: config.lnurl.maxSendable * 1000,
+    metadata: lnurlpMetadata(row.username),
+    commentAllowed: 0
+  };
+});
+
+route("GET", /^\/lnurlp\/callback\/([^/]+)$/, async ({ params: [username], query, ip }) => {
+  const row = lnurlpUser(username, ip);
+  const msat = parseInt(query.get("amount"));
+  if (!msat || msat % 1000) throw new HttpError(400, "Amount must be whole sats");
+  const sats = msat / 1000;
+  if (sats < config.lnurl.minSendable || sats > config.lnurl.maxSendable) throw new HttpError(400, "Amount out of range");
+
+  if (stmt.countExternalInvoices.get(row.user_id).cnt >= config.lnurl.maxOpenInvoices) throw new HttpError(429, "Too many open invoices for this user");
+
+  const descriptionHash = crypto.createHash("sha256").update(lnurlpMetadata(row.username)).digest("hex");
+  const pr = await lightning.createInvoice(sats, `CitadelPay-${row.user_id}`, { descriptionHash });
+  const now = Date.now();
+  stmt.insertPendingInvoice.run(row.user_id, pr, sats, now, null, null);
+  watchInvoice(pr, row.user_id, sats, now).catch(console.error);
+  console.log(`⚡ LNURL invoice: ${lnAddressOf(row.username)} ${sats} sats`);
+  return { pr, routes: [] };
+});
+
+// 이름 변경 시 기존 주소는 해제
+const setLnAddress = db.transaction((uid, username) => {
+  const taken = stmt.getLnAddress.get(username);
+  if (taken && taken.user_id !== uid) return false;
+  stmt.deleteLnAddressByUser.run(uid);
+  stmt.insertLnAddress.run(username, uid, Date.now());
+  return true;
+});
+
+// ============ Vouchers (LNURL-withdraw) ============
+// escrow = (amount + 외부 수수료) × uses. 내부 결제로 남은 수수료 예비분은 종료 시 환불
+const voucherFeeReserve = (v) => v.fee_reserve ?? config.fees.external;
+const voucherLnurl = (v) => encodeLnurl(`${config.http.publicUrl.replace(/\/$/, "")}/lnurlw/${v.secret}`);
+
+// escrow 잔액 → creator (done/revoked/expired 이후 돌아온 금액 포함)
+const refundVoucherEscrow = (v) => {
+  const refund = ledger.balanceOf(ACCT.escrow("voucher", v.id));
+  if (refund > 0) {
+    ledger.move("voucher_refund", ACCT.escrow("voucher", v.id), ACCT.user(v.creator_id), refund, { uid: v.creator_id, amount: refund, ref: `voucher:${v.id}`, guild: v.guild_id });
+  }
+  return refund;
+};
+
+const voucher = {
+  create: db.transaction((uid, guildId, amount, uses) => {
+    const now = Date.now();
+    const feeReserve = guildFees(guildId).external;
+    const { lastInsertRowid: id } = stmt.insertVoucher.run(uid, crypto.randomBytes(16).toString("hex"), crypto.randomBytes(32).toString("hex"), amount, uses, uses, now, now + config.limits.voucherExpiry, guildId, feeReserve);
+    const total = (amount + feeReserve) * uses;
+    ledger.move("voucher", ACCT.user(uid), ACCT.escrow("voucher", id), total, { uid, amount: total, ref: `voucher:${id}`, guild: guildId });
+    return stmt.getVoucher.get(id);
+  }),
+
+  // escrow → 지갑 밖 (결제 전 차감, 실패 시 release)
+  reserve: db.transaction((id, pr, fee) => {
+    const v = stmt.getVoucher.get(id);
+    if (!v || v.status !== "open" || v.expires_at <= Date.now()) return { error: "Voucher is no longer available" };
+    if (stmt.getVoucherClaim.get(pr)) return { error: "Invoice already submitted" };
+
+    const postings = [[ACCT.escrow("voucher", id), -(v.amount + fee)], ...feePostings(fee, v.guild_id), [ACCT.wallet, v.amount]];
+    const txId = ledger.post("voucher_claim", postings, { from: v.creator_id, amount: v.amount, fee, dest: "lnurlw", status: "pending", ref: `voucher:${id}`, guild: v.guild_id });
+    payments.record(txId, v.creator_id, "voucher", pr, v.amount, fee, `voucher:${id}`);
+    stmt.insertVoucherClaim.run(id, pr, txId, Date.now());
+    const remaining = v.remaining_uses - 1;
+    stmt.updateVoucher.run(remaining, remaining === 0 ? "done" : "open", id);
+    if (remaining === 0) refundVoucherEscrow(v);
+    return { voucher: stmt.getVoucher.get(id), postings, txId };
+  }),
+
+  // 결제 실패 (NOT_FOUND) → escrow 복구. 이미 종료된 바우처면 creator에게 바로 환불
+  release: db.transaction((id, postings, txId, reason) => {
+    ledger.post("voucher_claim_refund", reversePostings(postings), { ref: `tx:${txId}`, reason });
+    payments.setStatus(txId, "refunded", reason);
+    const v = stmt.getVoucher.get(id);
+    if (v.status === "open") stmt.updateVoucher.run(v.remaining_uses + 1, "open", id);
+    else refundVoucherEscrow(v);
+  }),
+
+  close: db.transaction((id, status) => {
+    const v = stmt.getVoucher.get(id);
+    if (!v || v.status !== "open") return null;
+    stmt.updateVoucher.run(v.remaining_uses, status, id);
+    const refund = refundVoucherEscrow(v);
+    return { voucher: stmt.getVoucher.get(id), refund, bal: balance.get(v.creator_id) };
+  })
+};
+
+const payVoucherClaim = async (v, pr, postings, txId) => {
+  try {
+    const sent = await lightning.pay(pr);
+    payments.setStatus(txId, sent === "PENDING" ? "verified_PENDING" : "success");
+    console.log(`🎟️ Voucher #${v.id} claimed: ${v.amount} sats`);
+  } catch (payErr) {
+    console.error(`⚠️ Voucher #${v.id} payment error: ${payErr.message}`);
+    const status = await lightning.verifyOutgoingPayment(pr);
+    if (status === "NOT_FOUND") voucher.release(v.id, postings, txId, payErr.message);
+    else if (status === "SUCCESS" || status === "PENDING") payments.setStatus(txId, "verified_" + status, payErr.message);
+    else payments.setStatus(txId, "unverified", payErr.message);
   }
-  const start = Date.now();
-  while (Date.now() - start < remaining) {
+};
+
+const voucherTimers = new Map();
+
+const closeVoucher = async (id, status) => {
+  clearTimeout(voucherTimers.get(id));
+  voucherTimers.delete(id);
+  const result = voucher.close(id, status);
+  if (!result) return null;
+  const { voucher: v, refund, bal } = result;
+  console.log(`🎟️ Voucher #${v.id} ${status}: ${refund} sats → ${v.creator_id}`);
+  if (status === "expired" && refund > 0) {
     try {
-      const status = await blink.checkInvoice(pr);
-      if (status === "PAID") {
-        balance.add(uid, amount);
-        txLog("deposit", { uid, amount, bal: balance.get(uid) });
-        stmt.deletePendingInvoice.run(pr);
-        console.log(`✅ +${amount} sats → ${uid}`);
-        return;
-      }
-      if (status === "EXPIRED" || status === "CANCELLED") {
-        stmt.deletePendingInvoice.run(pr);
-        return;
-      }
-    } catch (e) { console.error("Poll error:", e.message); }
-    await sleep(config.limits.pollInterval);
+      const creator = await client.users.fetch(v.creator_id);
+      await creator.send(tr(userLang(v.creator_id), "voucher_refund_dm", { id: v.id, amount: refund, bal }));
+    } catch {}
   }
-  stmt.deletePendingInvoice.run(pr);
+  return result;
 };
 
-const restorePendingInvoices = () => {
-  const pending = stmt.getAllPendingInvoices.all();
-  if (!pending.length) return;
-  console.log(`🔄 Restoring ${pending.length} pending invoice(s)...`);
-  for (const row of pending) {
-    watchInvoice(row.payment_request, row.user_id, row.amount, row.created_at).catch(console.error);
-    console.log(`🔄 Invoice restored: ${row.user_id} ${row.amount} sats`);
+// setTimeout 최대 ~24.8일 → 긴 만료는 다시 예약
+const scheduleVoucher = (v) => {
+  const remaining = v.expires_at - Date.now();
+  clearTimeout(voucherTimers.get(v.id));
+  voucherTimers.set(v.id, setTimeout(() => {
+    if (remaining > 2 ** 31 - 1) return scheduleVoucher(v);
+    closeVoucher(v.id, "expired").catch(console.error);
+  }, Math.min(Math.max(remaining, 0), 2 ** 31 - 1)));
+};
+
+const restoreVouchers = () => {
+  const open = stmt.getOpenVouchers.all();
+  if (!open.length) return;
+  console.log(`🔄 Restoring ${open.length} voucher(s)...`);
+  for (const v of open) scheduleVoucher(v);
+};
+
+const openVoucher = (secret, ip) => {
+  if (!lnurlLimiter.check(ip).allowed) throw new HttpError(429, "Too many requests");
+  const v = stmt.getVoucherBySecret.get(secret);
+  if (!v || v.status !== "open" || v.expires_at <= Date.now()) throw new HttpError(404, "Voucher is no longer available");
+  return v;
+};
+
+route("GET", /^\/lnurlw\/([0-9a-f]{32})$/, async ({ params: [secret], ip }) => {
+  const v = openVoucher(secret, ip);
+  return {
+    tag: "withdrawRequest",
+    callback: `${config.http.publicUrl.replace(/\/$/, "")}/lnurlw/${v.secret}/callback`,
+    k1: v.k1,
+    minWithdrawable: v.amount * 1000,
+    maxWithdrawable: v.amount * 1000,
+    defaultDescription: `CitadelPay voucher #${v.id}`
+  };
+});
+
+// LUD-03: 먼저 OK 응답, 결제는 비동기로
+route("GET", /^\/lnurlw\/([0-9a-f]{32})\/callback$/, async ({ params: [secret], query, ip }) => {
+  const v = openVoucher(secret, ip);
+  if (query.get("k1") !== v.k1) throw new HttpError(400, "Invalid k1");
+  const pr = query.get("pr")?.trim().toLowerCase();
+  if (!pr || decodeInvoiceAmount(pr) !== v.amount) throw new HttpError(400, `Invoice must be for exactly ${v.amount} sats`);
+  try { validateInvoice(pr); } catch (e) { throw new HttpError(400, e.message); }
+
+  // 수수료는 생성 시 예치한 예비분을 넘지 않음
+  const routeFee = await lightning.probeFee(pr);
+  const fees = guildFees(v.guild_id);
+  const fee = Math.min(routeFee === 0 ? fees.internal : fees.external, voucherFeeReserve(v));
+  const blocked = withdrawGuard.check(v.creator_id, v.amount);
+  if (blocked) throw new HttpError(503, "Withdrawals are temporarily unavailable");
+  if (payments.inFlight(pr)) throw new HttpError(400, "Invoice already paid or in progress");
+  const result = voucher.reserve(v.id, pr, fee);
+  if (result.error) throw new HttpError(400, result.error);
+  if (result.voucher.status !== "open") {
+    clearTimeout(voucherTimers.get(v.id));
+    voucherTimers.delete(v.id);
+  }
+  payVoucherClaim(v, pr, result.postings, result.txId).catch(console.error);
+  return { status: "OK" };
+});
+
+// ============ HTTP API ============
+// Authorization: Bearer <key> (DB에는 sha256만 저장), 유저별 데이터는 /apps grant로 권한을 준 경우만
+const API_SCOPES = ["balance:read", "invoice:write", "transfer:write"];
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+const apiApps = {
+  // key/secret은 생성 시 한 번만 보여줌
+  create: (name, scopes, webhookUrl, adminId) => {
+    const key = `cp_${crypto.randomBytes(24).toString("hex")}`;
+    const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+    const { lastInsertRowid: id } = stmt.insertApiApp.run(name, sha256(key), scopes.join(","), webhookUrl, secret, adminId, Date.now());
+    return { id, key, secret };
+  },
+  scopes: (app) => app.scopes.split(",")
+};
+
+const apiAuth = (req, scope) => {
+  const key = req.headers.authorization?.match(/^Bearer (\S+)$/)?.[1];
+  const app = key && stmt.getApiAppByKey.get(sha256(key));
+  if (!app) throw new HttpError(401, "Invalid API key");
+  if (!apiLimiter.check(`app:${app.id}`).allowed) throw new HttpError(429, "Too many requests");
+  if (!apiApps.scopes(app).includes(scope)) throw new HttpError(403, `Missing scope: ${scope}`);
+  return app;
+};
+
+const apiGrant = (app, uid) => {
+  if (!stmt.getApiGrant.get(app.id, uid)) throw new HttpError(403, `User ${uid} has not authorized this app`);
+};
+
+const apiAmount = (value) => {
+  if (!Number.isInteger(value) || value <= 0) throw new HttpError(400, "amount must be a positive integer (sats)");
+  return value;
+};
+
+apiRoute("GET", /^\/api\/v1\/users\/(\d+)\/balance$/, async ({ req, params: [uid] }) => {
+  const app = apiAuth(req, "balance:read");
+  apiGrant(app, uid);
+  return { user_id: uid, balance: balance.get(uid) };
+});
+
+// 입금 인보이스: /deposit과 같은 pending_invoices + watchInvoice (재시작 후 복구, 입금 시 DM)
+apiRoute("POST", /^\/api\/v1\/users\/(\d+)\/invoices$/, async ({ req, params: [uid], body }) => {
+  const app = apiAuth(req, "invoice:write");
+  apiGrant(app, uid);
+  const amt = apiAmount(body.amount);
+  const pr = await lightning.createInvoice(amt, `CitadelPay-${uid}`);
+  const now = Date.now();
+  stmt.insertPendingInvoice.run(uid, pr, amt, now, null, null);
+  watchInvoice(pr, uid, amt, now).catch(console.error);
+  console.log(`🔌 API invoice: app #${app.id} → ${uid} ${amt} sats`);
+  return { user_id: uid, amount: amt, payment_request: pr, expires_at: now + config.limits.invoiceExpiry };
+});
+
+apiRoute("POST", /^\/api\/v1\/transfers$/, async ({ req, body }) => {
+  const app = apiAuth(req, "transfer:write");
+  const from = String(body.from ?? "");
+  const to = String(body.to ?? "");
+  if (!/^\d+$/.test(from) || !/^\d+$/.test(to)) throw new HttpError(400, "from and to must be Discord user IDs");
+  if (from === to) throw new HttpError(400, "from and to must differ");
+  const amt = apiAmount(body.amount);
+  apiGrant(app, from);
+  apiGrant(app, to);
+  if (isFrozen(from)) throw new HttpError(403, `User ${from} is frozen`);
+  if (balance.get(from) < amt) throw new HttpError(400, "Insufficient balance");
+
+  const txId = balance.transfer(from, to, amt, "tip", { ref: `app:${app.id}` });
+  console.log(`🔌 API transfer: app #${app.id} ${from} → ${to} ${amt} sats`);
+  notifyUser(to, "api_tip_received", { from, amount: amt, app: app.name, bal: balance.get(to) }).catch(() => {});
+  return { tx_id: txId, from, to, amount: amt, balance: balance.get(from) };
+});
+
+// SSRF 방지: https만, 루프백/사설/링크로컬 호스트는 거부 (리다이렉트도 따라가지 않음)
+const isPrivateIpv4 = (ip) => {
+  const [a, b] = ip.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b < 128) ||
+    (a === 169 && b === 254) || (a === 172 && b >= 16 && b < 32) || (a === 192 && b === 168);
+};
+
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  if (net.isIPv4(host)) return isPrivateIpv4(host);
+  if (!net.isIPv6(host)) return false;
+  // IPv4-mapped (::ffff:7f00:1 = 127.0.0.1)
+  const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [hi, lo] = mapped.slice(1).map(h => parseInt(h, 16));
+    return isPrivateIpv4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return host === "::" || host === "::1" || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+};
+
+const isValidWebhookUrl = (s) => {
+  try {
+    const url = new URL(s);
+    return url.protocol === "https:" && !isPrivateHost(url.hostname);
+  } catch { return false; }
+};
+
+// 서명: X-CitadelPay-Signature: t=<unix>,v1=hex(HMAC-SHA256(secret, "<t>.<body>"))
+const webhookSignature = (secret, ts, body) => crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+
+let webhooksRunning = false;
+const webhooks = {
+  deliver: async (w) => {
+    const body = JSON.stringify({ id: w.id, ...JSON.parse(w.payload) });
+    const ts = Math.floor(Date.now() / 1000);
+    // 검증 이전에 등록된 URL은 재시도 없이 실패 처리
+    if (!isValidWebhookUrl(w.webhook_url)) return stmt.updateWebhook.run("failed", w.attempts, w.next_attempt_at, "Webhook URL not allowed", w.id);
+    try {
+      await axios.post(w.webhook_url, body, {
+        timeout: config.api.webhookTimeout,
+        maxRedirects: 0,
+        headers: {
+          "Content-Type": "application/json",
+          "X-CitadelPay-Event": w.event,
+          "X-CitadelPay-Delivery": String(w.id),
+          "X-CitadelPay-Signature": `t=${ts},v1=${webhookSignature(w.webhook_secret, ts, body)}`
+        }
+      });
+      stmt.updateWebhook.run("delivered", w.attempts + 1, w.next_attempt_at, null, w.id);
+    } catch (e) {
+      const attempts = w.attempts + 1;
+      const failed = attempts >= config.api.webhookMaxAttempts;
+      stmt.updateWebhook.run(failed ? "failed" : "pending", attempts, Date.now() + 30000 * 2 ** (attempts - 1), e.message.slice(0, 200), w.id);
+      if (failed) console.error(`🔌 Webhook #${w.id} (app #${w.app_id}) failed: ${e.message}`);
+    }
+  },
+
+  run: async () => {
+    if (webhooksRunning) return;
+    webhooksRunning = true;
+    try {
+      for (const w of stmt.getDueWebhooks.all(Date.now(), config.api.webhookBatch)) await webhooks.deliver(w);
+      stmt.pruneWebhooks.run(Date.now() - config.api.webhookRetention);
+    } finally {
+      webhooksRunning = false;
+    }
   }
 };
 
+const apiAppLine = (lang, app) => tr(lang, "api_app_line", { id: app.id, name: app.name, scopes: app.scopes.replace(/,/g, ", ") });
+
 // ============ Discord Client ============
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.MessageContent],
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildVoiceStates],
   partials: [Partials.Message, Partials.Reaction]
 });
 
@@ -439,16 +4307,24 @@ const client = new Client({
 const commands = [
   new SlashCommandBuilder().setName("deposit").setDescription("Create deposit invoice")
     .setDescriptionLocalizations({ ko: "입금 인보이스 생성", ja: "入金インボイス作成", "es-ES": "Crear factura de depósito" })
-    .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setDescriptionLocalizations({ ko: "금액 (sats)", ja: "金額 (sats)", "es-ES": "Cantidad (sats)" }).setRequired(true)),
+    .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setDescriptionLocalizations({ ko: "금액 (sats)", ja: "金額 (sats)", "es-ES": "Cantidad (sats)" }).setRequired(false))
+    .addNumberOption(o => o.setName("fiat").setDescription("Amount in your /currency (USD if not set)").setDescriptionLocalizations({ ko: "법정화폐 금액 (/currency, 미설정 시 USD)", ja: "法定通貨の金額 (/currency、未設定ならUSD)", "es-ES": "Cantidad en tu /currency (USD si no hay)" }).setRequired(false).setMinValue(0.01)),
+
+  new SlashCommandBuilder().setName("currency").setDescription("Show fiat values next to sats")
+    .setDescriptionLocalizations({ ko: "sats 옆에 법정화폐 가치 표시", ja: "satsの横に法定通貨で表示", "es-ES": "Mostrar valor en moneda local" })
+    .addStringOption(o => o.setName("code").setDescription("Currency").setDescriptionLocalizations({ ko: "통화", ja: "通貨", "es-ES": "Moneda" }).setRequired(true)
+      .addChoices({ name: "Off (sats only)", value: "off" }, ...config.price.currencies.map(c => ({ name: c, value: c })))),
 
   new SlashCommandBuilder().setName("balance").setDescription("Check balance")
     .setDescriptionLocalizations({ ko: "잔액 확인", ja: "残高確認", "es-ES": "Ver saldo" }),
 
   new SlashCommandBuilder().setName("tip").setDescription("Send sats")
     .setDescriptionLocalizations({ ko: "sats 보내기", ja: "sats送金", "es-ES": "Enviar sats" })
-    .addStringOption(o => o.setName("users").setDescription("Recipients (@user1 @user2 ...)").setDescriptionLocalizations({ ko: "받는 사람 (@유저1 @유저2 ...)", ja: "受取人 (@user1 @user2 ...)", "es-ES": "Destinatarios (@user1 @user2 ...)" }).setRequired(true))
+    .addStringOption(o => o.setName("users").setDescription("Recipients (@user @role ...)").setDescriptionLocalizations({ ko: "받는 사람 (@유저 @역할 ...)", ja: "受取人 (@user @role ...)", "es-ES": "Destinatarios (@usuario @rol ...)" }).setRequired(false))
     .addIntegerOption(o => o.setName("amount").setDescription("Amount per person (sats)").setDescriptionLocalizations({ ko: "1인당 금액 (sats)", ja: "1人当たりの金額 (sats)", "es-ES": "Cantidad por persona (sats)" }).setRequired(true))
-    .addStringOption(o => o.setName("message").setDescription("Message").setDescriptionLocalizations({ ko: "메시지", ja: "メッセージ", "es-ES": "Mensaje" }).setRequired(false)),
+    .addStringOption(o => o.setName("message").setDescription("Message").setDescriptionLocalizations({ ko: "메시지", ja: "メッセージ", "es-ES": "Mensaje" }).setRequired(false))
+    .addChannelOption(o => o.setName("voice").setDescription("Everyone in this voice channel").setDescriptionLocalizations({ ko: "이 음성 채널의 모든 사람", ja: "このボイスチャンネルの全員", "es-ES": "Todos en este canal de voz" })
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice).setRequired(false)),
 
   new SlashCommandBuilder().setName("withdraw").setDescription("Withdraw sats")
     .setDescriptionLocalizations({ ko: "출금", ja: "出金", "es-ES": "Retirar" }),
@@ -460,184 +4336,755 @@ const commands = [
     .setDescriptionLocalizations({ ko: "운영자 출금", ja: "オーナー出金", "es-ES": "Retiro del propietario" })
     .addIntegerOption(o => o.setName("amount").setDescription("Amount").setRequired(true)),
 
+  new SlashCommandBuilder().setName("paywall").setDescription("Sell content for sats")
+    .setDescriptionLocalizations({ ko: "sats로 콘텐츠 판매", ja: "satsでコンテンツ販売", "es-ES": "Vender contenido por sats" })
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName("create").setDescription("Post content members unlock by paying")
+      .addIntegerOption(o => o.setName("price").setDescription("Price (sats)").setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName("content").setDescription("Hidden text").setRequired(false).setMaxLength(1800))
+      .addAttachmentOption(o => o.setName("file").setDescription("Hidden attachment").setRequired(false))
+      .addStringOption(o => o.setName("teaser").setDescription("Public preview text").setRequired(false).setMaxLength(500)))
+    .addSubcommand(s => s.setName("sales").setDescription("Your sales totals")),
+
+  new SlashCommandBuilder().setName("raffle").setDescription("Raffles and giveaways")
+    .setDescriptionLocalizations({ ko: "추첨 / 경품", ja: "抽選 / プレゼント", "es-ES": "Sorteos" })
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName("create").setDescription("Start a raffle")
+      .addIntegerOption(o => o.setName("ticket_price").setDescription("Ticket price (sats, 0 = free giveaway)").setRequired(true).setMinValue(0))
+      .addStringOption(o => o.setName("duration").setDescription("Duration (30m, 2h, 1d)").setRequired(true))
+      .addIntegerOption(o => o.setName("max_tickets").setDescription("Max tickets").setRequired(false).setMinValue(2).setMaxValue(config.limits.raffleMaxTickets))
+      .addIntegerOption(o => o.setName("prize").setDescription("Sats you add to the pot").setRequired(false).setMinValue(1))),
+
+  new SlashCommandBuilder().setName("bounty").setDescription("Bounties with escrow")
+    .setDescriptionLocalizations({ ko: "현상금 (에스크로)", ja: "バウンティ (エスクロー)", "es-ES": "Recompensas con depósito" })
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName("create").setDescription("Post a task and lock sats in escrow")
+      .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName("description").setDescription("Task").setRequired(true).setMaxLength(1000)))
+    .addSubcommand(s => s.setName("list").setDescription("Open bounties"))
+    .addSubcommand(s => s.setName("award").setDescription("Pay the bounty to one or more users")
+      .addIntegerOption(o => o.setName("id").setDescription("Bounty #").setRequired(true))
+      .addStringOption(o => o.setName("users").setDescription("Winners (@user1 @user2 ...)").setRequired(true)))
+    .addSubcommand(s => s.setName("cancel").setDescription("Cancel and refund all funders")
+      .addIntegerOption(o => o.setName("id").setDescription("Bounty #").setRequired(true))),
+
+  new SlashCommandBuilder().setName("rain").setDescription("Split sats among recent chatters")
+    .setDescriptionLocalizations({ ko: "최근 채팅한 유저에게 sats 나눠주기", ja: "最近の発言者にsatsを分配", "es-ES": "Repartir sats entre quienes chatearon" })
+    .setDMPermission(false)
+    .addIntegerOption(o => o.setName("total").setDescription("Total amount (sats)").setDescriptionLocalizations({ ko: "총 금액 (sats)", ja: "合計金額 (sats)", "es-ES": "Cantidad total (sats)" }).setRequired(true).setMinValue(1))
+    .addIntegerOption(o => o.setName("minutes").setDescription(`Active within (default ${config.rain.defaultWindow})`).setDescriptionLocalizations({ ko: "최근 N분 이내 채팅", ja: "直近N分以内の発言", "es-ES": "Activos en los últimos N minutos" }).setRequired(false).setMinValue(1).setMaxValue(config.rain.maxWindow))
+    .addIntegerOption(o => o.setName("max_users").setDescription("Max recipients").setDescriptionLocalizations({ ko: "최대 인원", ja: "最大人数", "es-ES": "Máximo de personas" }).setRequired(false).setMinValue(1).setMaxValue(config.rain.maxUsers))
+    .addRoleOption(o => o.setName("role").setDescription("Only members with this role").setDescriptionLocalizations({ ko: "이 역할을 가진 멤버만", ja: "このロールのメンバーのみ", "es-ES": "Solo miembros con este rol" }).setRequired(false)),
+
+  new SlashCommandBuilder().setName("subscribe").setDescription("Tip a user every week or month")
+    .setDescriptionLocalizations({ ko: "매주/매월 정기 후원", ja: "毎週/毎月の定期チップ", "es-ES": "Propina semanal o mensual" })
+    .addUserOption(o => o.setName("user").setDescription("Recipient").setDescriptionLocalizations({ ko: "받는 사람", ja: "受取人", "es-ES": "Destinatario" }).setRequired(true))
+    .addIntegerOption(o => o.setName("amount").setDescription("Amount per payment (sats)").setDescriptionLocalizations({ ko: "회당 금액 (sats)", ja: "1回の金額 (sats)", "es-ES": "Cantidad por pago (sats)" }).setRequired(true).setMinValue(1))
+    .addStringOption(o => o.setName("interval").setDescription("Interval").setDescriptionLocalizations({ ko: "주기", ja: "間隔", "es-ES": "Intervalo" }).setRequired(true)
+      .addChoices({ name: "Weekly", value: "week" }, { name: "Monthly", value: "month" })),
+
+  new SlashCommandBuilder().setName("subscriptions").setDescription("Your recurring tips")
+    .setDescriptionLocalizations({ ko: "내 정기 후원", ja: "定期チップ一覧", "es-ES": "Tus propinas recurrentes" })
+    .addSubcommand(s => s.setName("list").setDescription("List subscriptions"))
+    .addSubcommand(s => s.setName("cancel").setDescription("Cancel a subscription")
+      .addIntegerOption(o => o.setName("id").setDescription("Subscription #").setRequired(true)))
+    .addSubcommand(s => s.setName("resume").setDescription("Resume a paused subscription")
+      .addIntegerOption(o => o.setName("id").setDescription("Subscription #").setRequired(true))),
+
+  new SlashCommandBuilder().setName("redpacket").setDescription("Create redpacket")
+    .setDescriptionLocalizations({ ko: "레드패킷 만들기", ja: "レッドパケット作成", "es-ES": "Crear sobre rojo" })
+    .addIntegerOption(o => o.setName("amount").setDescription("Total amount (sats)").setDescriptionLocalizations({ ko: "총 금액 (sats)", ja: "合計金額 (sats)", "es-ES": "Cantidad total (sats)" }).setRequired(true))
+    .addIntegerOption(o => o.setName("count").setDescription("Number of claims").setDescriptionLocalizations({ ko: "받을 인원", ja: "受取人数", "es-ES": "Número de personas" }).setRequired(true).setMinValue(1).setMaxValue(config.limits.redpacketMaxCount))
+    .addStringOption(o => o.setName("mode").setDescription("Split mode").setDescriptionLocalizations({ ko: "분배 방식", ja: "分配方式", "es-ES": "Modo de reparto" }).setRequired(false)
+      .addChoices({ name: "Equal", value: "equal" }, { name: "Random", value: "random" }))
+    .addStringOption(o => o.setName("message").setDescription("Message").setDescriptionLocalizations({ ko: "메시지", ja: "メッセージ", "es-ES": "Mensaje" }).setRequired(false)),
+
+  new SlashCommandBuilder().setName("owner_breaker").setDescription("Withdraw circuit breaker")
+    .setDescriptionLocalizations({ ko: "출금 차단기", ja: "出金サーキットブレーカー", "es-ES": "Cortacircuitos de retiros" })
+    .addStringOption(o => o.setName("action").setDescription("Action").setRequired(true)
+      .addChoices({ name: "Status", value: "status" }, { name: "Pause", value: "pause" }, { name: "Resume", value: "resume" })),
+
   new SlashCommandBuilder().setName("owner_reset").setDescription("Reset owner balance")
-    .setDescriptionLocalizations({ ko: "운영자 잔액 초기화", ja: "オーナー残高リセット", "es-ES": "Restablecer saldo" })
+    .setDescriptionLocalizations({ ko: "운영자 잔액 초기화", ja: "オーナー残高リセット", "es-ES": "Restablecer saldo" }),
+
+  new SlashCommandBuilder().setName("audit").setDescription("Audit ledger vs wallet")
+    .setDescriptionLocalizations({ ko: "장부 감사", ja: "台帳監査", "es-ES": "Auditar libro contable" }),
+
+  new SlashCommandBuilder().setName("admin").setDescription("Admin tools")
+    .setDescriptionLocalizations({ ko: "관리자 도구", ja: "管理ツール", "es-ES": "Herramientas de administración" })
+    .addSubcommand(s => s.setName("lookup").setDescription("User balance and recent transactions")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true)))
+    .addSubcommand(s => s.setName("credit").setDescription("Credit user")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
+      .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s.setName("debit").setDescription("Debit user")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
+      .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s.setName("freeze").setDescription("Freeze account (no tip/withdraw/emoji tip)")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s.setName("unfreeze").setDescription("Unfreeze account")
+      .addUserOption(o => o.setName("user").setDescription("User").setRequired(true))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s.setName("log").setDescription("Admin audit log (hash chain check)"))
+    .addSubcommand(s => s.setName("payments").setDescription("Unresolved outgoing payments"))
+    .addSubcommand(s => s.setName("resolve").setDescription("Resolve stuck payment")
+      .addIntegerOption(o => o.setName("tx").setDescription("Transaction #").setRequired(true))
+      .addStringOption(o => o.setName("outcome").setDescription("Outcome").setRequired(true)
+        .addChoices({ name: "Check now", value: "check" }, { name: "Mark paid", value: "success" }, { name: "Refund", value: "refund" }))
+      .addStringOption(o => o.setName("reason").setDescription("Reason").setRequired(false).setMaxLength(200))),
+
+  new SlashCommandBuilder().setName("api").setDescription("HTTP API apps (admin)")
+    .addSubcommand(s => s.setName("create").setDescription("Create an app and API key")
+      .addStringOption(o => o.setName("name").setDescription("App name").setRequired(true).setMaxLength(50))
+      .addStringOption(o => o.setName("scopes").setDescription(`Comma-separated: ${API_SCOPES.join(", ")}`).setRequired(true))
+      .addStringOption(o => o.setName("webhook").setDescription("HTTPS webhook URL for deposit/tip/withdraw events").setRequired(false)))
+    .addSubcommand(s => s.setName("list").setDescription("List apps"))
+    .addSubcommand(s => s.setName("revoke").setDescription("Revoke an app's key")
+      .addIntegerOption(o => o.setName("app").setDescription("App #").setRequired(true))),
+
+  new SlashCommandBuilder().setName("apps").setDescription("Apps allowed to use your account")
+    .setDescriptionLocalizations({ ko: "내 계정을 사용할 수 있는 앱", ja: "アカウントを使えるアプリ", "es-ES": "Apps con acceso a tu cuenta" })
+    .addSubcommand(s => s.setName("list").setDescription("Apps you authorized"))
+    .addSubcommand(s => s.setName("grant").setDescription("Let an app read your balance, create invoices and send transfers")
+      .addIntegerOption(o => o.setName("app").setDescription("App #").setRequired(true)))
+    .addSubcommand(s => s.setName("revoke").setDescription("Remove an app's access")
+      .addIntegerOption(o => o.setName("app").setDescription("App #").setRequired(true))),
+
+  new SlashCommandBuilder().setName("emojitip").setDescription("Emoji tip settings for this server")
+    .setDescriptionLocalizations({ ko: "서버 이모지 팁 설정", ja: "サーバーの絵文字チップ設定", "es-ES": "Propinas con emoji del servidor" })
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName("add").setDescription("Map an emoji to an amount")
+      .addStringOption(o => o.setName("emoji").setDescription("Server emoji or unicode emoji").setRequired(true))
+      .addIntegerOption(o => o.setName("amount").setDescription("Amount (sats)").setRequired(true).setMinValue(1).setMaxValue(config.limits.maxWithdraw)))
+    .addSubcommand(s => s.setName("remove").setDescription("Remove an emoji")
+      .addStringOption(o => o.setName("emoji").setDescription("Emoji").setRequired(true)))
+    .addSubcommand(s => s.setName("list").setDescription("Show emoji tips"))
+    .addSubcommand(s => s.setName("disable").setDescription("Disable emoji tips in a channel")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel (default: this one)").setRequired(false)))
+    .addSubcommand(s => s.setName("enable").setDescription("Re-enable emoji tips in a channel")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel (default: this one)").setRequired(false))),
+
+  new SlashCommandBuilder().setName("guild").setDescription("Server settings")
+    .setDescriptionLocalizations({ ko: "서버 설정", ja: "サーバー設定", "es-ES": "Configuración del servidor" })
+    .setDMPermission(false)
+    .addSubcommand(s => s.setName("info").setDescription("Show server settings"))
+    .addSubcommand(s => s.setName("config").setDescription("Fees, limits and fee owner (bot owner)")
+      .addIntegerOption(o => o.setName("fee_internal").setDescription("Internal fee (sats, -1 = default)").setRequired(false).setMinValue(-1))
+      .addIntegerOption(o => o.setName("fee_external").setDescription("External fee (sats, -1 = default)").setRequired(false).setMinValue(-1))
+      .addIntegerOption(o => o.setName("max_withdraw").setDescription("Max withdraw (sats, -1 = default)").setRequired(false).setMinValue(-1))
+      .addIntegerOption(o => o.setName("fee_share").setDescription("Server owner fee share (%)").setRequired(false).setMinValue(0).setMaxValue(100))
+      .addUserOption(o => o.setName("owner").setDescription("Server fee owner").setRequired(false)))
+    .addSubcommand(s => s.setName("feature").setDescription("Enable or disable a feature")
+      .addStringOption(o => o.setName("name").setDescription("Feature").setRequired(true).addChoices(...FEATURES.map(f => ({ name: f, value: f }))))
+      .addBooleanOption(o => o.setName("enabled").setDescription("Enabled").setRequired(true)))
+    .addSubcommand(s => s.setName("channel").setDescription("Announcement channel")
+      .addChannelOption(o => o.setName("channel").setDescription("Channel (empty = none)").setRequired(false)))
+    .addSubcommand(s => s.setName("leaderboard").setDescription("Weekly leaderboard post in the announcement channel")
+      .addBooleanOption(o => o.setName("enabled").setDescription("Enabled").setRequired(true)))
+    .addSubcommand(s => s.setName("claim").setDescription("Move this server's fee share to your balance")),
+
+  new SlashCommandBuilder().setName("leaderboard").setDescription("Top tippers and receivers")
+    .setDescriptionLocalizations({ ko: "팁 순위", ja: "チップランキング", "es-ES": "Clasificación de propinas" })
+    .addStringOption(o => o.setName("board").setDescription("Board").setDescriptionLocalizations({ ko: "순위 종류", ja: "種類", "es-ES": "Tabla" }).setRequired(false)
+      .addChoices({ name: "Tippers", value: "tippers" }, { name: "Receivers", value: "receivers" }, { name: "Emoji tips", value: "emoji" }))
+    .addStringOption(o => o.setName("period").setDescription("Period").setDescriptionLocalizations({ ko: "기간", ja: "期間", "es-ES": "Periodo" }).setRequired(false)
+      .addChoices({ name: "Day", value: "day" }, { name: "Week", value: "week" }, { name: "Month", value: "month" }, { name: "All time", value: "all" })),
+
+  new SlashCommandBuilder().setName("leaderboard_optout").setDescription("Hide yourself from public leaderboards")
+    .setDescriptionLocalizations({ ko: "공개 순위에서 나를 숨기기", ja: "公開ランキングから自分を隠す", "es-ES": "Ocultarte de las clasificaciones públicas" })
+    .addBooleanOption(o => o.setName("hidden").setDescription("Hidden").setDescriptionLocalizations({ ko: "숨김", ja: "非表示", "es-ES": "Oculto" }).setRequired(true)),
+
+  new SlashCommandBuilder().setName("lnaddress").setDescription("Your Lightning Address")
+    .setDescriptionLocalizations({ ko: "내 라이트닝 주소", ja: "ライトニングアドレス", "es-ES": "Tu dirección Lightning" })
+    .addStringOption(o => o.setName("username").setDescription("New username (a-z 0-9 . _ -)").setDescriptionLocalizations({ ko: "새 이름 (a-z 0-9 . _ -)", ja: "新しいユーザー名 (a-z 0-9 . _ -)", "es-ES": "Nuevo usuario (a-z 0-9 . _ -)" }).setRequired(false)),
+
+  new SlashCommandBuilder().setName("voucher").setDescription("Create LNURL-withdraw voucher")
+    .setDescriptionLocalizations({ ko: "LNURL 출금 바우처 만들기", ja: "LNURL出金バウチャー作成", "es-ES": "Crear vale LNURL-withdraw" })
+    .addIntegerOption(o => o.setName("amount").setDescription("Amount per claim (sats)").setDescriptionLocalizations({ ko: "1회당 금액 (sats)", ja: "1回当たりの金額 (sats)", "es-ES": "Cantidad por uso (sats)" }).setRequired(true))
+    .addIntegerOption(o => o.setName("uses").setDescription("Number of claims").setDescriptionLocalizations({ ko: "사용 횟수", ja: "使用回数", "es-ES": "Número de usos" }).setRequired(false).setMinValue(1).setMaxValue(config.limits.voucherMaxUses)),
+
+  new SlashCommandBuilder().setName("voucher_revoke").setDescription("Revoke voucher")
+    .setDescriptionLocalizations({ ko: "바우처 취소", ja: "バウチャー取り消し", "es-ES": "Revocar vale" })
+    .addIntegerOption(o => o.setName("id").setDescription("Voucher #").setRequired(true)),
+
+  new SlashCommandBuilder().setName("history").setDescription("Transaction history")
+    .setDescriptionLocalizations({ ko: "거래 내역", ja: "取引履歴", "es-ES": "Historial de transacciones" })
+    .addStringOption(o => o.setName("type").setDescription("Type").setDescriptionLocalizations({ ko: "종류", ja: "種類", "es-ES": "Tipo" }).setRequired(false)
+      .addChoices(
+        { name: "Deposit", value: "deposit" }, { name: "Withdraw", value: "withdraw" }, { name: "Tip", value: "tip" },
+        { name: "Emoji tip", value: "emoji_tip" }, { name: "Rain", value: "rain" }, { name: "Subscription", value: "subscription" }, { name: "Redpacket", value: "redpacket" }, { name: "Bounty", value: "bounty" }, { name: "Voucher", value: "voucher" }
+      ))
+    .addStringOption(o => o.setName("from").setDescription("From (YYYY-MM-DD)").setDescriptionLocalizations({ ko: "시작일 (YYYY-MM-DD)", ja: "開始日 (YYYY-MM-DD)", "es-ES": "Desde (YYYY-MM-DD)" }).setRequired(false))
+    .addStringOption(o => o.setName("to").setDescription("To (YYYY-MM-DD)").setDescriptionLocalizations({ ko: "종료일 (YYYY-MM-DD)", ja: "終了日 (YYYY-MM-DD)", "es-ES": "Hasta (YYYY-MM-DD)" }).setRequired(false)),
+
+  new SlashCommandBuilder().setName("language").setDescription("Set bot language")
+    .setDescriptionLocalizations({ ko: "봇 언어 설정", ja: "ボットの言語設定", "es-ES": "Configurar idioma del bot" })
+    .addStringOption(o => o.setName("lang").setDescription("Language").setDescriptionLocalizations({ ko: "언어", ja: "言語", "es-ES": "Idioma" }).setRequired(true)
+      .addChoices({ name: "Auto (Discord)", value: "auto" }, ...LANGS.map(l => ({ name: LANG_NAMES[l], value: l }))))
 ];
 
 const registerCommands = async () => {
   const rest = new REST({ version: "10" }).setToken(config.discord.token);
-  await rest.put(Routes.applicationGuildCommands(config.discord.clientId, config.discord.guildId), { body: commands.map(c => c.toJSON()) });
-  console.log("✅ Commands registered");
+  const target = config.discord.guildId
+    ? Routes.applicationGuildCommands(config.discord.clientId, config.discord.guildId)
+    : Routes.applicationCommands(config.discord.clientId);
+  await rest.put(target, { body: commands.map(c => c.toJSON()) });
+  console.log(`✅ Commands registered (${config.discord.guildId ? `guild ${config.discord.guildId}` : "global"})`);
 };
 
 // ============ Emoji Tips ============
+// 서버별 매핑: 커스텀 이모지는 ID, 유니코드는 문자 그대로 (이름 매칭 X → 다른 서버의 같은 이름 이모지 무시)
+const emojiKey = (emoji) => emoji.id || emoji.name;
+
+// <:name:id> / <a:name:id> / 유니코드 이모지 → { key, label }
+const parseEmoji = (input) => {
+  const s = input.trim();
+  const custom = s.match(/^<(a?):(\w{2,32}):(\d{17,20})>$/);
+  if (custom) return { key: custom[3], label: s };
+  if (/^\p{Extended_Pictographic}/u.test(s) && !/\s/.test(s) && s.length <= 16) return { key: s, label: s };
+  return null;
+};
+
+// 처음 보는 서버: defaultEmojiTips를 서버 이모지 ID로 저장 (한 번만, 이후 삭제해도 다시 채우지 않음)
+const seedGuildEmojiTips = (guild) => {
+  const marker = `emoji_seeded:${guild.id}`;
+  if (stmt.getState.get(marker)) return;
+  db.transaction(() => {
+    for (const [name, amount] of Object.entries(config.defaultEmojiTips)) {
+      if (parseEmoji(name)) {
+        stmt.upsertEmojiTip.run(guild.id, name, name, amount);
+        continue;
+      }
+      const emoji = guild.emojis.cache.find(em => em.name === name);
+      if (emoji) stmt.upsertEmojiTip.run(guild.id, emoji.id, emoji.toString(), amount);
+    }
+    stmt.setState.run(marker, String(Date.now()));
+  })();
+};
+
+const emojiTipListEmbed = (guildId, lang) => {
+  const tips = stmt.getEmojiTips.all(guildId);
+  const disabled = stmt.getEmojiTipDisabledChannels.all(guildId);
+  const lines = tips.length ? tips.map(e => `${e.label} → **${e.amount} sats**`) : [tr(lang, "emojitip_none")];
+  if (disabled.length) lines.push("", tr(lang, "emojitip_disabled_list", { channels: disabled.map(c => `<#${c.channel_id}>`).join(" ") }));
+  return new EmbedBuilder().setColor(0xF7931A).setTitle(tr(lang, "emojitip_title")).setDescription(lines.join("\n"));
+};
+
 client.on("messageReactionAdd", async (reaction, user) => {
   try {
     if (user.bot) return;
     if (reaction.partial) await reaction.fetch();
     if (reaction.message.partial) await reaction.message.fetch();
 
-    console.log(`[DEBUG] emoji: name="${reaction.emoji.name}" id=${reaction.emoji.id}`);
-    const amount = config.emojiTips[reaction.emoji.name];
+    const guildId = reaction.message.guildId;
+    if (!guildId) return;
+    const amount = stmt.getEmojiTip.get(guildId, emojiKey(reaction.emoji))?.amount;
     if (!amount) return;
+    if (!featureEnabled(guildId, "emojitip") || stmt.isEmojiTipDisabled.get(guildId, reaction.message.channelId)) return;
+    if (isFrozen(user.id) || isFrozen(reaction.message.author.id)) return;
 
+    const lang = userLang(user.id, reaction.message.guild?.preferredLocale);
     const emojiCheck = emojiTipLimiter.check(user.id);
     if (!emojiCheck.allowed) {
       try {
-        await user.send(`⏰ 이모지 팁 제한: ${emojiCheck.resetIn}초 후 다시 시도하세요.`);
+        await user.send(tr(lang, "emoji_rate_limited", { s: emojiCheck.resetIn }));
+      } catch {}
+      return;
+    }
+
+    const author = reaction.message.author;
+    if (author.id === user.id || author.bot) return;
+
+    if (balance.get(user.id) < amount) {
+      try {
+        await reaction.users.remove(user.id);
+        await user.send(tr(lang, "insufficient", { bal: balance.get(user.id), need: amount }));
       } catch {}
       return;
     }
 
-    const author = reaction.message.author;
-    if (author.id === user.id || author.bot) return;
+    balance.transfer(user.id, author.id, amount, "emoji_tip", { emoji: reaction.emoji.name, guild: guildId });
+
+    await reaction.message.channel.send(tr(lang, "emoji_tip_public", { from: user.id, to: author.id, amount }));
+
+    try {
+      await author.send(tr(userLang(author.id, reaction.message.guild?.preferredLocale), "emoji_tip_received", { from: user.id, amount, channel: reaction.message.channelId, bal: balance.get(author.id) }));
+    } catch {}
+
+    console.log(`⚡ ${user.id} → ${author.id}: ${amount} sats`);
+  } catch (e) { console.error("Reaction error:", e); }
+});
+
+// ============ Rain ============
+// 채널별 최근 채팅: channelId → Map(userId → 마지막 메시지 ts)
+const channelActivity = new Map();
+
+const activity = {
+  touch: (channelId, uid, ts) => {
+    if (!channelActivity.has(channelId)) channelActivity.set(channelId, new Map());
+    const users = channelActivity.get(channelId);
+    const prev = users.get(uid);
+    users.set(uid, ts);
+    // DB 기록은 유저당 1분에 한 번
+    if (config.rain.persistWindow && (!prev || ts - prev >= 60000)) stmt.upsertActivity.run(channelId, uid, ts);
+  },
+  // 최근 채팅 순
+  recent: (channelId, since) => [...(channelActivity.get(channelId) || [])]
+    .filter(([, ts]) => ts >= since).sort((a, b) => b[1] - a[1]).map(([uid]) => uid),
+  prune: () => {
+    const cutoff = Date.now() - config.rain.maxWindow * 60000;
+    for (const [channelId, users] of channelActivity) {
+      for (const [uid, ts] of users) if (ts < cutoff) users.delete(uid);
+      if (!users.size) channelActivity.delete(channelId);
+    }
+    if (config.rain.persistWindow) stmt.pruneActivity.run(Date.now() - config.rain.persistWindow);
+  },
+  restore: () => {
+    if (!config.rain.persistWindow) return;
+    const since = Date.now() - Math.min(config.rain.persistWindow, config.rain.maxWindow * 60000);
+    const rows = stmt.getRecentActivity.all(since);
+    for (const r of rows) {
+      if (!channelActivity.has(r.channel_id)) channelActivity.set(r.channel_id, new Map());
+      channelActivity.get(r.channel_id).set(r.user_id, r.ts);
+    }
+    if (rows.length) console.log(`✅ Restored ${rows.length} channel activity entries`);
+  }
+};
+
+client.on("messageCreate", (message) => {
+  if (!message.guildId || message.author.bot || message.webhookId) return;
+  activity.touch(message.channelId, message.author.id, message.createdTimestamp);
+});
+
+// 봇, 보낸 사람, 동결 계정, 새 계정 (minAccountAge) 제외
+const rainRecipients = async (i, minutes, maxUsers, role) => {
+  const minCreated = Date.now() - config.rain.minAccountAge;
+  const users = [];
+  for (const id of activity.recent(i.channelId, Date.now() - minutes * 60000)) {
+    if (users.length >= maxUsers) break;
+    if (id === i.user.id || isFrozen(id)) continue;
+    const member = await i.guild.members.fetch(id).catch(() => null);
+    if (!member || member.user.bot || member.user.createdTimestamp > minCreated) continue;
+    if (role && !member.roles.cache.has(role.id)) continue;
+    users.push(member.user);
+  }
+  return users;
+};
+
+// ============ Group Tips ============
+// 역할 멘션 / 음성 채널 → 현재 멤버로 펼친 뒤 확인 버튼을 눌러야 송금
+const pendingTips = new Map(); // key → { uid, users, amt, msg, guild, channel }
+const memberCacheLoaded = new Set(); // guild id → 전체 멤버 1회 로드 (이후 GuildMembers 이벤트로 갱신)
+
+// 멘션/역할/음성 공통 수신자 필터: 본인, 봇, 동결 계정 제외
+const tipTargetOk = (uid, u) => u && !u.bot && u.id !== uid && !isFrozen(u.id);
+
+const resolveTipUsers = async (uid, ids) => {
+  const users = [];
+  for (const id of ids) {
+    const u = await client.users.fetch(id).catch(() => null);
+    if (tipTargetOk(uid, u)) users.push(u);
+  }
+  return users;
+};
+
+const tipRecipients = async (i, userIds, roleIds, voice) => {
+  const ids = new Set(userIds);
+  if (roleIds.length) {
+    // role.members는 캐시 기준 → 서버당 한 번만 전체 로드
+    if (!memberCacheLoaded.has(i.guildId)) {
+      await i.guild.members.fetch();
+      memberCacheLoaded.add(i.guildId);
+    }
+    for (const id of roleIds) {
+      const role = i.guild.roles.cache.get(id);
+      role?.members.forEach(m => ids.add(m.id));
+    }
+  }
+  voice?.members?.forEach(m => ids.add(m.id));
+  return resolveTipUsers(i.user.id, ids);
+};
+
+const tipConfirmRow = (key, lang) => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`tip_confirm:${key}`).setLabel(tr(lang, "tip_confirm_btn")).setStyle(ButtonStyle.Success),
+  new ButtonBuilder().setCustomId(`tip_cancel:${key}`).setLabel(tr(lang, "tip_cancel_btn")).setStyle(ButtonStyle.Secondary)
+);
 
-    if (balance.get(user.id) < amount) {
-      try {
-        await reaction.users.remove(user.id);
-        await user.send(`❌ Balance: ${balance.get(user.id)} sats (Need: ${amount})`);
-      } catch {}
-      return;
-    }
+// 송금 + DM, 공개 메시지 내용 반환
+const deliverTip = async (uid, lang, users, amt, msg, guildId, channelId) => {
+  balance.multiTransfer(uid, users.map(u => u.id), amt, "tip", { guild: guildId });
+  for (const u of users) {
+    const ulang = userLang(u.id);
+    try { await u.send(tr(ulang, "tip_received", { from: uid, amount: amt, fiat: fiatNote(u.id, ulang, amt), channel: channelId, bal: balance.get(u.id) })); } catch {}
+  }
+  const total = amt * users.length;
+  const mentions = users.map(u => `<@${u.id}>`).join(", ");
+  let reply = tr(lang, "tip_public", { from: uid, to: mentions, amount: amt, total, fiat: fiatNote(uid, lang, total) });
+  if (msg) reply += "\n" + tr(lang, "tip_message", { msg });
+  return reply;
+};
 
-    balance.transfer(user.id, author.id, amount);
-    txLog("emoji_tip", { from: user.id, to: author.id, amount, emoji: reaction.emoji.name });
+// ============ Subscriptions ============
+// 다음 결제일: 월 단위는 시작일 기준 말일 보정 (1/31 → 2/28 → 3/31)
+const nextRun = (ts, interval, day = new Date(ts).getUTCDate()) => {
+  if (interval === "week") return ts + 7 * 24 * 60 * 60 * 1000;
+  const d = new Date(ts);
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d.getTime();
+};
 
-    await reaction.message.channel.send(`⚡ <@${user.id}> ➡️ <@${author.id}> **${amount} sats** tip!`);
+// 다음 결제일은 항상 생성일 기준 (재시도/재개로 결제가 밀려도 결제일 유지)
+const nextScheduled = (s, after = Date.now()) => {
+  const day = new Date(s.created_at).getUTCDate();
+  let next = s.created_at;
+  while (next <= after) next = nextRun(next, s.interval, day);
+  return next;
+};
 
-    try {
-      await author.send(`⚡ <@${user.id}> ➡️ You **${amount} sats**\n📍 <#${reaction.message.channelId}>\n💰 Balance: **${balance.get(author.id)} sats**`);
-    } catch {}
+const subscription = {
+  // 첫 결제는 바로
+  create: db.transaction((payerId, payeeId, amount, interval, guildId) => {
+    const now = Date.now();
+    const { lastInsertRowid: id } = stmt.insertSubscription.run(payerId, payeeId, amount, interval, guildId, nextRun(now, interval), now);
+    balance.transfer(payerId, payeeId, amount, "subscription", { guild: guildId, ref: `subscription:${id}` });
+    return stmt.getSubscription.get(id);
+  }),
+  pay: db.transaction((s) => {
+    balance.transfer(s.payer_id, s.payee_id, s.amount, "subscription", { guild: s.guild_id, ref: `subscription:${s.id}` });
+    // 밀린 회차는 건너뜀 (한 번만 결제)
+    stmt.setSubscriptionRun.run(nextScheduled(s), 0, s.id);
+  }),
+  cancel: (id) => stmt.setSubscriptionStatus.run("cancelled", Date.now(), id),
+  // 밀린 회차를 바로 결제 (failures 초기화), 이후는 원래 결제일
+  resume: (id) => stmt.setSubscriptionStatus.run("active", Date.now(), id)
+};
 
-    console.log(`⚡ ${user.id} → ${author.id}: ${amount} sats`);
-  } catch (e) { console.error("Reaction error:", e); }
-});
+const notifyUser = async (uid, key, vars) => {
+  try {
+    const user = await client.users.fetch(uid);
+    await user.send(tr(userLang(uid), key, vars));
+  } catch {}
+};
+
+// 잔액 부족: 1회 재시도 (subscriptionRetry 후), 재실패 시 일시정지 + DM
+const runSubscription = async (s) => {
+  // 동결 중인 회차는 건너뜀 (매 틱 재선택/해제 후 몰아서 결제 방지)
+  if (isFrozen(s.payer_id) || isFrozen(s.payee_id)) return stmt.setSubscriptionRun.run(nextScheduled(s), s.failures, s.id);
+  if (balance.get(s.payer_id) >= s.amount) {
+    subscription.pay(s);
+    console.log(`🔁 Subscription #${s.id}: ${s.payer_id} → ${s.payee_id} ${s.amount} sats`);
+    await notifyUser(s.payee_id, "subscription_received", { id: s.id, from: s.payer_id, amount: s.amount, bal: balance.get(s.payee_id) });
+    return;
+  }
+  const vars = { id: s.id, to: s.payee_id, amount: s.amount, bal: balance.get(s.payer_id) };
+  if (s.failures === 0) {
+    stmt.setSubscriptionRun.run(Date.now() + config.limits.subscriptionRetry, 1, s.id);
+    await notifyUser(s.payer_id, "subscription_low_balance", { ...vars, hours: Math.round(config.limits.subscriptionRetry / 3600000) });
+  } else {
+    stmt.setSubscriptionStatus.run("paused", s.next_run, s.id);
+    await notifyUser(s.payer_id, "subscription_paused", vars);
+  }
+};
+
+let runningSubscriptions = false;
+const runSubscriptions = async () => {
+  if (runningSubscriptions) return;
+  runningSubscriptions = true;
+  try {
+    for (const s of stmt.getDueSubscriptions.all(Date.now())) {
+      await runSubscription(s).catch(e => console.error(`Subscription #${s.id}:`, e.message));
+    }
+  } finally { runningSubscriptions = false; }
+};
+
+const subscriptionLine = (uid, s, lang) => {
+  const outgoing = s.payer_id === uid;
+  const status = s.status === "paused" ? " ⏸️" : "";
+  return tr(lang, outgoing ? "subscription_line_out" : "subscription_line_in", {
+    id: s.id, user: outgoing ? s.payee_id : s.payer_id, amount: s.amount,
+    interval: tr(lang, `interval_${s.interval}`), next: Math.floor(s.next_run / 1000)
+  }) + status;
+};
 
 // ============ Interactions ============
 client.on("interactionCreate", async (i) => {
+  const lang = userLang(i.user.id, i.locale);
+  const t = (key, vars) => tr(lang, key, vars);
   try {
+    stmt.setUserLocale.run(i.user.id, i.locale);
+
+    const feature = featureOf(i.commandName || i.customId || "");
+    if (feature && !featureEnabled(i.guildId, feature)) return i.reply({ content: t("feature_disabled"), ephemeral: true });
+
+    // 동결 계정: 송금/출금 계열 차단 (출금 처리 시 withdrawGuard에서 한 번 더 확인)
+    if (/^(tip|rain|subscribe|withdraw|redpacket|bounty|raffle|voucher)$|^withdraw_|^redpacket_claim:|^bounty_fund|^paywall_unlock:|^raffle_buy:|^tip_confirm:/.test(i.commandName || i.customId || "") && isFrozen(i.user.id)) {
+      return i.reply({ content: t("account_frozen"), ephemeral: true });
+    }
+
     // Buttons
     if (i.isButton()) {
+      // 만료된 인보이스 → 같은 금액으로 새 인보이스
+      if (i.customId.startsWith("deposit_new:")) {
+        const depositCheck = depositLimiter.check(i.user.id);
+        if (!depositCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: depositCheck.resetIn }), ephemeral: true });
+        }
+        const amt = parseInt(i.customId.split(":")[1]);
+        await i.deferReply({ ephemeral: true });
+        try {
+          await createDepositInvoice(i, lang, amt);
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
+        return;
+      }
+
       if (i.customId === "withdraw_lightning_address") {
-        const modal = new ModalBuilder().setCustomId("withdraw_addr").setTitle("⚡ Lightning Address");
+        const modal = new ModalBuilder().setCustomId("withdraw_addr").setTitle(t("modal_addr_title"));
         modal.addComponents(
-          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("addr").setLabel("Address").setStyle(TextInputStyle.Short).setPlaceholder("user@wallet.com").setRequired(true)),
-          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("amt").setLabel("Amount (sats)").setStyle(TextInputStyle.Short).setRequired(true))
+          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("addr").setLabel(t("modal_addr_label")).setStyle(TextInputStyle.Short).setPlaceholder("user@wallet.com").setRequired(true)),
+          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("amt").setLabel(t("modal_amount_label")).setStyle(TextInputStyle.Short).setRequired(true))
         );
         return i.showModal(modal);
       }
 
       if (i.customId === "withdraw_invoice") {
-        const modal = new ModalBuilder().setCustomId("withdraw_inv").setTitle("🧾 Invoice");
+        const modal = new ModalBuilder().setCustomId("withdraw_inv").setTitle(t("modal_inv_title"));
         modal.addComponents(
-          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("inv").setLabel("Invoice / LNURL").setStyle(TextInputStyle.Paragraph).setRequired(true)),
-          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("amt").setLabel("Amount (zero-amt only)").setStyle(TextInputStyle.Short).setRequired(false))
+          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("inv").setLabel(t("modal_inv_label")).setStyle(TextInputStyle.Paragraph).setRequired(true)),
+          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("amt").setLabel(t("modal_inv_amount_label")).setStyle(TextInputStyle.Short).setRequired(false))
         );
         return i.showModal(modal);
       }
+
+      if (i.customId.startsWith("redpacket_claim:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        const result = redpacket.claim(id, i.user.id);
+        if (result.error) return i.reply({ content: t(`redpacket_${result.error}`), ephemeral: true });
+
+        const { packet: p, share, bal } = result;
+        if (p.status !== "open") {
+          clearTimeout(redpacketTimers.get(p.id));
+          redpacketTimers.delete(p.id);
+        }
+
+        await i.update({ embeds: [redpacketEmbed(p)], components: [redpacketRow(p)] });
+        await i.followUp({ content: t("redpacket_claim_ok", { amount: share, bal }), ephemeral: true });
+        return;
+      }
+
+      if (i.customId.startsWith("bounty_fund:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        const modal = new ModalBuilder().setCustomId(`bounty_fund_modal:${id}`).setTitle(t("bounty_fund_title", { id }));
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId("amt").setLabel(t("modal_amount_label")).setStyle(TextInputStyle.Short).setRequired(true))
+        );
+        return i.showModal(modal);
+      }
+
+      if (i.customId.startsWith("paywall_unlock:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        const p = stmt.getPaywall.get(id);
+        if (!p) return i.reply({ content: t("paywall_not_found"), ephemeral: true });
+        const owned = p.creator_id === i.user.id || stmt.getPaywallPurchase.get(id, i.user.id);
+        if (!owned && balance.get(i.user.id) < p.price) return i.reply({ content: t("insufficient", { bal: balance.get(i.user.id), need: p.price }), ephemeral: true });
+
+        const result = paywall.buy(id, i.user.id);
+        if (result.error) return i.reply({ content: t(`paywall_${result.error}`), ephemeral: true });
+        await i.reply(paywallContent(result.paywall, lang));
+        if (!result.owned) {
+          await i.followUp({ content: t("paywall_bought", { amount: p.price, bal: result.bal }), ephemeral: true });
+          try { await i.message.edit({ embeds: [paywallEmbed(result.paywall)], components: [paywallRow(result.paywall)] }); } catch {}
+          console.log(`🔓 Paywall #${id}: ${i.user.id} → ${p.creator_id} ${p.price} sats`);
+        }
+        return;
+      }
+
+      if (i.customId.startsWith("tip_confirm:") || i.customId.startsWith("tip_cancel:")) {
+        const key = i.customId.split(":")[1];
+        const p = pendingTips.get(key);
+        if (!p || p.uid !== i.user.id) return i.update({ content: t("tip_group_expired"), components: [] });
+        pendingTips.delete(key);
+        if (i.customId.startsWith("tip_cancel:")) return i.update({ content: t("tip_group_cancelled"), components: [] });
+
+        // 확인 대기 중 동결된 계정 제외
+        const users = p.users.filter(u => tipTargetOk(p.uid, u));
+        if (!users.length) return i.update({ content: t("tip_no_valid_users"), components: [] });
+        const total = p.amt * users.length;
+        if (balance.get(p.uid) < total) return i.update({ content: t("tip_insufficient", { bal: balance.get(p.uid), need: total }), components: [] });
+        const reply = await deliverTip(p.uid, lang, users, p.amt, p.msg, p.guild, p.channel);
+        await i.update({ content: t("tip_group_sent", { n: users.length, total }), components: [] });
+        await i.followUp({ content: reply });
+        return;
+      }
+
+      if (i.customId.startsWith("raffle_buy:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        const r = stmt.getRaffle.get(id);
+        if (r && r.ticket_price > 0 && balance.get(i.user.id) < r.ticket_price) {
+          return i.reply({ content: t("insufficient", { bal: balance.get(i.user.id), need: r.ticket_price }), ephemeral: true });
+        }
+        const result = raffle.buy(id, i.user.id);
+        if (result.error) return i.reply({ content: t(`raffle_${result.error}`), ephemeral: true });
+        await i.update({ embeds: [raffleEmbed(result.raffle)], components: [raffleRow(result.raffle)] });
+        await i.followUp({ content: t("raffle_bought", { id, mine: result.mine, bal: result.bal }), ephemeral: true });
+        return;
+      }
+
+      if (i.customId.startsWith("voucher_revoke:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        if (stmt.getVoucher.get(id)?.creator_id !== i.user.id) return i.reply({ content: t("voucher_not_found"), ephemeral: true });
+        const result = await closeVoucher(id, "revoked");
+        if (!result) return i.reply({ content: t("voucher_closed"), ephemeral: true });
+        return i.update({ content: t("voucher_revoked", { id, amount: result.refund, bal: result.bal }), embeds: [], files: [], attachments: [], components: [] });
+      }
+
+      if (i.customId.startsWith("history:")) {
+        const [, page, ...f] = i.customId.split(":");
+        return i.update(historyView(i.user.id, lang, decodeHistoryFilter(f), parseInt(page)));
+      }
+
+      // 다른 유저가 누르면 본인 순위로 새 ephemeral 메시지
+      if (i.customId.startsWith("leaderboard:")) {
+        const [, page, board, window, owner] = i.customId.split(":");
+        if (owner !== i.user.id) return i.reply({ ...leaderboardView(i.user.id, lang, i.guildId, board, window, parseInt(page)), ephemeral: true });
+        return i.update(leaderboardView(i.user.id, lang, i.guildId, board, window, parseInt(page)));
+      }
+
+      if (i.customId.startsWith("history_export:")) {
+        const historyCheck = historyLimiter.check(i.user.id);
+        if (!historyCheck.allowed) return i.reply({ content: t("rate_limited", { s: historyCheck.resetIn }), ephemeral: true });
+        const [, format, ...f] = i.customId.split(":");
+        const { count, file } = exportHistory(i.user.id, decodeHistoryFilter(f), format);
+        return i.reply({ content: t("history_exported", { count }), files: [file], ephemeral: true });
+      }
       return;
     }
 
     // Modals
     if (i.isModalSubmit()) {
+      if (i.customId.startsWith("bounty_fund_modal:")) {
+        const id = parseInt(i.customId.split(":")[1]);
+        const amt = parseInt(i.fields.getTextInputValue("amt"));
+        if (!amt || amt <= 0) return i.reply({ content: t("invalid_amount"), ephemeral: true });
+        if (balance.get(i.user.id) < amt) return i.reply({ content: t("insufficient", { bal: balance.get(i.user.id), need: amt }), ephemeral: true });
+        const result = bounty.fund(id, i.user.id, amt);
+        if (result.error) return i.reply({ content: t("bounty_closed"), ephemeral: true });
+        await i.reply({ content: t("bounty_funded", { id, amount: amt, bal: result.bal }), ephemeral: true });
+        await refreshBountyMessage(result.bounty);
+        return;
+      }
+
       if (i.customId === "withdraw_addr") {
         await i.deferReply({ ephemeral: true });
         const addr = i.fields.getTextInputValue("addr").trim();
         const amt = parseInt(i.fields.getTextInputValue("amt"));
 
-        if (!amt || amt <= 0) return i.editReply("❌ Invalid amount");
-        if (amt > config.limits.maxWithdraw) return i.editReply(`❌ Max: ${config.limits.maxWithdraw} sats`);
+        if (!amt || amt <= 0) return i.editReply(t("invalid_amount"));
+        if (amt > guildMaxWithdraw(i.guildId)) return i.editReply(t("max_withdraw", { max: guildMaxWithdraw(i.guildId) }));
 
         try {
           const inv = await getLnurlInvoice(addr, amt);
-          const blinkFee = await blink.probeFee(inv);
-          const fee = blinkFee === 0 ? config.fees.internal : config.fees.external;
+          const routeFee = await lightning.probeFee(inv);
+          const fees = guildFees(i.guildId);
+          const fee = routeFee === 0 ? fees.internal : fees.external;
           const total = amt + fee;
 
-          if (balance.get(i.user.id) < total) return i.editReply(`❌ Balance: ${balance.get(i.user.id)} (Need: ${total})`);
+          if (balance.get(i.user.id) < total) return i.editReply(t("insufficient", { bal: balance.get(i.user.id), need: total }));
+          if (withdrawGuard.withdrawable(i.user.id) < total) return i.editReply(t("withdraw_held", { held: withdrawGuard.held(i.user.id), avail: withdrawGuard.withdrawable(i.user.id) }));
+          const blocked = withdrawGuard.check(i.user.id, amt);
+          if (blocked) return i.editReply(t(blocked.key, blocked.vars));
+          if (payments.inFlight(inv)) return i.editReply(t("invoice_already_used"));
 
-          balance.sub(i.user.id, total);
-          if (fee > 0) owner.add(fee);
-          txLog("withdraw", { uid: i.user.id, amount: amt, fee, dest: addr, status: "pending" });
+          const postings = withdrawPostings(i.user.id, amt, fee, i.guildId);
+          const txId = ledger.post("withdraw", postings, { uid: i.user.id, amount: amt, fee, dest: addr, status: "pending", guild: i.guildId });
+          payments.record(txId, i.user.id, "withdraw", inv, amt, fee);
 
           try {
-            await blink.pay(inv);
-            txLog("withdraw", { uid: i.user.id, amount: amt, dest: addr, status: "success" });
+            const sent = await lightning.pay(inv);
+            payments.setStatus(txId, sent === "PENDING" ? "verified_PENDING" : "success");
           } catch (payErr) {
             console.error(`⚠️ Withdraw error (${i.user.id}): ${amt} sats → ${addr} - ${payErr.message}`);
-            const status = await blink.verifyOutgoingPayment(inv);
+            const status = await lightning.verifyOutgoingPayment(inv);
             if (status === "NOT_FOUND") {
-              balance.add(i.user.id, total);
-              if (fee > 0) owner.add(-fee);
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: addr, status: "refunded", reason: payErr.message });
+              ledger.post("withdraw_refund", reversePostings(postings), { uid: i.user.id, amount: amt, fee, dest: addr, ref: `tx:${txId}`, reason: payErr.message, guild: i.guildId });
+              payments.setStatus(txId, "refunded", payErr.message);
               throw payErr;
             } else if (status === "SUCCESS" || status === "PENDING") {
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: addr, status: "verified_" + status, reason: payErr.message });
+              payments.setStatus(txId, "verified_" + status, payErr.message);
               console.log(`✅ Verified: payment ${status} despite error (${i.user.id})`);
-              return i.editReply(`⚠️ **에러 발생했지만 결제 확인됨**\n📤 ${amt} sats ➡️ \`${addr}\`\n💰 Balance: **${balance.get(i.user.id)} sats**`);
+              return i.editReply(t("withdraw_verified", { amount: amt, dest: ` ➡️ \`${addr}\``, bal: balance.get(i.user.id) }));
             } else {
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: addr, status: "unverified", reason: payErr.message });
+              payments.setStatus(txId, "unverified", payErr.message);
               console.error(`⚠️ Cannot verify payment (${i.user.id}) - keeping deduction`);
-              return i.editReply(`⚠️ **에러 발생 - 결제 확인 불가**\n잔액이 차감되었으며, 미처리시 관리자에게 문의하세요.\n💰 Balance: **${balance.get(i.user.id)} sats**`);
+              return i.editReply(t("withdraw_unverified", { bal: balance.get(i.user.id) }));
             }
           }
 
-          await i.editReply(`✅ **Sent!**\n📤 ${amt} sats ➡️ \`${addr}\`\n💸 Fee: ${fee || "Free"}\n💰 Balance: **${balance.get(i.user.id)} sats**`);
-        } catch (e) { await i.editReply(`❌ ${e.message}`); }
+          await i.editReply(t("withdraw_sent", { amount: amt, fiat: fiatNote(i.user.id, lang, amt), dest: ` ➡️ \`${addr}\``, fee: fee || t("fee_free"), bal: balance.get(i.user.id) }));
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
         return;
       }
 
       if (i.customId === "withdraw_inv") {
         await i.deferReply({ ephemeral: true });
-        const inv = i.fields.getTextInputValue("inv").trim();
         const amtInput = i.fields.getTextInputValue("amt").trim();
         const amtOpt = amtInput ? parseInt(amtInput) : null;
 
-        const invAmt = decodeInvoiceAmount(inv);
-        const amt = amtOpt || invAmt;
+        try {
+          const req = parsePaymentRequest(i.fields.getTextInputValue("inv"));
+          const invAmt = req.type === "bolt11" ? decodeInvoiceAmount(validateInvoice(req.invoice)) : null;
+          if (invAmt && amtOpt && amtOpt !== invAmt) return i.editReply(t("invoice_amount_mismatch", { amount: invAmt }));
+          const amt = invAmt || amtOpt;
 
-        if (!amt || amt <= 0) return i.editReply("❌ Invalid amount");
-        if (amt > config.limits.maxWithdraw) return i.editReply(`❌ Max: ${config.limits.maxWithdraw} sats`);
+          if (!amt && req.type === "lnurl") return i.editReply(t("lnurl_amount_required"));
+          if (!amt || amt <= 0) return i.editReply(t("invalid_amount"));
+          if (amt > guildMaxWithdraw(i.guildId)) return i.editReply(t("max_withdraw", { max: guildMaxWithdraw(i.guildId) }));
 
-        try {
-          const blinkFee = await blink.probeFee(inv);
-          const fee = blinkFee === 0 ? config.fees.internal : config.fees.external;
+          const inv = req.type === "lnurl" ? await fetchLnurlPayInvoice(req.url, amt) : req.invoice;
+          const dest = req.type === "lnurl" ? "lnurl" : "invoice";
+          const routeFee = await lightning.probeFee(inv);
+          const fees = guildFees(i.guildId);
+          const fee = routeFee === 0 ? fees.internal : fees.external;
           const total = amt + fee;
 
-          if (balance.get(i.user.id) < total) return i.editReply(`❌ Balance: ${balance.get(i.user.id)} (Need: ${total})`);
+          if (balance.get(i.user.id) < total) return i.editReply(t("insufficient", { bal: balance.get(i.user.id), need: total }));
+          if (withdrawGuard.withdrawable(i.user.id) < total) return i.editReply(t("withdraw_held", { held: withdrawGuard.held(i.user.id), avail: withdrawGuard.withdrawable(i.user.id) }));
+          const blocked = withdrawGuard.check(i.user.id, amt);
+          if (blocked) return i.editReply(t(blocked.key, blocked.vars));
+          if (payments.inFlight(inv)) return i.editReply(t("invoice_already_used"));
 
-          balance.sub(i.user.id, total);
-          if (fee > 0) owner.add(fee);
-          txLog("withdraw", { uid: i.user.id, amount: amt, fee, dest: "invoice", status: "pending" });
+          const postings = withdrawPostings(i.user.id, amt, fee, i.guildId);
+          const txId = ledger.post("withdraw", postings, { uid: i.user.id, amount: amt, fee, dest, status: "pending", guild: i.guildId });
+          payments.record(txId, i.user.id, "withdraw", inv, amt, fee);
 
           try {
-            if (amtOpt && !invAmt) {
-              await blink.payZeroAmount(inv, amt);
-            } else {
-              await blink.pay(inv);
-            }
-            txLog("withdraw", { uid: i.user.id, amount: amt, dest: "invoice", status: "success" });
+            const sent = req.type === "bolt11" && !invAmt ? await lightning.payZeroAmount(inv, amt) : await lightning.pay(inv);
+            payments.setStatus(txId, sent === "PENDING" ? "verified_PENDING" : "success");
           } catch (payErr) {
             console.error(`⚠️ Withdraw error (${i.user.id}): ${amt} sats invoice - ${payErr.message}`);
-            const status = await blink.verifyOutgoingPayment(inv);
+            const status = await lightning.verifyOutgoingPayment(inv);
             if (status === "NOT_FOUND") {
-              balance.add(i.user.id, total);
-              if (fee > 0) owner.add(-fee);
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: "invoice", status: "refunded", reason: payErr.message });
+              ledger.post("withdraw_refund", reversePostings(postings), { uid: i.user.id, amount: amt, fee, dest, ref: `tx:${txId}`, reason: payErr.message, guild: i.guildId });
+              payments.setStatus(txId, "refunded", payErr.message);
               throw payErr;
             } else if (status === "SUCCESS" || status === "PENDING") {
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: "invoice", status: "verified_" + status, reason: payErr.message });
+              payments.setStatus(txId, "verified_" + status, payErr.message);
               console.log(`✅ Verified: payment ${status} despite error (${i.user.id})`);
-              return i.editReply(`⚠️ **에러 발생했지만 결제 확인됨**\n📤 ${amt} sats\n💰 Balance: **${balance.get(i.user.id)} sats**`);
+              return i.editReply(t("withdraw_verified", { amount: amt, dest: "", bal: balance.get(i.user.id) }));
             } else {
-              txLog("withdraw", { uid: i.user.id, amount: amt, dest: "invoice", status: "unverified", reason: payErr.message });
+              payments.setStatus(txId, "unverified", payErr.message);
               console.error(`⚠️ Cannot verify payment (${i.user.id}) - keeping deduction`);
-              return i.editReply(`⚠️ **에러 발생 - 결제 확인 불가**\n잔액이 차감되었으며, 미처리시 관리자에게 문의하세요.\n💰 Balance: **${balance.get(i.user.id)} sats**`);
+              return i.editReply(t("withdraw_unverified", { bal: balance.get(i.user.id) }));
             }
           }
 
-          await i.editReply(`✅ **Sent!**\n📤 ${amt} sats\n💸 Fee: ${fee || "Free"}\n💰 Balance: **${balance.get(i.user.id)} sats**`);
-        } catch (e) { await i.editReply(`❌ ${e.message}`); }
+          await i.editReply(t("withdraw_sent", { amount: amt, fiat: fiatNote(i.user.id, lang, amt), dest: "", fee: fee || t("fee_free"), bal: balance.get(i.user.id) }));
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
         return;
       }
       return;
@@ -648,128 +5095,700 @@ client.on("interactionCreate", async (i) => {
     const uid = i.user.id;
 
     switch (i.commandName) {
-      case "balance":
-        return i.reply({ content: `💰 Balance: **${balance.get(uid)} sats**`, ephemeral: true });
+      case "balance": {
+        const bal = balance.get(uid);
+        return i.reply({ content: t("balance", { bal, fiat: fiatNote(uid, lang, bal) }), ephemeral: true });
+      }
 
       case "deposit": {
         const depositCheck = depositLimiter.check(uid);
         if (!depositCheck.allowed) {
-          return i.reply({ content: `⏰ 너무 많은 요청입니다. ${depositCheck.resetIn}초 후 다시 시도하세요.`, ephemeral: true });
+          return i.reply({ content: t("rate_limited", { s: depositCheck.resetIn }), ephemeral: true });
         }
 
-        const amt = i.options.getInteger("amount");
-        if (amt <= 0) return i.reply({ content: "❌ Amount > 0", ephemeral: true });
+        const fiat = i.options.getNumber("fiat");
+        let amt = i.options.getInteger("amount");
+        if ((amt === null) === (fiat === null)) return i.reply({ content: t("deposit_amount_or_fiat"), ephemeral: true });
+        if (amt !== null && amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
 
         await i.deferReply({ ephemeral: true });
         try {
-          const pr = await blink.createInvoice(amt, `CitadelPay-${uid}`);
-          const qr = await qrcode.toBuffer(pr);
-          const now = Date.now();
-          stmt.insertPendingInvoice.run(uid, pr, amt, now);
-          watchInvoice(pr, uid, amt, now).catch(console.error);
-
-          await i.editReply({ content: `🧾 **Deposit**\n💰 **${amt} sats**\n📱 Scan or copy:`, files: [new AttachmentBuilder(qr, { name: "qr.png" })] });
-          await i.followUp({ content: pr, ephemeral: true });
-        } catch (e) { await i.editReply(`❌ ${e.message}`); }
+          // 법정화폐 금액 → 인보이스 생성 시점 시세로 sats 변환
+          if (fiat !== null) {
+            const currency = userCurrency(uid) || "USD";
+            let p;
+            try { p = await price.get(currency); } catch { return i.editReply(t("price_unavailable")); }
+            amt = fiatToSats(fiat, p);
+            if (amt <= 0) return i.editReply(t("amount_positive"));
+          }
+          await createDepositInvoice(i, lang, amt);
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
         return;
       }
 
       case "tip": {
         const tipCheck = tipLimiter.check(uid);
         if (!tipCheck.allowed) {
-          return i.reply({ content: `⏰ 너무 많은 요청입니다. ${tipCheck.resetIn}초 후 다시 시도하세요.`, ephemeral: true });
+          return i.reply({ content: t("rate_limited", { s: tipCheck.resetIn }), ephemeral: true });
         }
 
-        const usersInput = i.options.getString("users");
+        const usersInput = i.options.getString("users") || "";
         const amt = i.options.getInteger("amount");
         const msg = i.options.getString("message");
+        const voice = i.options.getChannel("voice");
 
-        if (amt <= 0) return i.reply({ content: "❌ Amount > 0", ephemeral: true });
+        if (amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
 
         const userIds = [...new Set(usersInput.match(/<@!?(\d+)>/g)?.map(m => m.replace(/<@!?|>/g, "")) || [])];
-        if (!userIds.length) return i.reply({ content: "❌ @멘션으로 유저를 지정하세요", ephemeral: true });
+        const roleIds = !i.guild ? [] : [...new Set(usersInput.match(/<@&(\d+)>/g)?.map(m => m.replace(/<@&|>/g, "")) || [])];
+        if (!userIds.length && !roleIds.length && !voice) return i.reply({ content: t("tip_no_mentions"), ephemeral: true });
+
+        // 역할/음성 채널 → 인원과 총액 확인 후 송금
+        if (roleIds.length || voice) {
+          await i.deferReply({ ephemeral: true });
+          const users = await tipRecipients(i, userIds, roleIds, voice);
+          if (!users.length) return i.editReply(t("tip_no_valid_users"));
+          if (users.length > config.limits.tipGroupMax) return i.editReply(t("tip_group_too_many", { n: users.length, max: config.limits.tipGroupMax }));
+          const total = amt * users.length;
+          if (balance.get(uid) < total) return i.editReply(t("tip_insufficient", { bal: balance.get(uid), need: total }));
+
+          const key = crypto.randomBytes(8).toString("hex");
+          pendingTips.set(key, { uid, users, amt, msg, guild: i.guildId, channel: i.channelId });
+          setTimeout(() => pendingTips.delete(key), config.limits.tipConfirmTtl);
+          return i.editReply({
+            content: t("tip_group_confirm", { n: users.length, amount: amt, total, fiat: fiatNote(uid, lang, total) }),
+            components: [tipConfirmRow(key, lang)]
+          });
+        }
 
         const targets = userIds.filter(id => id !== uid);
-        if (!targets.length) return i.reply({ content: "❌ 자신에게는 팁을 보낼 수 없습니다", ephemeral: true });
+        if (!targets.length) return i.reply({ content: t("tip_self"), ephemeral: true });
 
         // users.fetch 루프 전에 defer → 인터랙션 토큰 15분으로 연장
         await i.deferReply();
 
-        const resolved = [];
-        for (const id of targets) {
-          try {
-            const u = await client.users.fetch(id);
-            if (u.bot) continue;
-            resolved.push(u);
-          } catch {}
-        }
-        if (!resolved.length) return i.editReply("❌ 유효한 유저가 없습니다");
+        const resolved = await resolveTipUsers(uid, targets);
+        if (!resolved.length) return i.editReply(t("tip_no_valid_users"));
 
         const finalTotal = amt * resolved.length;
         if (balance.get(uid) < finalTotal) {
-          try { await i.user.send(`❌ 잔액 부족\n💰 Balance: **${balance.get(uid)} sats** (Need: **${finalTotal} sats**)`); } catch {}
+          const insufficient = t("tip_insufficient", { bal: balance.get(uid), need: finalTotal });
+          try { await i.user.send(insufficient); } catch {}
           await i.deleteReply();
-          await i.followUp({ content: `❌ 잔액이 부족합니다.\n💰 Balance: **${balance.get(uid)} sats** (Need: **${finalTotal} sats**)`, ephemeral: true });
+          await i.followUp({ content: insufficient, ephemeral: true });
+          return;
+        }
+
+        await i.editReply({ content: await deliverTip(uid, lang, resolved, amt, msg, i.guildId, i.channelId) });
+        return;
+      }
+
+      case "paywall": {
+        const sub = i.options.getSubcommand();
+
+        if (sub === "sales") {
+          const rows = stmt.getPaywallsByCreator.all(uid);
+          const sales = rows.reduce((s, p) => s + p.sales, 0);
+          const revenue = rows.reduce((s, p) => s + p.revenue, 0);
+          const lines = rows.slice(0, 20).map(p => t("paywall_sales_line", { id: p.id, price: p.price, n: p.sales, revenue: p.revenue }));
+          const embed = new EmbedBuilder().setColor(0x8E24AA).setTitle(t("paywall_sales_title"))
+            .setDescription([t("paywall_sales_total", { n: sales, revenue, fiat: fiatNote(uid, lang, revenue) }), "", ...(lines.length ? lines : [t("paywall_sales_empty")])].join("\n"));
+          return i.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const price = i.options.getInteger("price");
+        const content = i.options.getString("content");
+        const attachment = i.options.getAttachment("file");
+        if (!content && !attachment) return i.reply({ content: t("paywall_empty"), ephemeral: true });
+        if (attachment && attachment.size > config.limits.paywallMaxFile) {
+          return i.reply({ content: t("paywall_file_too_large", { mb: config.limits.paywallMaxFile / 1024 / 1024 }), ephemeral: true });
+        }
+
+        await i.deferReply({ ephemeral: true });
+        let file = null;
+        if (attachment) {
+          try {
+            const { data } = await axios.get(attachment.url, { responseType: "arraybuffer", timeout: 30000, maxContentLength: config.limits.paywallMaxFile });
+            file = Buffer.from(data);
+          } catch (e) { return i.editReply(t("error_msg", { msg: e.message })); }
+        }
+        const p = paywall.create(uid, i.guildId, i.channelId, price, i.options.getString("teaser"), content, file, attachment?.name);
+        const msg = await i.channel.send({ embeds: [paywallEmbed(p)], components: [paywallRow(p)] });
+        stmt.setPaywallMessage.run(msg.id, p.id);
+        return i.editReply(t("paywall_created", { id: p.id, price }));
+      }
+
+      case "raffle": {
+        const price = i.options.getInteger("ticket_price");
+        const duration = parseDuration(i.options.getString("duration"));
+        const maxTickets = i.options.getInteger("max_tickets") || config.limits.raffleMaxTickets;
+        const prize = i.options.getInteger("prize") || 0;
+        if (!duration || duration > config.limits.raffleMaxDuration) return i.reply({ content: t("raffle_bad_duration", { days: config.limits.raffleMaxDuration / 86400000 }), ephemeral: true });
+        if (price === 0 && !prize) return i.reply({ content: t("raffle_free_needs_prize"), ephemeral: true });
+        if (balance.get(uid) < prize) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: prize }), ephemeral: true });
+
+        const r = raffle.create(uid, i.guildId, i.channelId, price, maxTickets, prize, duration);
+        scheduleRaffle(r);
+        const msg = await i.reply({ embeds: [raffleEmbed(r)], components: [raffleRow(r)], fetchReply: true });
+        stmt.setRaffleMessage.run(msg.id, r.id);
+        return;
+      }
+
+      case "bounty": {
+        const sub = i.options.getSubcommand();
+
+        if (sub === "list") {
+          const open = stmt.getOpenBounties.all({ guild: i.guildId });
+          const lines = open.slice(0, 20).map(b => {
+            const desc = b.description.length > 60 ? b.description.slice(0, 57) + "..." : b.description;
+            const link = b.message_id ? ` [↗](https://discord.com/channels/${b.guild_id}/${b.channel_id}/${b.message_id})` : "";
+            return `#${b.id} **${b.amount} sats** · ${desc.replace(/\n/g, " ")} · <t:${Math.floor(b.expires_at / 1000)}:R>${link}`;
+          });
+          const embed = new EmbedBuilder().setColor(0x1E88E5).setTitle(t("bounty_list_title", { n: open.length }))
+            .setDescription(lines.length ? lines.join("\n") : t("bounty_list_empty"));
+          return i.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "create") {
+          const bountyCheck = bountyLimiter.check(uid);
+          if (!bountyCheck.allowed) {
+            return i.reply({ content: t("rate_limited", { s: bountyCheck.resetIn }), ephemeral: true });
+          }
+          const amt = i.options.getInteger("amount");
+          const description = i.options.getString("description").trim();
+          if (amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
+          if (balance.get(uid) < amt) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: amt }), ephemeral: true });
+
+          const b = bounty.create(uid, i.guildId, i.channelId, amt, description);
+          scheduleBounty(b);
+          const msg = await i.reply({ embeds: [bountyEmbed(b)], components: [bountyRow(b)], fetchReply: true });
+          stmt.setBountyMessage.run(msg.id, b.id);
+          return;
+        }
+
+        const id = i.options.getInteger("id");
+        const b = stmt.getBounty.get(id);
+        if (!b) return i.reply({ content: t("bounty_not_found"), ephemeral: true });
+        if (!canManageBounty(i, b)) return i.reply({ content: t("bounty_not_yours"), ephemeral: true });
+        if (b.status !== "open") return i.reply({ content: t("bounty_closed"), ephemeral: true });
+
+        if (sub === "cancel") {
+          const result = await closeBounty(id, "cancelled");
+          if (!result) return i.reply({ content: t("bounty_closed"), ephemeral: true });
+          return i.reply({ content: t("bounty_cancelled_ok", { id, amount: b.amount, n: result.refunds.length }), ephemeral: true });
+        }
+
+        if (sub === "award") {
+          const ids = [...new Set(i.options.getString("users").match(/<@!?(\d+)>/g)?.map(m => m.replace(/<@!?|>/g, "")) || [])];
+          if (ids.length > config.limits.bountyMaxWinners) return i.reply({ content: t("bounty_too_many_winners", { max: config.limits.bountyMaxWinners }), ephemeral: true });
+
+          // users.fetch 루프 전에 defer
+          await i.deferReply();
+          const winners = [];
+          for (const wid of ids) {
+            if (wid === b.creator_id || isFrozen(wid)) continue;
+            const u = await client.users.fetch(wid).catch(() => null);
+            if (u && !u.bot) winners.push(u);
+          }
+          const result = winners.length ? bounty.award(id, winners.map(u => u.id)) : null;
+          if (!result) {
+            await i.deleteReply();
+            return i.followUp({ content: t(winners.length ? "bounty_closed" : "bounty_no_winners"), ephemeral: true });
+          }
+          clearTimeout(bountyTimers.get(id));
+          bountyTimers.delete(id);
+          console.log(`🎯 Bounty #${id} awarded: ${result.shares.map(([w, a]) => `${w}=${a}`).join(", ")}`);
+          await i.editReply({ content: t("bounty_awarded_public", { id, list: result.shares.map(([w, a]) => `<@${w}> **${a} sats**`).join(", ") }) });
+          await refreshBountyMessage(result.bounty);
+          for (const u of winners) {
+            const amt = result.shares.find(([w]) => w === u.id)[1];
+            try { await u.send(tr(userLang(u.id), "bounty_award_dm", { id, amount: amt, bal: balance.get(u.id) })); } catch {}
+          }
           return;
         }
+        return;
+      }
+
+      case "rain": {
+        const rainCheck = rainLimiter.check(uid);
+        if (!rainCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: rainCheck.resetIn }), ephemeral: true });
+        }
+
+        const total = i.options.getInteger("total");
+        const minutes = i.options.getInteger("minutes") ?? config.rain.defaultWindow;
+        const maxUsers = i.options.getInteger("max_users") ?? config.rain.maxUsers;
+        const role = i.options.getRole("role");
+        if (balance.get(uid) < total) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: total }), ephemeral: true });
+
+        // members.fetch 루프 전에 defer
+        await i.deferReply();
+
+        const recipients = await rainRecipients(i, minutes, maxUsers, role);
+        if (!recipients.length) {
+          await i.deleteReply();
+          return i.followUp({ content: t("rain_no_users", { minutes }), ephemeral: true });
+        }
+        // 나머지 sats는 보낸 사람에게 남음
+        const share = Math.floor(total / recipients.length);
+        if (share < 1) {
+          await i.deleteReply();
+          return i.followUp({ content: t("rain_too_small", { n: recipients.length }), ephemeral: true });
+        }
+
+        balance.multiTransfer(uid, recipients.map(u => u.id), share, "rain", { guild: i.guildId });
+        const list = recipients.map(u => `<@${u.id}> +${share}`).join("\n");
+        await i.editReply({
+          content: t("rain_public", { from: uid, total: share * recipients.length, n: recipients.length, minutes }) + "\n" + list,
+          allowedMentions: { users: [] }
+        });
+        console.log(`🌧️ ${uid} → ${recipients.length} users: ${share} sats each`);
+        return;
+      }
+
+      case "subscribe": {
+        const tipCheck = tipLimiter.check(uid);
+        if (!tipCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: tipCheck.resetIn }), ephemeral: true });
+        }
+
+        const target = i.options.getUser("user");
+        const amt = i.options.getInteger("amount");
+        const interval = i.options.getString("interval");
+        if (target.id === uid) return i.reply({ content: t("tip_self"), ephemeral: true });
+        if (target.bot) return i.reply({ content: t("tip_no_valid_users"), ephemeral: true });
+        if (stmt.countActiveSubscriptions.get(uid).cnt >= config.limits.subscriptionMaxPerUser) {
+          return i.reply({ content: t("subscription_limit", { max: config.limits.subscriptionMaxPerUser }), ephemeral: true });
+        }
+        if (balance.get(uid) < amt) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: amt }), ephemeral: true });
+
+        const s = subscription.create(uid, target.id, amt, interval, i.guildId);
+        try { await target.send(tr(userLang(target.id), "subscription_started", { id: s.id, from: uid, amount: amt, interval: tr(userLang(target.id), `interval_${interval}`) })); } catch {}
+        return i.reply({ content: t("subscription_created", { id: s.id, to: target.id, amount: amt, interval: t(`interval_${interval}`), next: Math.floor(s.next_run / 1000) }), ephemeral: true });
+      }
 
-        balance.multiTransfer(uid, resolved.map(u => u.id), amt);
-        for (const u of resolved) {
-          txLog("tip", { from: uid, to: u.id, amount: amt });
-          try { await u.send(`💰 <@${uid}> ➡️ You **${amt} sats**\n📍 <#${i.channelId}>\n💰 Balance: **${balance.get(u.id)} sats**`); } catch {}
+      case "subscriptions": {
+        const sub = i.options.getSubcommand();
+        if (sub === "list") {
+          const subs = stmt.getSubscriptionsByUser.all(uid, uid);
+          const embed = new EmbedBuilder().setColor(0xF7931A).setTitle(t("subscriptions_title"))
+            .setDescription(subs.length ? subs.map(s => subscriptionLine(uid, s, lang)).join("\n") : t("subscriptions_empty"));
+          return i.reply({ embeds: [embed], ephemeral: true });
         }
 
-        const mentions = resolved.map(u => `<@${u.id}>`).join(", ");
-        let reply = `⚡ <@${uid}> ➡️ ${mentions} **${amt} sats** each! (Total: **${finalTotal} sats**)`;
-        if (msg) reply += `\n💬 ${msg}`;
-        await i.editReply({ content: reply });
+        const id = i.options.getInteger("id");
+        const s = stmt.getSubscription.get(id);
+        if (!s || s.payer_id !== uid || s.status === "cancelled") return i.reply({ content: t("subscription_not_found"), ephemeral: true });
+        if (sub === "cancel") {
+          subscription.cancel(id);
+          return i.reply({ content: t("subscription_cancelled", { id }), ephemeral: true });
+        }
+        if (sub === "resume") {
+          if (s.status !== "paused") return i.reply({ content: t("subscription_not_paused", { id }), ephemeral: true });
+          subscription.resume(id);
+          await runSubscription(stmt.getSubscription.get(id));
+          const after = stmt.getSubscription.get(id);
+          // 잔액 부족이면 재시도 예약 상태 (failures = 1)
+          return i.reply({ content: t(after.failures ? "subscription_resumed_retry" : "subscription_resumed", { id, next: Math.floor(after.next_run / 1000) }), ephemeral: true });
+        }
         return;
       }
 
       case "withdraw": {
         const withdrawCheck = withdrawLimiter.check(uid);
         if (!withdrawCheck.allowed) {
-          return i.reply({ content: `⏰ 너무 많은 요청입니다. ${withdrawCheck.resetIn}초 후 다시 시도하세요.`, ephemeral: true });
+          return i.reply({ content: t("rate_limited", { s: withdrawCheck.resetIn }), ephemeral: true });
         }
 
-        const embed = new EmbedBuilder().setColor(0xF7931A).setTitle("💰 Withdraw")
-          .setDescription(`⚡ **Lightning Address**: user@wallet.com\n🧾 **Invoice/LNURL**: lnbc...\n\n💸 Fee: Blink=Free, Other=${config.fees.external} sats\n📊 Max: ${config.limits.maxWithdraw} sats`);
+        const embed = new EmbedBuilder().setColor(0xF7931A).setTitle(t("withdraw_title"))
+          .setDescription(t("withdraw_desc", { fee: guildFees(i.guildId).external, max: guildMaxWithdraw(i.guildId) }));
         const row = new ActionRowBuilder().addComponents(
-          new ButtonBuilder().setCustomId("withdraw_lightning_address").setLabel("⚡ Address").setStyle(ButtonStyle.Primary),
-          new ButtonBuilder().setCustomId("withdraw_invoice").setLabel("🧾 Invoice").setStyle(ButtonStyle.Secondary)
+          new ButtonBuilder().setCustomId("withdraw_lightning_address").setLabel(t("withdraw_btn_addr")).setStyle(ButtonStyle.Primary),
+          new ButtonBuilder().setCustomId("withdraw_invoice").setLabel(t("withdraw_btn_inv")).setStyle(ButtonStyle.Secondary)
         );
         return i.reply({ embeds: [embed], components: [row], ephemeral: true });
       }
 
+      case "redpacket": {
+        const redpacketCheck = redpacketLimiter.check(uid);
+        if (!redpacketCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: redpacketCheck.resetIn }), ephemeral: true });
+        }
+
+        const amt = i.options.getInteger("amount");
+        const count = i.options.getInteger("count");
+        const mode = i.options.getString("mode") || "equal";
+        const memo = i.options.getString("message");
+
+        if (amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
+        if (count < 1 || count > config.limits.redpacketMaxCount) return i.reply({ content: t("redpacket_count_range", { max: config.limits.redpacketMaxCount }), ephemeral: true });
+        if (amt < count) return i.reply({ content: t("redpacket_min_share"), ephemeral: true });
+        if (balance.get(uid) < amt) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: amt }), ephemeral: true });
+
+        const p = redpacket.create(uid, i.guildId, i.channelId, amt, count, mode, memo);
+        scheduleRedpacket(p);
+
+        const msg = await i.reply({ embeds: [redpacketEmbed(p)], components: [redpacketRow(p)], fetchReply: true });
+        stmt.setRedpacketMessage.run(msg.id, p.id);
+        return;
+      }
+
+      case "voucher": {
+        if (!config.http.publicUrl) return i.reply({ content: t("voucher_disabled"), ephemeral: true });
+        const voucherCheck = voucherLimiter.check(uid);
+        if (!voucherCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: voucherCheck.resetIn }), ephemeral: true });
+        }
+
+        const amt = i.options.getInteger("amount");
+        const uses = i.options.getInteger("uses") || 1;
+        if (amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
+        if (amt > guildMaxWithdraw(i.guildId)) return i.reply({ content: t("max_withdraw", { max: guildMaxWithdraw(i.guildId) }), ephemeral: true });
+        const total = (amt + guildFees(i.guildId).external) * uses;
+        if (balance.get(uid) < total) return i.reply({ content: t("insufficient", { bal: balance.get(uid), need: total }), ephemeral: true });
+        if (withdrawGuard.withdrawable(uid) < total) return i.reply({ content: t("withdraw_held", { held: withdrawGuard.held(uid), avail: withdrawGuard.withdrawable(uid) }), ephemeral: true });
+
+        await i.deferReply({ ephemeral: true });
+        try {
+          const v = voucher.create(uid, i.guildId, amt, uses);
+          scheduleVoucher(v);
+          const lnurl = voucherLnurl(v);
+          const qr = await qrcode.toBuffer(lnurl);
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`voucher_revoke:${v.id}`).setLabel(t("voucher_revoke_btn")).setStyle(ButtonStyle.Danger)
+          );
+          await i.editReply({
+            content: t("voucher_created", { id: v.id, amount: amt, uses, total, time: `<t:${Math.floor(v.expires_at / 1000)}:R>`, bal: balance.get(uid) }),
+            files: [new AttachmentBuilder(qr, { name: "voucher.png" })],
+            components: [row]
+          });
+          await i.followUp({ content: lnurl, ephemeral: true });
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
+        return;
+      }
+
+      case "voucher_revoke": {
+        const id = i.options.getInteger("id");
+        if (stmt.getVoucher.get(id)?.creator_id !== uid) return i.reply({ content: t("voucher_not_found"), ephemeral: true });
+        const result = await closeVoucher(id, "revoked");
+        if (!result) return i.reply({ content: t("voucher_closed"), ephemeral: true });
+        return i.reply({ content: t("voucher_revoked", { id, amount: result.refund, bal: result.bal }), ephemeral: true });
+      }
+
       case "owner_balance":
-        if (uid !== config.discord.ownerId) return i.reply({ content: "❌ Owner only", ephemeral: true });
-        return i.reply({ content: `💼 Owner: **${owner.get()} sats**`, ephemeral: true });
+        if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
+        return i.reply({ content: t("owner_balance", { bal: owner.get() }), ephemeral: true });
 
       case "owner_withdraw": {
-        if (uid !== config.discord.ownerId) return i.reply({ content: "❌ Owner only", ephemeral: true });
+        if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
         const amt = i.options.getInteger("amount");
-        if (amt <= 0) return i.reply({ content: "❌ Amount > 0", ephemeral: true });
-        if (owner.get() < amt) return i.reply({ content: `❌ Owner: ${owner.get()} sats`, ephemeral: true });
+        if (amt <= 0) return i.reply({ content: t("amount_positive"), ephemeral: true });
+        if (owner.get() < amt) return i.reply({ content: t("owner_insufficient", { bal: owner.get() }), ephemeral: true });
+
+        ledger.move("owner_withdraw", OWNER_ID, ACCT.user(uid), amt, { uid, amount: amt });
+        return i.reply({ content: t("owner_withdrawn", { amount: amt }), ephemeral: true });
+      }
 
-        balance.sub(OWNER_ID, amt);
-        balance.add(uid, amt);
-        txLog("owner_withdraw", { uid, amount: amt });
-        return i.reply({ content: `✅ Owner ➡️ You **${amt} sats**`, ephemeral: true });
+      case "owner_breaker": {
+        if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
+        const action = i.options.getString("action");
+        if (action === "pause") withdrawGuard.pause(`manual (${uid})`);
+        if (action === "resume") withdrawGuard.resume();
+        const paused = withdrawGuard.paused();
+        const state = paused
+          ? t("breaker_paused", { since: `<t:${Math.floor(paused.since / 1000)}:R>`, reason: paused.reason })
+          : t("breaker_active");
+        return i.reply({ content: `${state}\n${t("breaker_outflow", { outflow: withdrawGuard.hourlyOutflow(), cap: config.limits.withdrawHourlyCap || "∞" })}`, ephemeral: true });
       }
 
       case "owner_reset":
-        if (uid !== config.discord.ownerId) return i.reply({ content: "❌ Owner only", ephemeral: true });
+        if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
         owner.reset();
-        return i.reply({ content: "✅ Owner = 0", ephemeral: true });
+        return i.reply({ content: t("owner_reset"), ephemeral: true });
+
+      case "admin": {
+        if (!isAdmin(i)) return i.reply({ content: t("admin_only"), ephemeral: true });
+        const sub = i.options.getSubcommand();
+        const target = i.options.getUser("user");
+        const amt = i.options.getInteger("amount");
+        const reason = i.options.getString("reason");
+
+        if (sub === "lookup") {
+          adminLog.append(uid, "lookup", { target: target.id });
+          return i.reply({ embeds: [adminLookupEmbed(target.id, lang)], ephemeral: true });
+        }
+        if (sub === "log") return i.reply({ embeds: [adminLogEmbed(lang)], ephemeral: true });
+        if (sub === "payments") return i.reply({ embeds: [stuckPaymentsEmbed(lang)], ephemeral: true });
+
+        if (sub === "resolve") {
+          const txId = i.options.getInteger("tx");
+          const outcome = i.options.getString("outcome");
+          const p = stmt.getOutgoingByTx.get(txId);
+          if (!p || !UNRESOLVED.has(p.status)) return i.reply({ content: t("admin_payment_not_stuck", { tx: txId }), ephemeral: true });
+          await i.deferReply({ ephemeral: true });
+          let result;
+          if (outcome === "check") result = await resolvePayment(p);
+          else {
+            const note = `admin ${uid}${reason ? `: ${reason}` : ""}`;
+            result = (outcome === "refund" ? payments.refund(txId, note) : payments.confirm(txId, note)) && (outcome === "refund" ? "refunded" : "success");
+            if (result) await notifyPaymentResolved(p, result);
+          }
+          adminLog.append(uid, `resolve_${outcome}`, { target: p.user_id, amount: p.amount, reason, details: { tx: txId, hash: p.payment_hash, result } });
+          return i.editReply(t(result ? "admin_payment_resolved" : "admin_payment_unchanged", { tx: txId, result, status: stmt.getOutgoingByTx.get(txId).status }));
+        }
+
+        if (sub === "credit") {
+          const bal = admin.credit(uid, target.id, amt, reason);
+          console.log(`🛠️ Admin credit: ${uid} → ${target.id} ${amt} sats (${reason})`);
+          return i.reply({ content: t("admin_credited", { user: target.id, amount: amt, bal }), ephemeral: true });
+        }
+        if (sub === "debit") {
+          if (balance.get(target.id) < amt) return i.reply({ content: t("admin_debit_insufficient", { user: target.id, bal: balance.get(target.id) }), ephemeral: true });
+          const bal = admin.debit(uid, target.id, amt, reason);
+          console.log(`🛠️ Admin debit: ${uid} → ${target.id} ${amt} sats (${reason})`);
+          return i.reply({ content: t("admin_debited", { user: target.id, amount: amt, bal }), ephemeral: true });
+        }
+        if (sub === "freeze") {
+          if (!admin.freeze(uid, target.id, reason)) return i.reply({ content: t("admin_already_frozen", { user: target.id }), ephemeral: true });
+          console.log(`❄️ Frozen: ${target.id} by ${uid} (${reason})`);
+          return i.reply({ content: t("admin_frozen", { user: target.id, reason }), ephemeral: true });
+        }
+        if (sub === "unfreeze") {
+          if (!admin.unfreeze(uid, target.id, reason)) return i.reply({ content: t("admin_not_frozen", { user: target.id }), ephemeral: true });
+          console.log(`🔥 Unfrozen: ${target.id} by ${uid} (${reason})`);
+          return i.reply({ content: t("admin_unfrozen", { user: target.id }), ephemeral: true });
+        }
+        return;
+      }
+
+      case "api": {
+        if (!isAdmin(i)) return i.reply({ content: t("admin_only"), ephemeral: true });
+        const sub = i.options.getSubcommand();
+
+        if (sub === "list") {
+          const apps = stmt.getApiApps.all();
+          const lines = apps.map(a => `${apiAppLine(lang, a)} · ${t("api_app_users", { n: a.users })}${a.webhook_url ? " · 🔔" : ""}${a.revoked_at ? ` · ${t("api_app_revoked_tag")}` : ""}`);
+          const embed = new EmbedBuilder().setColor(0x546E7A).setTitle(t("api_list_title"))
+            .setDescription([config.api.enabled ? "" : t("api_disabled"), ...(lines.length ? lines : [t("api_list_empty")])].filter(Boolean).join("\n"));
+          return i.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (sub === "revoke") {
+          const app = stmt.getApiApp.get(i.options.getInteger("app"));
+          if (!app || !stmt.revokeApiApp.run(Date.now(), app.id).changes) return i.reply({ content: t("api_app_not_found"), ephemeral: true });
+          adminLog.append(uid, "api_revoke", { details: { app: app.id, name: app.name } });
+          return i.reply({ content: t("api_revoked", { id: app.id, name: app.name }), ephemeral: true });
+        }
+
+        const name = i.options.getString("name");
+        const scopes = [...new Set(i.options.getString("scopes").split(",").map(s => s.trim()).filter(Boolean))];
+        if (!scopes.length || scopes.some(s => !API_SCOPES.includes(s))) return i.reply({ content: t("api_invalid_scopes", { scopes: API_SCOPES.join(", ") }), ephemeral: true });
+        const webhook = i.options.getString("webhook");
+        if (webhook && !isValidWebhookUrl(webhook)) return i.reply({ content: t("api_invalid_webhook"), ephemeral: true });
+
+        const { id, key, secret } = apiApps.create(name, scopes, webhook, uid);
+        adminLog.append(uid, "api_create", { details: { app: id, name, scopes } });
+        console.log(`🔌 API app #${id} (${name}) created by ${uid}`);
+        let content = t("api_created", { id, name, scopes: scopes.join(", "), key });
+        if (webhook) content += "\n" + t("api_created_webhook", { secret });
+        if (!config.api.enabled) content += "\n" + t("api_disabled");
+        return i.reply({ content, ephemeral: true });
+      }
+
+      case "apps": {
+        const sub = i.options.getSubcommand();
+
+        if (sub === "list") {
+          const apps = stmt.getUserApiGrants.all(uid);
+          const embed = new EmbedBuilder().setColor(0x546E7A).setTitle(t("apps_title"))
+            .setDescription(apps.length ? apps.map(a => apiAppLine(lang, a)).join("\n") : t("apps_empty"));
+          return i.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const app = stmt.getApiApp.get(i.options.getInteger("app"));
+        if (!app || app.revoked_at) return i.reply({ content: t("api_app_not_found"), ephemeral: true });
+        if (sub === "grant") {
+          stmt.insertApiGrant.run(app.id, uid, Date.now());
+          return i.reply({ content: t("apps_granted", { name: app.name, scopes: app.scopes.replace(/,/g, ", ") }), ephemeral: true });
+        }
+        if (!stmt.deleteApiGrant.run(app.id, uid).changes) return i.reply({ content: t("apps_not_granted", { name: app.name }), ephemeral: true });
+        return i.reply({ content: t("apps_revoked", { name: app.name }), ephemeral: true });
+      }
+
+      case "emojitip": {
+        const sub = i.options.getSubcommand();
+        if (sub === "list") return i.reply({ embeds: [emojiTipListEmbed(i.guildId, lang)], ephemeral: true });
+        if (!isGuildAdmin(i)) return i.reply({ content: t("admin_only"), ephemeral: true });
+
+        if (sub === "add" || sub === "remove") {
+          const emoji = parseEmoji(i.options.getString("emoji"));
+          if (!emoji) return i.reply({ content: t("emojitip_invalid"), ephemeral: true });
+          if (sub === "add") {
+            if (/^\d+$/.test(emoji.key) && !i.guild.emojis.cache.has(emoji.key)) return i.reply({ content: t("emojitip_foreign"), ephemeral: true });
+            const amt = i.options.getInteger("amount");
+            stmt.upsertEmojiTip.run(i.guildId, emoji.key, emoji.label, amt);
+            adminLog.append(uid, "emojitip_add", { target: i.guildId, amount: amt, details: { emoji: emoji.label } });
+            return i.reply({ content: t("emojitip_added", { emoji: emoji.label, amount: amt }), ephemeral: true });
+          }
+          if (!stmt.deleteEmojiTip.run(i.guildId, emoji.key).changes) return i.reply({ content: t("emojitip_not_found"), ephemeral: true });
+          adminLog.append(uid, "emojitip_remove", { target: i.guildId, details: { emoji: emoji.label } });
+          return i.reply({ content: t("emojitip_removed", { emoji: emoji.label }), ephemeral: true });
+        }
+
+        const channel = i.options.getChannel("channel")?.id || i.channelId;
+        if (sub === "disable") stmt.disableEmojiTipChannel.run(i.guildId, channel);
+        else stmt.enableEmojiTipChannel.run(i.guildId, channel);
+        adminLog.append(uid, `emojitip_${sub}`, { target: i.guildId, details: { channel } });
+        return i.reply({ content: t(sub === "disable" ? "emojitip_channel_disabled" : "emojitip_channel_enabled", { channel }), ephemeral: true });
+      }
+
+      case "guild": {
+        const sub = i.options.getSubcommand();
+        guildSettings.ensure(i.guild);
+        const gs = guildSettings.get(i.guildId);
+
+        if (sub === "info") return i.reply({ embeds: [guildEmbed(gs, lang)], ephemeral: true });
+
+        if (sub === "claim") {
+          if (uid !== gs.owner_id) return i.reply({ content: t("guild_owner_only"), ephemeral: true });
+          const bal = ledger.balanceOf(ACCT.guild(i.guildId));
+          if (bal <= 0) return i.reply({ content: t("guild_no_fees"), ephemeral: true });
+          ledger.move("guild_fee_claim", ACCT.guild(i.guildId), ACCT.user(uid), bal, { uid, amount: bal, guild: i.guildId });
+          return i.reply({ content: t("guild_fees_claimed", { amount: bal, bal: balance.get(uid) }), ephemeral: true });
+        }
+
+        if (sub === "config") {
+          if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
+          const fields = {};
+          for (const key of ["fee_internal", "fee_external", "max_withdraw"]) {
+            const v = i.options.getInteger(key);
+            if (v !== null) fields[key] = v < 0 ? null : v;
+          }
+          const share = i.options.getInteger("fee_share");
+          if (share !== null) fields.fee_share = share;
+          const newOwner = i.options.getUser("owner");
+          if (newOwner) fields.owner_id = newOwner.id;
+          const updated = guildSettings.update(i.guildId, fields);
+          adminLog.append(uid, "guild_config", { target: i.guildId, details: fields });
+          return i.reply({ embeds: [guildEmbed(updated, lang)], ephemeral: true });
+        }
+
+        if (!isGuildAdmin(i)) return i.reply({ content: t("admin_only"), ephemeral: true });
+        if (sub === "feature") {
+          const name = i.options.getString("name");
+          const disabled = new Set(disabledFeatures(gs));
+          if (i.options.getBoolean("enabled")) disabled.delete(name);
+          else disabled.add(name);
+          const updated = guildSettings.update(i.guildId, { disabled_features: [...disabled].join(",") || null });
+          adminLog.append(uid, "guild_feature", { target: i.guildId, details: { name, enabled: !disabled.has(name) } });
+          return i.reply({ embeds: [guildEmbed(updated, lang)], ephemeral: true });
+        }
+        if (sub === "leaderboard") {
+          const enabled = i.options.getBoolean("enabled");
+          const updated = guildSettings.update(i.guildId, { leaderboard_weekly: enabled ? 1 : 0 });
+          // 첫 게시는 일주일 뒤
+          if (enabled) stmt.setState.run(`leaderboard_posted:${i.guildId}`, String(Date.now()));
+          adminLog.append(uid, "guild_leaderboard", { target: i.guildId, details: { enabled } });
+          return i.reply({ embeds: [guildEmbed(updated, lang)], ephemeral: true });
+        }
+        if (sub === "channel") {
+          const updated = guildSettings.update(i.guildId, { announce_channel_id: i.options.getChannel("channel")?.id || null });
+          adminLog.append(uid, "guild_channel", { target: i.guildId, details: { channel: updated.announce_channel_id } });
+          return i.reply({ embeds: [guildEmbed(updated, lang)], ephemeral: true });
+        }
+        return;
+      }
+
+      case "audit": {
+        if (uid !== config.discord.ownerId) return i.reply({ content: t("owner_only"), ephemeral: true });
+        await i.deferReply({ ephemeral: true });
+        try {
+          const r = await audit.run();
+          await i.editReply({ embeds: [auditEmbed(r, lang)] });
+        } catch (e) { await i.editReply(t("error_msg", { msg: e.message })); }
+        return;
+      }
+
+      case "lnaddress": {
+        if (!config.http.publicUrl) return i.reply({ content: t("lnaddress_disabled"), ephemeral: true });
+        const name = i.options.getString("username")?.trim().toLowerCase();
+        if (!name) {
+          const cur = stmt.getLnAddressByUser.get(uid);
+          return i.reply({ content: cur ? t("lnaddress_current", { addr: lnAddressOf(cur.username) }) : t("lnaddress_none"), ephemeral: true });
+        }
+        if (!LNADDRESS_RE.test(name) || RESERVED_USERNAMES.has(name)) return i.reply({ content: t("lnaddress_invalid"), ephemeral: true });
+        if (!setLnAddress(uid, name)) return i.reply({ content: t("lnaddress_taken", { name }), ephemeral: true });
+        return i.reply({ content: t("lnaddress_set", { addr: lnAddressOf(name) }), ephemeral: true });
+      }
+
+      case "history": {
+        const historyCheck = historyLimiter.check(uid);
+        if (!historyCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: historyCheck.resetIn }), ephemeral: true });
+        }
+
+        const filter = { type: i.options.getString("type"), from: i.options.getString("from"), to: i.options.getString("to") };
+        if ((filter.from && !isValidDate(filter.from)) || (filter.to && !isValidDate(filter.to))) {
+          return i.reply({ content: t("history_bad_date"), ephemeral: true });
+        }
+        return i.reply({ ...historyView(uid, lang, filter, 0), ephemeral: true });
+      }
+
+      case "currency": {
+        const code = i.options.getString("code");
+        if (code === "off") {
+          stmt.setUserCurrency.run(uid, null);
+          return i.reply({ content: t("currency_off"), ephemeral: true });
+        }
+        stmt.setUserCurrency.run(uid, code);
+        await i.deferReply({ ephemeral: true });
+        try {
+          const p = await price.get(code);
+          return i.editReply(t("currency_set", { currency: code, example: formatFiat(lang, code, satsToFiat(1000, p), p.digits) }));
+        } catch {
+          return i.editReply(t("currency_set_no_price", { currency: code }));
+        }
+      }
+
+      case "leaderboard": {
+        const leaderboardCheck = leaderboardLimiter.check(uid);
+        if (!leaderboardCheck.allowed) {
+          return i.reply({ content: t("rate_limited", { s: leaderboardCheck.resetIn }), ephemeral: true });
+        }
+        return i.reply(leaderboardView(uid, lang, i.guildId, i.options.getString("board") || "tippers", i.options.getString("period") || "week", 0));
+      }
+
+      case "leaderboard_optout": {
+        const hidden = i.options.getBoolean("hidden");
+        stmt.setLeaderboardOptout.run(uid, hidden ? 1 : 0);
+        return i.reply({ content: t(hidden ? "leaderboard_optout_on" : "leaderboard_optout_off"), ephemeral: true });
+      }
+
+      case "language": {
+        const choice = i.options.getString("lang");
+        if (choice === "auto") {
+          stmt.setUserLang.run(uid, null);
+          return i.reply({ content: tr(resolveLang(i.locale) || "en", "language_auto"), ephemeral: true });
+        }
+        stmt.setUserLang.run(uid, choice);
+        return i.reply({ content: tr(choice, "language_set", { lang: LANG_NAMES[choice] }), ephemeral: true });
+      }
     }
   } catch (e) {
     console.error("Interaction error:", e);
     if (!i.replied && !i.deferred) {
-      try { await i.reply({ content: "❌ Error", ephemeral: true }); } catch {}
+      try { await i.reply({ content: t("error"), ephemeral: true }); } catch {}
     }
   }
 });
 
+client.on("guildCreate", (guild) => {
+  try {
+    guildSettings.ensure(guild);
+    seedGuildEmojiTips(guild);
+  } catch (e) { console.error("Guild setup error:", e.message); }
+});
+
 // ============ Graceful Shutdown ============
 const shutdown = () => {
   console.log("🔄 Shutting down...");
@@ -783,7 +5802,21 @@ process.on("SIGTERM", shutdown);
 client.once("ready", async () => {
   console.log(`🤖 ${client.user.tag}`);
   await registerCommands();
+  client.guilds.cache.forEach(g => { guildSettings.ensure(g); seedGuildEmojiTips(g); });
+  startDepositWatcher();
+  startHttpServer();
   restorePendingInvoices();
+  restoreRedpackets();
+  restoreVouchers();
+  restoreBounties();
+  restoreRaffles();
+  activity.restore();
+  setInterval(() => { activity.prune(); RateLimiter.pruneAll(); }, 60000);
+  setInterval(() => postWeeklyLeaderboards().catch(e => console.error("Leaderboard error:", e.message)), HOUR);
+  setInterval(() => runSubscriptions().catch(e => console.error("Subscription error:", e.message)), config.limits.subscriptionInterval);
+  setInterval(() => runPaymentResolver().catch(e => console.error("Resolver error:", e.message)), config.limits.paymentResolveInterval);
+  setInterval(() => runScheduledAudit().catch(e => console.error("Audit error:", e.message)), config.audit.interval);
+  if (config.api.enabled) setInterval(() => webhooks.run().catch(e => console.error("Webhook error:", e.message)), config.api.webhookInterval);
   console.log("✅ Ready (SQLite)");
 });
 